@@ -135,6 +135,7 @@ class AI {
 
     /**
      * Check writing with LanguageTool (via proxy on Vercel, direct in local)
+     * @returns {{matches: Object[], errors: Object[], unavailable?: boolean}} `unavailable` when the check failed
      */
     async checkGrammar(text) {
         try {
@@ -162,6 +163,10 @@ class AI {
                 });
             }
 
+            if (!response.ok) {
+                throw new Error(`LanguageTool request failed: ${response.status}`);
+            }
+
             const data = await response.json();
 
             return {
@@ -177,7 +182,7 @@ class AI {
             };
         } catch (error) {
             console.error('LanguageTool error:', error);
-            return { matches: [], errors: [] };
+            return { matches: [], errors: [], unavailable: true };
         }
     }
 
@@ -334,7 +339,71 @@ Return ONLY valid JSON.`;
         try {
             return JSON.parse(response);
         } catch (e) {
-            return { correct: false, feedback: 'Unable to check answer.' };
+            // Not a verdict: the AI was unreachable or replied with something else
+            return { correct: false, feedback: 'Unable to check answer.', unavailable: true };
+        }
+    }
+
+    /**
+     * Judge whether each sentence uses a grammar topic's target structure, and correctly
+     * @param {string[]} criteria - What the produce task asks for
+     * @returns {Promise<Array<{usesTarget: boolean, correct: boolean, feedback: string, correction: string}>|null>}
+     *   One verdict per sentence in order, or null if the AI could not be used
+     */
+    async checkTargetStructure(sentences, topic, criteria = []) {
+        const prompt = `Check a language learner's sentences for the grammar topic "${topic}".
+${criteria.length > 0 ? `Task criteria:\n${criteria.map(c => `- ${c}`).join('\n')}\n` : ''}
+SENTENCES:
+${sentences.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+For every sentence, in the same order, say whether it uses the target structure
+and whether that use is correct. Ignore errors unrelated to the topic.
+
+Return JSON array:
+[{
+    "usesTarget": true/false,
+    "correct": true/false,
+    "feedback": "...",
+    "correction": "..." (the sentence with the structure fixed, if wrong)
+}]
+
+Return ONLY valid JSON array.`;
+
+        const response = await this.callGemini(prompt, { temperature: 0.2 });
+
+        try {
+            const verdicts = JSON.parse(response);
+            return Array.isArray(verdicts) && verdicts.length === sentences.length ? verdicts : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Write new practice items for a grammar topic, shaped like the authored examples
+     * @param {Object[]} examples - Authored items with their `type`
+     * @returns {Promise<Object[]|null>} Unvalidated items, or null if the AI could not be used
+     */
+    async generateGrammarItems(topic, level, count, examples = []) {
+        const prompt = `Write ${count} new grammar practice items for the topic "${topic}" at CEFR ${level} level.
+Use new sentences, not the examples.
+
+Item types (mix them):
+- fill_gap_context: { "type": "fill_gap_context", "sentence": "She ___ (work) in a hospital.", "answer": "works", "explanation": "..." }
+- choose_correct: { "type": "choose_correct", "sentence": "They ___ to school by bus.", "options": ["goes", "go", "going"], "correct": 1, "explanation": "..." }
+- error_correction: { "type": "error_correction", "incorrect": "He work in a bank.", "correct": "He works in a bank.", "explanation": "..." }
+
+Every sentence has exactly one gap "___" and exactly one right answer.
+${examples.length > 0 ? `\nEXAMPLES FROM THE LESSON:\n${JSON.stringify(examples)}\n` : ''}
+Return ONLY valid JSON array.`;
+
+        const response = await this.callGemini(prompt, { temperature: 0.8 });
+
+        try {
+            const items = JSON.parse(response);
+            return Array.isArray(items) ? items : null;
+        } catch (e) {
+            return null;
         }
     }
 
@@ -357,19 +426,23 @@ Return just the response, no JSON.`;
 
     /**
      * Get word definition and examples
+     * @param {Object} options - { mnemonic: true } asks Gemini for a memory hook
+     *   and fresh examples, skipping the dictionary (used for leech remediation)
      */
-    async getWordInfo(word) {
+    async getWordInfo(word, options = {}) {
         // Try Free Dictionary API first
-        try {
-            const response = await fetch(`${Config.dictionaryApiUrl}/${word}`);
-            if (response.ok) {
-                const data = await response.json();
-                if (data[0]) {
-                    return this.parseFreeDictionaryResponse(data[0]);
+        if (!options.mnemonic) {
+            try {
+                const response = await fetch(`${Config.dictionaryApiUrl}/${word}`);
+                if (response.ok) {
+                    const data = await response.json();
+                    if (data[0]) {
+                        return this.parseFreeDictionaryResponse(data[0]);
+                    }
                 }
+            } catch (e) {
+                console.warn('Free Dictionary API error:', e);
             }
-        } catch (e) {
-            console.warn('Free Dictionary API error:', e);
         }
 
         // Fallback to Gemini
@@ -382,11 +455,14 @@ Return just the response, no JSON.`;
     "translation_ru": "...",
     "examples": ["...", "..."],
     "collocations": ["...", "..."],
+    "type": "word/collocation/phrasal_verb/idiom/binomial",${options.mnemonic ? `
+    "mnemonic": "short memory hook in Russian linking the sound or spelling of the word to its meaning",` : ''}
     "level": "A1/A2/B1/B2/C1"
-}
+}${options.mnemonic ? `
+The learner keeps forgetting this word, so give new, vivid example sentences.` : ''}
 Return ONLY valid JSON.`;
 
-        const response = await this.callGemini(prompt, { temperature: 0.2 });
+        const response = await this.callGemini(prompt, { temperature: options.mnemonic ? 0.7 : 0.2 });
 
         try {
             return JSON.parse(response);
@@ -99,6 +99,7 @@ class App {
         const grammarStats = Grammar.getStats();
         const errorDashboard = ErrorAnalysis.getDashboard();
         const dueCounts = Vocabulary.getDueCounts();
+        const grammarDue = Grammar.getDueCounts();
 
         // Calculate time to goal
         const timeToGoal = await LevelCalculator.calculateTimeToGoal(
@@ -119,17 +120,20 @@ class App {
                 gap: vocabGap,
                 dueToday: dueCounts
             },
-            grammar: grammarStats,
+            grammar: {
+                ...grammarStats,
+                dueToday: grammarDue
+            },
             errors: errorDashboard,
             timeToGoal,
-            todayTasks: this.getTodayTasks(dueCounts)
+            todayTasks: this.getTodayTasks(dueCounts, grammarDue)
         };
     }
 
     /**
      * Get today's recommended tasks
      */
-    getTodayTasks(dueCounts) {
+    getTodayTasks(dueCounts, grammarDue = Grammar.getDueCounts()) {
         const tasks = [];
 
         // Vocabulary reviews
@@ -153,6 +157,16 @@ class App {
             });
         }
 
+        // Grammar review cards
+        if (grammarDue.overdue > 0) {
+            tasks.push({
+                type: 'grammar_review',
+                count: grammarDue.overdue,
+                priority: 'high',
+                label: `Review ${grammarDue.overdue} grammar cards`
+            });
+        }
+
         // Grammar recommendation
         const nextGrammarTopic = Grammar.getNextTopic(this.profile.levels.grammar.level);
         if (nextGrammarTopic) {
@@ -160,7 +174,9 @@ class App {
                 type: 'grammar',
                 topic: nextGrammarTopic,
                 priority: 'medium',
-                label: 'Continue grammar journey'
+                label: nextGrammarTopic.review
+                    ? `Revise ${nextGrammarTopic.name}`
+                    : 'Continue grammar journey'
             });
         }
 
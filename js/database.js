@@ -7,6 +7,10 @@
 import Config from './config.js';
 
 class Database {
+    // Review log entries per localStorage key, and entries kept in total
+    static REVIEW_LOG_CHUNK = 500;
+    static REVIEW_LOG_MAX = 5000;
+
     constructor() {
         this.db = null;
         this.storage = null;
@@ -133,6 +137,90 @@ class Database {
         }
     }
 
+    /**
+     * Get user-defined vocabulary decks
+     */
+    async getDecks() {
+        return this.getLocalData('decks') || [];
+    }
+
+    /**
+     * Save vocabulary decks
+     */
+    async saveDecks(decks) {
+        this.setLocalData('decks', decks);
+    }
+
+    /**
+     * Append a vocabulary review to the review log
+     * The log is stored in chunks, so an answer rewrites only the newest one
+     */
+    async logReview(entry) {
+        const ids = this.getLocalData('reviewLogChunks') || [];
+        let id = ids[ids.length - 1];
+        let chunk = id === undefined ? [] : this.getLocalData(`reviewLog_${id}`) || [];
+
+        if (id === undefined || chunk.length >= Database.REVIEW_LOG_CHUNK) {
+            id = id === undefined ? 0 : id + 1;
+            chunk = [];
+            ids.push(id);
+
+            // Keep about the last 5000 reviews: the oldest chunk goes first
+            while (ids.length > Database.REVIEW_LOG_MAX / Database.REVIEW_LOG_CHUNK) {
+                localStorage.removeItem(`em_${this.userId}_reviewLog_${ids.shift()}`);
+            }
+            this.setLocalData('reviewLogChunks', ids);
+        }
+
+        chunk.push(entry);
+        this.setLocalData(`reviewLog_${id}`, chunk);
+    }
+
+    /**
+     * Get vocabulary review log, optionally only for one word
+     */
+    async getReviewLog(word = null) {
+        const ids = this.getLocalData('reviewLogChunks') || [];
+        const log = ids.flatMap(id => this.getLocalData(`reviewLog_${id}`) || []);
+        return word ? log.filter(r => r.word === word) : log;
+    }
+
+    /**
+     * Replace the whole review log (import)
+     */
+    async saveReviewLog(log) {
+        this.clearReviewLog();
+
+        const kept = log.slice(-Database.REVIEW_LOG_MAX);
+        const ids = [];
+        for (let i = 0; i < kept.length; i += Database.REVIEW_LOG_CHUNK) {
+            ids.push(ids.length);
+            this.setLocalData(`reviewLog_${ids.length - 1}`, kept.slice(i, i + Database.REVIEW_LOG_CHUNK));
+        }
+        this.setLocalData('reviewLogChunks', ids);
+    }
+
+    clearReviewLog() {
+        for (const id of this.getLocalData('reviewLogChunks') || []) {
+            localStorage.removeItem(`em_${this.userId}_reviewLog_${id}`);
+        }
+        localStorage.removeItem(`em_${this.userId}_reviewLogChunks`);
+    }
+
+    /**
+     * Get scheduled grammar review cards
+     */
+    async getGrammarCards() {
+        return this.getLocalData('grammarCards') || [];
+    }
+
+    /**
+     * Save grammar review cards
+     */
+    async saveGrammarCards(cards) {
+        this.setLocalData('grammarCards', cards);
+    }
+
     /**
      * Get grammar progress
      */
@@ -156,6 +244,29 @@ class Database {
         }
     }
 
+    /**
+     * Get a cached AI verdict on a grammar exercise answer
+     */
+    async getGrammarCheck(key) {
+        const checks = this.getLocalData('grammarChecks') || {};
+        return checks[key] || null;
+    }
+
+    /**
+     * Cache an AI verdict on a grammar exercise answer
+     */
+    async saveGrammarCheck(key, result) {
+        const checks = this.getLocalData('grammarChecks') || {};
+        checks[key] = { ...result, checkedAt: Date.now() };
+
+        // Keep the 500 most recent verdicts
+        const keys = Object.keys(checks);
+        for (const old of keys.slice(0, Math.max(0, keys.length - 500))) {
+            delete checks[old];
+        }
+        this.setLocalData('grammarChecks', checks);
+    }
+
     /**
      * Get reading progress
      */
@@ -198,6 +309,20 @@ class Database {
         this.setLocalData('immersion', progress);
     }
 
+    /**
+     * Get IELTS mock test progress (active full test and finished attempts)
+     */
+    async getIELTSProgress() {
+        return this.getLocalData('ielts') || { activeTest: null, attempts: [] };
+    }
+
+    /**
+     * Save IELTS mock test progress
+     */
+    async saveIELTSProgress(progress) {
+        this.setLocalData('ielts', progress);
+    }
+
     /**
      * Get placement test result
      */
@@ -212,6 +337,24 @@ class Database {
         this.setLocalData('placementResult', result);
     }
 
+    /**
+     * Get vocabulary size test results, oldest first
+     */
+    async getVocabularySizeResults() {
+        return this.getLocalData('vocabularySize') || [];
+    }
+
+    /**
+     * Save vocabulary size test result
+     */
+    async saveVocabularySizeResult(result) {
+        const results = await this.getVocabularySizeResults();
+        results.push(result);
+
+        // Keep last 20 tests
+        this.setLocalData('vocabularySize', results.slice(-20));
+    }
+
     /**
      * Get error patterns
      */
@@ -336,10 +479,15 @@ class Database {
         return {
             profile: await this.getProfile(),
             vocabulary: await this.getVocabulary(),
+            decks: await this.getDecks(),
+            reviewLog: await this.getReviewLog(),
             grammar: await this.getGrammarProgress(),
+            grammarCards: await this.getGrammarCards(),
             reading: await this.getReadingProgress(),
             listening: await this.getListeningProgress(),
             immersion: await this.getImmersionProgress(),
+            ielts: await this.getIELTSProgress(),
+            vocabularySize: await this.getVocabularySizeResults(),
             sessions: await this.getSessions(365),
             errors: await this.getErrorPatterns(),
             exportedAt: Date.now()
@@ -356,10 +504,15 @@ class Database {
                 await this.saveVocabularyCard(card);
             }
         }
+        if (data.decks) await this.saveDecks(data.decks);
+        if (data.reviewLog) await this.saveReviewLog(data.reviewLog);
         if (data.grammar) await this.saveGrammarProgress(data.grammar);
+        if (data.grammarCards) await this.saveGrammarCards(data.grammarCards);
         if (data.reading) await this.saveReadingProgress(data.reading);
         if (data.listening) await this.saveListeningProgress(data.listening);
         if (data.immersion) await this.saveImmersionProgress(data.immersion);
+        if (data.ielts) await this.saveIELTSProgress(data.ielts);
+        if (data.vocabularySize) this.setLocalData('vocabularySize', data.vocabularySize);
         if (data.errors) await this.saveErrorPatterns(data.errors);
     }
 
@@ -367,8 +520,11 @@ class Database {
      * Clear all user data
      */
     async clearAllData() {
-        const keys = ['profile', 'vocabulary', 'grammar', 'reading', 'listening',
-                      'immersion', 'sessions', 'errors', 'placementResult'];
+        this.clearReviewLog();
+
+        const keys = ['profile', 'vocabulary', 'decks', 'grammar', 'grammarCards', 'reading',
+                      'listening', 'immersion', 'ielts', 'vocabularySize', 'sessions', 'errors',
+                      'placementResult', 'grammarChecks'];
         for (const key of keys) {
             localStorage.removeItem(`em_${this.userId}_${key}`);
         }
@@ -400,6 +556,12 @@ class Database {
                 productiveVocabEnabled: true,
                 spellingEnabled: true,
                 timedRecallEnabled: false,
+                timedDeadline: 5,        // Seconds; slower correct answers count as Hard
+                scheduler: 'sm2',        // 'sm2' or 'fsrs'
+                targetRetention: 0.9,    // FSRS only
+                newCardsPerDay: 20,
+                maxReviewsPerDay: 200,   // Overflow is pushed to the next days
+                vacation: null,          // Planned break { start, end }
                 showDisclaimers: true,
                 darkMode: false
             },
@@ -415,7 +577,8 @@ class Database {
             grammar: {},
             vocabulary: { confusedPairs: [] },
             pronunciation: { problematicSounds: [] },
-            listening: { weakAreas: [] }
+            listening: { weakAreas: [] },
+            spelling: { patterns: {} }
         };
     }
 }
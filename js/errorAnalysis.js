@@ -15,6 +15,11 @@ class ErrorAnalysis {
      */
     async init() {
         this.patterns = await Database.getErrorPatterns();
+
+        // Stored before spelling tracking existed
+        if (!this.patterns.spelling) {
+            this.patterns.spelling = { patterns: {} };
+        }
     }
 
     /**
@@ -42,28 +47,44 @@ class ErrorAnalysis {
 
     /**
      * Track vocabulary confusion
+     * @param {Object} examples - Sentences per word for contrastive drills: { word: [{ sentence, form }] }
      */
-    async trackVocabConfusion(word1, word2) {
-        const pair = [word1, word2].sort().join('|');
+    async trackVocabConfusion(word1, word2, examples = {}) {
+        let pair = this.findConfusedPair(word1, word2);
 
-        const existing = this.patterns.vocabulary.confusedPairs.find(p =>
-            p.words.sort().join('|') === pair
-        );
-
-        if (existing) {
-            existing.mistakes++;
-            existing.lastMistake = Date.now();
+        if (pair) {
+            pair.mistakes++;
+            pair.lastMistake = Date.now();
         } else {
-            this.patterns.vocabulary.confusedPairs.push({
+            pair = {
                 words: [word1, word2],
                 mistakes: 1,
                 lastMistake: Date.now()
-            });
+            };
+            this.patterns.vocabulary.confusedPairs.push(pair);
+        }
+
+        // Sentences for contrastive drills; a few of the latest per word
+        pair.examples = pair.examples || {};
+        for (const [word, sentences] of Object.entries(examples)) {
+            const known = pair.examples[word] || [];
+            const added = sentences.filter(e => !known.some(k => k.sentence === e.sentence));
+            pair.examples[word] = [...known, ...added].slice(-5);
         }
 
         await Database.saveErrorPatterns(this.patterns);
     }
 
+    /**
+     * Stored confusion for two words in either order, or null
+     */
+    findConfusedPair(word1, word2) {
+        const pair = [word1, word2].sort().join('|');
+        return this.patterns.vocabulary.confusedPairs.find(p =>
+            [...p.words].sort().join('|') === pair
+        ) || null;
+    }
+
     /**
      * Track pronunciation problem
      */
@@ -96,15 +117,42 @@ class ErrorAnalysis {
             w.type === type
         );
 
+        const example = { context, timestamp: Date.now() };
+
         if (existing) {
             existing.mistakes++;
             existing.accuracy = Math.max(0, existing.accuracy - 0.05);
+            existing.examples = [...(existing.examples || []), example].slice(-10);
         } else {
             this.patterns.listening.weakAreas.push({
                 type,
                 accuracy: 0.5,
-                mistakes: 1
+                mistakes: 1,
+                examples: [example]
+            });
+        }
+
+        await Database.saveErrorPatterns(this.patterns);
+    }
+
+    /**
+     * Track misspelling patterns (doubled_consonant, silent_letter, vowel_swap...)
+     */
+    async trackSpellingError(word, typed, patterns) {
+        for (const pattern of patterns) {
+            if (!this.patterns.spelling.patterns[pattern]) {
+                this.patterns.spelling.patterns[pattern] = { count: 0, words: [], examples: [] };
+            }
+
+            const error = this.patterns.spelling.patterns[pattern];
+            error.count++;
+            error.words = [...new Set([...error.words, word])].slice(-10);
+            error.examples.push({
+                word,
+                typed,
+                timestamp: Date.now()
             });
+            error.examples = error.examples.slice(-10);
         }
 
         await Database.saveErrorPatterns(this.patterns);
@@ -165,11 +213,22 @@ class ErrorAnalysis {
                 ...w
             }));
 
+        // Spelling
+        const spellingErrors = Object.entries(this.patterns.spelling.patterns)
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, limit)
+            .map(([pattern, data]) => ({
+                type: 'spelling',
+                pattern,
+                ...data
+            }));
+
         return {
             grammar: grammarErrors,
             vocabulary: vocabErrors,
             pronunciation: pronErrors,
-            listening: listenErrors
+            listening: listenErrors,
+            spelling: spellingErrors
         };
     }
 
@@ -200,6 +259,11 @@ class ErrorAnalysis {
             listening: {
                 weakAreas: topErrors.listening
             },
+            spelling: {
+                topPatterns: topErrors.spelling,
+                totalErrors: Object.values(this.patterns.spelling.patterns)
+                    .reduce((sum, e) => sum + e.count, 0)
+            },
             recommendation: {
                 focusArea,
                 message: this.getRecommendationMessage(focusArea, topErrors)
@@ -234,6 +298,9 @@ class ErrorAnalysis {
                 : 0,
             listening: topErrors.listening.length > 0
                 ? 1 - topErrors.listening[0].accuracy
+                : 0,
+            spelling: topErrors.spelling.length > 0
+                ? topErrors.spelling[0].count / 20
                 : 0
         };
 
@@ -272,6 +339,12 @@ class ErrorAnalysis {
                     ? `Improve ${listenError.type} recognition in listening.`
                     : 'Good listening skills!';
 
+            case 'spelling':
+                const spellError = topErrors.spelling[0];
+                return spellError
+                    ? `Watch out for ${this.formatCategory(spellError.pattern).toLowerCase()} mistakes, e.g. "${spellError.words[spellError.words.length - 1]}".`
+                    : 'Good spelling!';
+
             default:
                 return 'Keep up the good work!';
         }
@@ -307,7 +380,7 @@ class ErrorAnalysis {
             practice.push({
                 type: 'vocabulary',
                 words: pair.words,
-                exercises: this.getVocabExercises(pair.words)
+                exercises: this.getVocabExercises(pair.words, pair.examples)
             });
         }
 
@@ -346,7 +419,7 @@ class ErrorAnalysis {
     /**
      * Get vocabulary exercises for confused words
      */
-    getVocabExercises(words) {
+    getVocabExercises(words, examples = {}) {
         return [
             {
                 type: 'definition_match',
@@ -356,11 +429,36 @@ class ErrorAnalysis {
             {
                 type: 'sentence_completion',
                 instruction: 'Choose the correct word',
-                words
+                words,
+                items: this.getContrastiveItems(words, examples)
             }
         ];
     }
 
+    /**
+     * Gap fills from both words' sentences, alternating between the words,
+     * each with the same two options
+     * @returns {Array} [{ sentence, blanked, options, answer, form }]
+     */
+    getContrastiveItems(words, examples = {}) {
+        const perWord = words.map(word => (examples[word] || []).map(({ sentence, form }) => {
+            const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const blanked = sentence.replace(
+                new RegExp(`(^|[^A-Za-z])${escaped}(?![A-Za-z])`, 'gi'),
+                (match, before) => before + '___'
+            );
+            return { sentence, blanked, options: [...words], answer: word, form };
+        }).filter(item => item.blanked !== item.sentence));
+
+        const items = [];
+        for (let i = 0; i < Math.max(0, ...perWord.map(list => list.length)); i++) {
+            for (const list of perWord) {
+                if (list[i]) items.push(list[i]);
+            }
+        }
+        return items;
+    }
+
     /**
      * Get pronunciation exercises
      */
@@ -0,0 +1,237 @@
+/**
+ * Multi-word expressions: collocations, phrasal verbs, idioms and binomials
+ * Classifies an entry and builds the exercise each type is practised with
+ * (Boers & Lindstromberg 2009; Wray 2002 on formulaic language)
+ */
+
+import Lemmatizer from './lemmatizer.js';
+
+class Expressions {
+    static TYPES = {
+        WORD: 'word',
+        COLLOCATION: 'collocation',    // make a mistake, heavy rain
+        PHRASAL_VERB: 'phrasal_verb',  // wake up, look after
+        IDIOM: 'idiom',                // piece of cake
+        BINOMIAL: 'binomial'           // salt and pepper, sooner or later
+    };
+
+    static PARTICLES = [
+        'up', 'down', 'in', 'out', 'on', 'off', 'over', 'away', 'back', 'through',
+        'about', 'around', 'along', 'across', 'after', 'by', 'into', 'for', 'with', 'apart', 'ahead', 'forward'
+    ];
+
+    // Collocates learners confuse with each other ("do a mistake" for "make a mistake")
+    static COLLOCATE_GROUPS = [
+        ['make', 'do', 'take', 'have'],
+        ['say', 'tell', 'speak', 'talk'],
+        ['catch', 'get', 'keep', 'hold'],
+        ['pay', 'give', 'put', 'bring'],
+        ['break', 'lose', 'miss', 'drop'],
+        ['heavy', 'strong', 'big', 'high'],
+        ['fast', 'quick', 'rapid', 'swift']
+    ];
+
+    // Gaps more than one collocate fills correctly ("have a shower" and "take a shower");
+    // the other accepted collocates are kept out of the options
+    static SHARED_COLLOCATES = {
+        '___ a shower': ['have', 'take'],
+        '___ a bath': ['have', 'take'],
+        '___ a break': ['have', 'take'],
+        '___ a rest': ['have', 'take'],
+        '___ a look': ['have', 'take'],
+        '___ a nap': ['have', 'take'],
+        '___ a seat': ['have', 'take'],
+        '___ a walk': ['have', 'take'],
+        '___ a decision': ['make', 'take'],
+        '___ a speech': ['make', 'give'],
+        '___ a party': ['have', 'hold', 'give'],
+        '___ a meeting': ['have', 'hold'],
+        '___ a cold': ['catch', 'get', 'have'],
+        '___ the bus': ['catch', 'get'],
+        '___ the train': ['catch', 'get'],
+        '___ about': ['talk', 'speak'],
+        '___ to': ['talk', 'speak'],
+        '___ wind': ['strong', 'high'],
+        '___ winds': ['strong', 'high'],
+        '___ demand': ['high', 'strong', 'big'],
+        '___ growth': ['rapid', 'fast', 'strong'],
+        '___ response': ['quick', 'rapid', 'swift', 'fast']
+    };
+
+    static BINOMIAL_LINKS = ['and', 'or', 'to', 'by', 'after', "'n'"];
+
+    /**
+     * Type of a vocabulary entry; an explicit type from the pack or AI wins
+     */
+    classify(phrase, type = null) {
+        if (type && Object.values(Expressions.TYPES).includes(type)) return type;
+
+        const tokens = this.tokenize(phrase);
+        if (tokens.length < 2) return Expressions.TYPES.WORD;
+
+        if (tokens.length === 3 && Expressions.BINOMIAL_LINKS.includes(tokens[1])) {
+            return Expressions.TYPES.BINOMIAL;
+        }
+        if (tokens.length <= 3 && this.findParticle(tokens) > 0) {
+            return Expressions.TYPES.PHRASAL_VERB;
+        }
+        if (tokens.some(t => this.collocateGroup(t))) {
+            return Expressions.TYPES.COLLOCATION;
+        }
+        return tokens.length >= 3 ? Expressions.TYPES.IDIOM : Expressions.TYPES.COLLOCATION;
+    }
+
+    tokenize(phrase) {
+        return String(phrase || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Index of the particle right after the verb ("look after", "run out of"), or -1
+     */
+    findParticle(tokens) {
+        return Expressions.PARTICLES.includes(tokens[1]) ? 1 : -1;
+    }
+
+    collocateGroup(word) {
+        return Expressions.COLLOCATE_GROUPS.find(g => g.includes(word)) || null;
+    }
+
+    /**
+     * Exercise for a card in a study mode, or null if the card has none
+     * @param {Object} card - Vocabulary card
+     * @param {string} mode - 'collocation', 'particle' or 'idiom'
+     * @param {string[]} distractors - Translations of other cards (idiom meanings)
+     * @returns {{text: string, sentence: string, options: string[], answer: string, accepted?: string[], prompt: string}|null}
+     */
+    buildExercise(card, mode, distractors = []) {
+        const type = card.type || this.classify(card.word);
+        const sentence = card.contexts?.[0]?.sentence || card.examples?.[0] || '';
+
+        if (mode === 'collocation') {
+            if (type === Expressions.TYPES.BINOMIAL) return this.binomialExercise(card.word, sentence);
+            if (type === Expressions.TYPES.COLLOCATION) return this.collocateExercise(card.word, sentence);
+            // Single words practise the collocations the dictionary gave them
+            if (type === Expressions.TYPES.WORD) {
+                for (const collocation of card.collocations || []) {
+                    const exercise = this.collocateExercise(collocation, '');
+                    if (exercise) return exercise;
+                }
+            }
+            return null;
+        }
+        if (mode === 'particle' && type === Expressions.TYPES.PHRASAL_VERB) {
+            return this.particleExercise(card.word, sentence);
+        }
+        if (mode === 'idiom' && type === Expressions.TYPES.IDIOM) {
+            return this.meaningExercise(card, sentence, distractors);
+        }
+        return null;
+    }
+
+    /**
+     * Pick the collocate: "___ a mistake" with make / do / take / have
+     */
+    collocateExercise(phrase, sentence) {
+        const tokens = this.tokenize(phrase);
+        const index = tokens.findIndex(t => this.collocateGroup(t));
+        if (index === -1 || tokens.length < 2) return null;
+
+        const answer = tokens[index];
+        const text = tokens.map((t, i) => i === index ? '___' : t).join(' ');
+        const accepted = [...new Set([answer, ...(Expressions.SHARED_COLLOCATES[text] || [])])];
+
+        return {
+            text,
+            sentence,
+            options: this.shuffle(this.collocateGroup(answer).filter(w => w === answer || !accepted.includes(w))),
+            answer,
+            accepted,
+            prompt: 'Choose the word that goes with it'
+        };
+    }
+
+    /**
+     * Binomials have a fixed order: "salt and pepper", not "pepper and salt"
+     */
+    binomialExercise(phrase, sentence) {
+        const [first, link, second] = this.tokenize(phrase);
+        if (first === second) return null; // "step by step" reads the same both ways
+
+        return {
+            text: `${first} ${link} ${second} / ${second} ${link} ${first}`,
+            sentence: this.blankPhrase(sentence, phrase),
+            options: this.shuffle([`${first} ${link} ${second}`, `${second} ${link} ${first}`]),
+            answer: `${first} ${link} ${second}`,
+            prompt: 'Which order sounds natural?'
+        };
+    }
+
+    /**
+     * Particle gap fill: "She woke ___ at six." (the verb may be inflected in the example)
+     */
+    particleExercise(phrase, sentence) {
+        const tokens = this.tokenize(phrase);
+        const index = this.findParticle(tokens);
+        if (index === -1) return null;
+
+        const [verb] = tokens;
+        const answer = tokens[index];
+        const words = sentence.split(/(\s+)/);
+        const verbAt = words.findIndex(w => Lemmatizer.candidates(w.toLowerCase()).includes(verb));
+        // The particle can follow a short object: "put your coat on"
+        const particleAt = verbAt === -1 ? -1 : words.findIndex((w, i) =>
+            i > verbAt && i <= verbAt + 6 && w.toLowerCase().replace(/[^a-z]/g, '') === answer);
+
+        const text = particleAt !== -1
+            ? words.map((w, i) => i === particleAt ? w.toLowerCase().replace(answer, '___') : w).join('')
+            : tokens.map((t, i) => i === index ? '___' : t).join(' ');
+
+        const others = this.shuffle(Expressions.PARTICLES.filter(p => p !== answer)).slice(0, 3);
+
+        return {
+            text,
+            sentence,
+            options: this.shuffle([answer, ...others]),
+            answer,
+            prompt: 'Fill in the particle'
+        };
+    }
+
+    /**
+     * Idiom meaning in context: the example sentence with the idiom, four meanings
+     */
+    meaningExercise(card, sentence, distractors) {
+        const answer = card.translation || card.definition;
+        if (!answer) return null;
+
+        const others = this.shuffle([...new Set(distractors)].filter(d => d && d !== answer)).slice(0, 3);
+        if (others.length === 0) return null;
+
+        return {
+            text: card.word,
+            sentence,
+            options: this.shuffle([answer, ...others]),
+            answer,
+            prompt: 'What does it mean here?'
+        };
+    }
+
+    /**
+     * Hide a phrase in a sentence so the example does not give the answer away
+     */
+    blankPhrase(sentence, phrase) {
+        const index = sentence.toLowerCase().indexOf(phrase.toLowerCase());
+        if (index === -1) return sentence;
+        return sentence.slice(0, index) + '___' + sentence.slice(index + phrase.length);
+    }
+
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+export default new Expressions();
@@ -7,6 +7,10 @@
 import Database from './database.js';
 import SM2 from './sm2.js';
 import ErrorAnalysis from './errorAnalysis.js';
+import Manifest from './manifest.js';
+import AI from './ai.js';
+import GrammarGenerator from './grammarGenerator.js';
+import SentenceMiner from './sentenceMiner.js';
 
 class Grammar {
     constructor() {
@@ -15,6 +19,10 @@ class Grammar {
         this.currentPhase = null;
         this.currentTopicData = null;
         this.topicCache = {};
+        this.cards = [];
+        this.graph = {};      // topicId -> prerequisite topic ids
+        this.practiceSession = null;
+        this.userLevel = 'A1';
     }
 
     // Learning phases (Grammar Journey)
@@ -31,6 +39,38 @@ class Grammar {
     // Phase order for navigation
     static PHASE_ORDER = ['discover', 'understand', 'notice', 'practice', 'produce', 'input_flood', 'review'];
 
+    // Contractions expanded before typed answers are compared (order matters: won't before n't)
+    static CONTRACTIONS = [
+        [/\bwon't\b/g, 'will not'],
+        [/\bcan't\b/g, 'cannot'],
+        [/\bshan't\b/g, 'shall not'],
+        [/\bcan not\b/g, 'cannot'],
+        [/n't\b/g, ' not'],
+        [/\blet's\b/g, 'let us'],
+        [/'m\b/g, ' am'],
+        [/'re\b/g, ' are'],
+        [/'ve\b/g, ' have'],
+        [/'ll\b/g, ' will'],
+        [/'d\b/g, ' _d'],
+        [/\b(he|she|it|that|there|here|what|who|where|when|how)'s\b/g, '$1 _s']
+    ];
+
+    // Placeholders left by CONTRACTIONS and the words they can stand for
+    static AMBIGUOUS_CONTRACTIONS = [
+        ['_d', ['would', 'had']],
+        ['_s', ['is', 'has']]
+    ];
+
+    // Share of produce-phase points needed to pass it: 1 per sentence with the target
+    // structure used correctly (or not checkable without AI), 0.5 if it has other grammar errors
+    static PRODUCE_THRESHOLD = 0.6;
+
+    // Generated practice items per authored one (at least 3 per session)
+    static GENERATED_SHARE = 0.3;
+
+    // Review accuracy below which a passed prerequisite is revised before building on it
+    static WEAK_ACCURACY = 0.6;
+
     // Topics by level with correct file prefixes
     static TOPICS = {
         A1: [
@@ -125,6 +165,10 @@ class Grammar {
      */
     async init() {
         this.progress = await Database.getGrammarProgress();
+        this.cards = await Database.getGrammarCards();
+        const profile = await Database.getProfile();
+        this.userLevel = profile.levels?.grammar?.level || 'A1';
+        await this.loadGraph();
     }
 
     /**
@@ -140,11 +184,12 @@ class Grammar {
     }
 
     /**
-     * Get topic status (new, in_progress, completed)
+     * Get topic status (locked, new, in_progress, completed)
+     * A started topic keeps its status even if a prerequisite became unmet.
      */
     getTopicStatus(topicId) {
         const progress = this.progress[topicId];
-        if (!progress || !progress.startedAt) return 'new';
+        if (!progress || !progress.startedAt) return this.isUnlocked(topicId) ? 'new' : 'locked';
         if (progress.completedAt) return 'completed';
         return 'in_progress';
     }
@@ -174,7 +219,17 @@ class Grammar {
      * Start grammar journey for topic
      */
     async startTopic(topicId, level) {
+        if (this.getTopicStatus(topicId) === 'locked') {
+            return {
+                success: false,
+                locked: true,
+                missing: this.getMissingPrerequisites(topicId),
+                message: 'Complete the prerequisites first'
+            };
+        }
+
         this.currentTopic = topicId;
+        this.practiceSession = null;
 
         // Load topic data
         const topicData = await this.loadTopicData(topicId, level);
@@ -191,8 +246,13 @@ class Grammar {
             await Database.saveGrammarProgress(this.progress);
         }
 
-        // Determine current phase
+        // Topics passed before review cards were scheduled get them now
         const progress = this.progress[topicId];
+        if (progress.phases.practice?.completed) {
+            await this.addTopicCards(topicId, topicData);
+        }
+
+        // Determine current phase
         this.currentPhase = this.determineCurrentPhase(progress);
 
         return {
@@ -248,16 +308,14 @@ class Grammar {
             return this.topicCache[topicId];
         }
 
-        try {
-            // Use correct path: data/grammar/A1/a1_present_simple.json
-            const response = await fetch(`data/grammar/${level}/${topicId}.json`);
-            if (response.ok) {
-                const data = await response.json();
+        // Only topics listed in the manifest have a loadable file
+        const entry = await Manifest.findItem('grammar', topicId, level);
+        if (entry) {
+            const data = await Manifest.fetchItem(entry);
+            if (data) {
                 this.topicCache[topicId] = data;
                 return data;
             }
-        } catch (e) {
-            console.warn(`Loading topic data failed for ${topicId}:`, e);
         }
 
         // Return default structure if file not found
@@ -358,14 +416,20 @@ class Grammar {
                     score: data.score || 0,
                     attempts: (progress.phases.practice?.attempts || 0) + 1
                 };
+                if (progress.phases.practice.completed) {
+                    await this.addTopicCards(this.currentTopic, this.currentTopicData);
+                }
                 break;
 
             case Grammar.PHASES.PRODUCE:
                 progress.phases.produce = {
-                    completed: true,
+                    completed: Boolean(progress.phases.produce?.completed) ||
+                        data.score >= Grammar.PRODUCE_THRESHOLD,
+                    score: Math.max(progress.phases.produce?.score || 0, data.score || 0),
                     submissions: [...(progress.phases.produce?.submissions || []), {
                         text: data.text,
                         feedback: data.feedback,
+                        score: data.score || 0,
                         timestamp: Date.now()
                     }]
                 };
@@ -421,37 +485,44 @@ class Grammar {
     /**
      * Submit practice exercise answer
      * Tracks errors through ErrorAnalysis for targeted practice
+     * @param {number} exerciseIndex - Index in getPracticeSession().exercises (authored and generated items)
+     * @param {Object} options - aiFallback: ask AI about typed answers that match no key (default true)
      */
-    async submitPracticeAnswer(exerciseIndex, userAnswer) {
-        if (!this.currentTopicData?.phases?.practice?.exercises) {
-            return { correct: false, feedback: 'No exercise data' };
-        }
-
-        const exercise = this.currentTopicData.phases.practice.exercises[exerciseIndex];
+    async submitPracticeAnswer(exerciseIndex, userAnswer, options = {}) {
+        const exercise = this.getPracticeSession()?.exercises[exerciseIndex];
         if (!exercise) {
             return { correct: false, feedback: 'Exercise not found' };
         }
 
+        const { aiFallback = true } = options;
         let isCorrect = false;
         let correctAnswer = '';
+        let feedback = '';
 
         switch (exercise.type) {
             case 'fill_gap_context':
             case 'fill_gap':
-                isCorrect = userAnswer.toLowerCase().trim() === exercise.answer?.toLowerCase().trim();
-                correctAnswer = exercise.answer;
+            case 'error_correction': {
+                const accepted = this.getAcceptedAnswers(exercise);
+                correctAnswer = this.getAnswerKey(exercise) || accepted[0] || '';
+                const repeated = this.repeatsError(exercise, userAnswer);
+                isCorrect = !repeated && this.matchesAnswer(userAnswer, accepted, {
+                    keepPunctuation: this.isPunctuationCorrection(exercise, accepted)
+                });
+
+                if (!isCorrect && !repeated && aiFallback && String(userAnswer).trim() && accepted.length > 0) {
+                    const check = await this.checkWithAI(exercise, userAnswer, accepted);
+                    isCorrect = Boolean(check?.correct);
+                    feedback = check?.feedback || '';
+                }
                 break;
+            }
 
             case 'choose_correct':
             case 'multiple_choice':
                 isCorrect = userAnswer === exercise.correct;
                 correctAnswer = exercise.options?.[exercise.correct];
                 break;
-
-            case 'error_correction':
-                isCorrect = userAnswer.toLowerCase().trim() === exercise.correct?.toLowerCase().trim();
-                correctAnswer = exercise.correct;
-                break;
         }
 
         // Track error through ErrorAnalysis if incorrect
@@ -461,7 +532,7 @@ class Grammar {
                     exerciseType: exercise.type,
                     userAnswer,
                     correctAnswer,
-                    sentence: exercise.sentence || exercise.question || '',
+                    sentence: exercise.sentence || exercise.incorrect || exercise.question || '',
                     topicId: this.currentTopic
                 });
             } catch (e) {
@@ -473,56 +544,345 @@ class Grammar {
             correct: isCorrect,
             correctAnswer,
             explanation: exercise.explanation || '',
-            feedback: isCorrect ? 'Correct!' : `The correct answer is: ${correctAnswer}`
+            feedback: isCorrect
+                ? feedback || 'Correct!'
+                : [feedback, `The correct answer is: ${correctAnswer}`].filter(Boolean).join(' ')
+        };
+    }
+
+    // ============= Answer Checking =============
+
+    /**
+     * Accepted answers of a typed exercise: the `answers` list if given, else the
+     * single key, where older files separate alternatives with " / "
+     */
+    getAcceptedAnswers(exercise) {
+        if (Array.isArray(exercise.answers) && exercise.answers.length > 0) {
+            return exercise.answers;
+        }
+        const key = this.getAnswerKey(exercise);
+        return key ? key.split(' / ').map(a => a.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Answer shown to the learner: `correct` of an error correction, else `answer`
+     */
+    getAnswerKey(exercise) {
+        const key = exercise.type === 'error_correction' ? exercise.correct : exercise.answer;
+        return typeof key === 'string' ? key : '';
+    }
+
+    /**
+     * Whether a typed answer equals any accepted answer after normalization
+     */
+    matchesAnswer(userAnswer, accepted, options = {}) {
+        const typed = this.answerVariants(userAnswer, options);
+        return accepted.some(answer => this.answerVariants(answer, options).some(v => typed.includes(v)));
+    }
+
+    /**
+     * Whether an error correction answer is just the incorrect sentence typed back,
+     * compared with its punctuation and contractions as written ("I willn't forget.")
+     */
+    repeatsError(exercise, userAnswer) {
+        if (exercise.type !== 'error_correction' || !exercise.incorrect) return false;
+        const literal = { keepPunctuation: true, expandContractions: false };
+        return this.answerVariants(userAnswer, literal)[0] === this.answerVariants(exercise.incorrect, literal)[0];
+    }
+
+    /**
+     * Whether an error correction only fixes punctuation (a missing comma), so
+     * answers have to be compared with their punctuation
+     */
+    isPunctuationCorrection(exercise, accepted) {
+        if (exercise.type !== 'error_correction' || !exercise.incorrect) return false;
+        return this.matchesAnswer(exercise.incorrect, accepted)
+            && !this.matchesAnswer(exercise.incorrect, accepted, { keepPunctuation: true });
+    }
+
+    /**
+     * Normalized forms of an answer: lowercase, straight apostrophes, contractions
+     * expanded ("doesn't" -> "does not"), no punctuation, single spaces.
+     * 'd and a pronoun's are ambiguous (had/would, is/has), so each reading is a variant.
+     * keepPunctuation keeps commas, semicolons and colons inside the sentence;
+     * expandContractions: false leaves contractions as written.
+     * @returns {string[]}
+     */
+    answerVariants(text, { keepPunctuation = false, expandContractions = true } = {}) {
+        let normalized = String(text ?? '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019\u02BC`\u00B4]/g, "'")
+            .replace(/[\u201C\u201D]/g, '"');
+
+        if (expandContractions) {
+            for (const [pattern, replacement] of Grammar.CONTRACTIONS) {
+                normalized = normalized.replace(pattern, replacement);
+            }
+        }
+
+        normalized = normalized
+            .replace(keepPunctuation ? /[.!?"()\u2026\u2013\u2014]/g : /[.,!?;:"()\u2026\u2013\u2014]/g, ' ')
+            .replace(/\s*([,;:])\s*/g, '$1 ')
+            .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        let variants = [normalized];
+        for (const [marker, readings] of Grammar.AMBIGUOUS_CONTRACTIONS) {
+            variants = variants.flatMap(v => v.includes(marker)
+                ? readings.map(r => v.split(marker).join(r))
+                : [v]);
+        }
+        return [...new Set(variants)];
+    }
+
+    /**
+     * Ask AI whether an answer that matches no key is still right; verdicts are
+     * cached per exercise and normalized answer, failed checks are not
+     */
+    async checkWithAI(exercise, userAnswer, accepted) {
+        const key = [
+            this.currentTopic || '',
+            exercise.sentence || exercise.incorrect || '',
+            this.answerVariants(userAnswer)[0]
+        ].join('|');
+
+        const cached = await Database.getGrammarCheck(key);
+        if (cached) return cached;
+
+        try {
+            const context = exercise.type === 'error_correction'
+                ? `Correct this sentence: ${exercise.incorrect}`
+                : `Fill the gap: ${exercise.sentence}`;
+            const result = await AI.checkGrammarExercise(
+                userAnswer,
+                `${context} (accepted: ${accepted.join(' | ')})`,
+                this.currentTopicData?.title || this.currentTopic
+            );
+            if (result && !result.unavailable && typeof result.correct === 'boolean') {
+                await Database.saveGrammarCheck(key, result);
+                return result;
+            }
+        } catch (e) {
+            console.warn('AI answer check failed:', e);
+        }
+        return null;
+    }
+
+    // ============= Production =============
+
+    /**
+     * Check the sentences written in the produce phase: is the topic's structure used,
+     * and correctly (AI, or the highlighted forms when AI is unavailable), plus
+     * general grammar from LanguageTool. Wrong uses are tracked as grammar errors.
+     * @returns {{success: boolean, sentences: Object[], score: number, passed: boolean, threshold: number, aiChecked: boolean}}
+     */
+    async evaluateProduction(text) {
+        const sentences = this.splitSentences(text);
+        if (sentences.length === 0) {
+            return { success: false, message: 'No sentences found' };
+        }
+
+        const produce = this.currentTopicData?.phases?.produce || {};
+        const forms = this.getTargetForms();
+        const [grammar, verdicts] = await Promise.all([
+            AI.checkGrammar(text),
+            produce.ai_check === false
+                ? null
+                : AI.checkTargetStructure(
+                    sentences.map(s => s.text),
+                    this.currentTopicData?.title || this.currentTopic,
+                    produce.criteria || []
+                )
+        ]);
+
+        const results = sentences.map((s, i) => {
+            const errors = grammar.errors
+                .filter(e => e.offset >= s.start && e.offset < s.start + s.text.length)
+                .map(e => ({ ...e, offset: e.offset - s.start }));
+            const targetForms = this.findTargetForms(s.text, forms);
+            const verdict = verdicts?.[i];
+
+            // Without AI a single highlighted word ("had", "were") says nothing about the
+            // structure: only a whole multi-word form counts, other sentences stay unverified
+            const exactForms = targetForms.filter(f => f.includes(' '));
+            const usesTarget = verdict ? Boolean(verdict.usesTarget) : exactForms.length > 0;
+            const targetCorrect = usesTarget && (verdict ? Boolean(verdict.correct) : true);
+            const verified = Boolean(verdict) || usesTarget;
+
+            // An unverified sentence is not held against the learner: only LanguageTool scores it
+            const structureOk = verified ? targetCorrect : true;
+
+            return {
+                sentence: s.text,
+                verified,
+                usesTarget,
+                targetCorrect,
+                targetForms,
+                errors,
+                correction: verdict?.correction || (errors.length > 0 ? this.applyCorrections(s.text, errors) : ''),
+                feedback: verdict?.feedback || '',
+                score: structureOk ? (errors.length === 0 ? 1 : 0.5) : 0
+            };
+        });
+
+        for (const result of results.filter(r => r.usesTarget && !r.targetCorrect)) {
+            try {
+                await ErrorAnalysis.trackGrammarError(this.currentTopic, {
+                    exerciseType: 'produce',
+                    userAnswer: result.sentence,
+                    correctAnswer: result.correction,
+                    sentence: result.sentence,
+                    topicId: this.currentTopic
+                });
+            } catch (e) {
+                console.warn('Failed to track grammar error:', e);
+            }
+        }
+
+        const score = results.reduce((sum, r) => sum + r.score, 0) / results.length;
+        return {
+            success: true,
+            sentences: results,
+            score,
+            passed: score >= Grammar.PRODUCE_THRESHOLD,
+            threshold: Grammar.PRODUCE_THRESHOLD,
+            aiChecked: verdicts !== null
         };
     }
 
     /**
-     * Get practice session for current topic
+     * Sentences of a learner's text with their offsets (lines count as sentences too)
+     * @returns {Array<{text: string, start: number}>}
+     */
+    splitSentences(text) {
+        const sentences = [];
+        let lineStart = 0;
+        for (const line of String(text || '').split('\n')) {
+            for (const s of SentenceMiner.splitSentences(line)) {
+                if (/[A-Za-z]/.test(s.text)) sentences.push({ text: s.text, start: lineStart + s.start });
+            }
+            lineStart += line.length + 1;
+        }
+        return sentences;
+    }
+
+    /**
+     * Forms of the target structure: the phrases highlighted in the discover phase
+     */
+    getTargetForms(topicData = this.currentTopicData) {
+        const discover = JSON.stringify(topicData?.phases?.discover || {});
+        const forms = [...discover.matchAll(/<highlight>(.*?)<\/highlight>/g)]
+            .map(m => m[1].trim().toLowerCase());
+        return [...new Set(forms)].filter(Boolean);
+    }
+
+    /**
+     * Target forms in a sentence as whole words, compared with contractions expanded
+     */
+    findTargetForms(sentence, forms = this.getTargetForms()) {
+        const variants = this.answerVariants(sentence).map(v => ` ${v} `);
+        return forms.filter(form =>
+            this.answerVariants(form).some(f => f && variants.some(v => v.includes(` ${f} `)))
+        );
+    }
+
+    /**
+     * Sentence with LanguageTool's first suggestion applied to every error
+     */
+    applyCorrections(sentence, errors) {
+        return [...errors]
+            .filter(e => e.replacements.length > 0)
+            .sort((a, b) => b.offset - a.offset)
+            .reduce((text, e) => text.slice(0, e.offset) + e.replacements[0] + text.slice(e.offset + e.length), sentence);
+    }
+
+    /**
+     * Get practice session for current topic: the authored exercises mixed with generated
+     * ones. It is kept until the next preparePracticeSession, so exercise indices stay
+     * valid between showing an exercise and checking its answer.
      */
     getPracticeSession() {
         if (!this.currentTopicData?.phases?.practice) return null;
 
-        const practice = this.currentTopicData.phases.practice;
-        const allExercises = [];
+        if (this.practiceSession?.topicId !== this.currentTopic) {
+            this.practiceSession = this.buildPracticeSession(
+                GrammarGenerator.generate(this.currentTopic, this.getGeneratedCount())
+            );
+        }
+        return this.practiceSession;
+    }
 
-        // Flatten all exercise types
-        if (practice.exercises) {
-            for (const exercise of practice.exercises) {
-                if (exercise.sentences) {
-                    // Fill gap with multiple sentences
-                    exercise.sentences.forEach((s, i) => {
-                        allExercises.push({
-                            ...s,
-                            type: exercise.type,
-                            index: allExercises.length
-                        });
-                    });
-                } else if (exercise.questions) {
-                    // Multiple choice questions
-                    exercise.questions.forEach((q, i) => {
-                        allExercises.push({
-                            ...q,
-                            type: exercise.type,
-                            index: allExercises.length
-                        });
-                    });
-                } else {
-                    allExercises.push({
-                        ...exercise,
-                        index: allExercises.length
-                    });
-                }
+    /**
+     * Start a practice attempt with freshly generated items. Topics without templates
+     * get AI-written items from the second attempt on, once the authored ones are familiar.
+     */
+    async preparePracticeSession() {
+        this.practiceSession = null;
+        if (!this.currentTopicData?.phases?.practice) return null;
+
+        const count = this.getGeneratedCount();
+        let generated = GrammarGenerator.generate(this.currentTopic, count);
+
+        const attempts = this.progress[this.currentTopic]?.phases?.practice?.attempts || 0;
+        if (generated.length === 0 && attempts > 0) {
+            try {
+                generated = await GrammarGenerator.generateWithAI(this.currentTopicData, count);
+            } catch (e) {
+                console.warn('AI practice generation failed:', e);
             }
         }
 
+        this.practiceSession = this.buildPracticeSession(generated);
+        return this.practiceSession;
+    }
+
+    /**
+     * Authored exercises with generated items placed among them at random
+     */
+    buildPracticeSession(generated = []) {
+        const exercises = this.getAuthoredExercises();
+        for (const item of generated) {
+            exercises.splice(Math.floor(Math.random() * (exercises.length + 1)), 0, item);
+        }
+
         return {
-            exercises: allExercises,
-            total: allExercises.length,
-            passThreshold: practice.pass_threshold || 0.7
+            topicId: this.currentTopic,
+            exercises: exercises.map((exercise, index) => ({ ...exercise, index })),
+            total: exercises.length,
+            generated: generated.length,
+            passThreshold: this.currentTopicData.phases.practice.pass_threshold || 0.7
         };
     }
 
+    /**
+     * Number of generated items in a session, relative to the authored ones
+     */
+    getGeneratedCount() {
+        return Math.max(3, Math.round(this.getAuthoredExercises().length * Grammar.GENERATED_SHARE));
+    }
+
+    /**
+     * Exercises of the topic file, sentences and questions flattened into single items
+     */
+    getAuthoredExercises() {
+        const practice = this.currentTopicData?.phases?.practice;
+        const allExercises = [];
+
+        for (const exercise of practice?.exercises || []) {
+            if (exercise.sentences) {
+                // Fill gap with multiple sentences
+                exercise.sentences.forEach(s => allExercises.push({ ...s, type: exercise.type }));
+            } else if (exercise.questions) {
+                // Multiple choice questions
+                exercise.questions.forEach(q => allExercises.push({ ...q, type: exercise.type }));
+            } else {
+                allExercises.push({ ...exercise });
+            }
+        }
+        return allExercises;
+    }
+
     /**
      * Get input flood texts for current topic
      */
@@ -541,16 +901,152 @@ class Grammar {
 
     /**
      * Create grammar card for review (SM-2)
+     * @param {number} index - Position in the topic's grammar_cards, keeps the id stable
      */
-    createGrammarCard(topic, type, content) {
+    createGrammarCard(topic, type, content, index = Date.now()) {
+        const id = `grammar_${topic}_${index}`;
         return {
+            id,
             topicId: topic,
             type,
             ...content,
-            sm2: SM2.createCard(`grammar_${topic}_${Date.now()}`)
+            failed: false,
+            sm2: SM2.createCard(id)
         };
     }
 
+    // ============= Review Cards =============
+
+    /**
+     * Schedule a topic's review cards; done once, when its practice phase is passed.
+     * Passing practice again after a leech releases the topic's suspended cards.
+     * @returns {number} Cards added
+     */
+    async addTopicCards(topicId, topicData) {
+        if (this.cards.some(c => c.topicId === topicId)) {
+            await this.releaseLeeches(topicId);
+            return 0;
+        }
+
+        const cards = (topicData?.phases?.review?.grammar_cards || []).map((card, index) =>
+            this.createGrammarCard(topicId, card.type, { ...card, level: topicData.level }, index)
+        );
+        if (cards.length === 0) return 0;
+
+        this.cards.push(...cards);
+        await Database.saveGrammarCards(this.cards);
+        return cards.length;
+    }
+
+    /**
+     * Cards due now, most overdue first (suspended leeches are skipped)
+     */
+    getDueCards(limit = 20) {
+        const now = Date.now();
+        return this.cards
+            .filter(c => !c.sm2.suspended && c.sm2.nextReview <= now)
+            .sort((a, b) => a.sm2.nextReview - b.sm2.nextReview)
+            .slice(0, limit);
+    }
+
+    /**
+     * Review counts in the shape of Vocabulary.getDueCounts: due by the end of today and overdue
+     */
+    getDueCounts() {
+        const now = Date.now();
+        const endOfDay = new Date().setHours(23, 59, 59, 999);
+        const active = this.cards.filter(c => !c.sm2.suspended);
+
+        return {
+            due: active.filter(c => c.sm2.nextReview <= endOfDay).length,
+            overdue: active.filter(c => c.sm2.nextReview < now).length
+        };
+    }
+
+    /**
+     * Grade a review card. A failed card marks its topic as weak until the card is recalled.
+     * @param {number} quality - SM2.AGAIN .. SM2.EASY
+     */
+    async reviewCard(cardId, quality) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) {
+            return { success: false, message: 'Card not found' };
+        }
+
+        SM2.processAnswer(card.sm2, quality);
+        card.failed = quality === SM2.AGAIN;
+
+        // A leech is not reviewed again: the topic's practice reopens instead, and
+        // passing it releases the card (see addTopicCards)
+        const progress = this.progress[card.topicId];
+        if (card.sm2.suspended) {
+            card.failed = false;
+            if (progress?.phases.practice) {
+                progress.phases.practice = { ...progress.phases.practice, completed: false };
+            }
+        }
+        await Database.saveGrammarCards(this.cards);
+
+        if (progress) {
+            progress.phases.review = {
+                ...progress.phases.review,
+                accuracy: this.getReviewAccuracy(card.topicId),
+                lastReview: Date.now()
+            };
+            await Database.saveGrammarProgress(this.progress);
+        }
+
+        return { success: true, card, failed: card.failed, leech: Boolean(card.sm2.suspended) };
+    }
+
+    /**
+     * Share of a topic's cards recalled at their last review (leeches count as not recalled)
+     */
+    getReviewAccuracy(topicId) {
+        const topicCards = this.cards.filter(c => c.topicId === topicId);
+        return topicCards.filter(c => !c.failed && !c.sm2.suspended).length / topicCards.length;
+    }
+
+    /**
+     * Put a topic's suspended cards back into learning once its practice is passed again
+     */
+    async releaseLeeches(topicId) {
+        const leeches = this.cards.filter(c => c.topicId === topicId && c.sm2.suspended);
+        if (leeches.length === 0) return;
+
+        for (const card of leeches) {
+            card.sm2.suspended = false;
+            card.sm2.status = 'learning';
+            card.sm2.learningStep = 0;
+            card.sm2.nextReview = Date.now();
+        }
+        await Database.saveGrammarCards(this.cards);
+
+        const review = this.progress[topicId]?.phases.review;
+        if (review) {
+            review.accuracy = this.getReviewAccuracy(topicId);
+            await Database.saveGrammarProgress(this.progress);
+        }
+    }
+
+    /**
+     * Topics with a failed review card, most recently failed first (leeches are left
+     * to getLeechTopics)
+     */
+    getWeakTopics() {
+        const failed = this.cards
+            .filter(c => c.failed && !c.sm2.suspended)
+            .sort((a, b) => b.sm2.lastReview - a.sm2.lastReview);
+        return [...new Set(failed.map(c => c.topicId))];
+    }
+
+    /**
+     * Topics with a suspended review card; they stay suggested until practice is passed again
+     */
+    getLeechTopics() {
+        return [...new Set(this.cards.filter(c => c.sm2.suspended).map(c => c.topicId))];
+    }
+
     /**
      * Get overall grammar stats
      */
@@ -605,14 +1101,29 @@ class Grammar {
      * Get recommended next topic
      */
     getNextTopic(userLevel) {
+        // A topic whose review cards were failed comes back before new ones
+        const failed = [...this.getWeakTopics(), ...this.getLeechTopics()].find(id => this.getTopicLevel(id));
+        if (failed) {
+            return this.suggestTopic(failed, userLevel, { review: true });
+        }
+
         const levelTopics = Grammar.TOPICS[userLevel] || [];
 
-        // Find first incomplete topic
+        // First incomplete topic, or the prerequisite that has to come before it
         for (const topic of levelTopics) {
             const progress = this.progress[topic.id];
-            if (!progress || !progress.completedAt) {
-                return topic;
+            if (progress?.completedAt) continue;
+
+            const startable = this.findStartable(topic.id);
+            if (!startable) continue;
+
+            const weak = this.getPrerequisites(startable).find(id => this.isWeak(id));
+            if (weak) {
+                return this.suggestTopic(weak, userLevel, { review: true, unlocks: topic.id });
             }
+            return startable === topic.id
+                ? topic
+                : this.suggestTopic(startable, userLevel, { unlocks: topic.id });
         }
 
         // All completed at this level, try next level
@@ -630,6 +1141,120 @@ class Grammar {
         return null;
     }
 
+    /**
+     * Topic info for a suggestion, with suggestedLevel when it is not the learner's level
+     */
+    suggestTopic(topicId, userLevel, extra = {}) {
+        const level = this.getTopicLevel(topicId);
+        const topic = { ...this.findTopicInfo(topicId, level), ...extra };
+        return level === userLevel ? topic : { ...topic, suggestedLevel: level };
+    }
+
+    // ============= Prerequisite Graph =============
+
+    /**
+     * Read every topic's prerequisites from the manifest entries of the topic files
+     */
+    async loadGraph() {
+        this.graph = {};
+        for (const level of Object.keys(Grammar.TOPICS)) {
+            for (const entry of await Manifest.getItems('grammar', level)) {
+                this.graph[entry.id] = entry.prerequisites || [];
+            }
+        }
+        return this.graph;
+    }
+
+    getPrerequisites(topicId) {
+        return this.graph[topicId] || [];
+    }
+
+    /**
+     * Level that lists the topic in Grammar.TOPICS, or null
+     */
+    getTopicLevel(topicId) {
+        return Object.keys(Grammar.TOPICS).find(level => this.findTopicInfo(topicId, level)) || null;
+    }
+
+    /**
+     * A prerequisite is met once its practice phase is passed. Topics below the
+     * learner's grammar level are taken as known, and topics the app cannot open never block.
+     */
+    isSatisfied(topicId) {
+        if (this.progress[topicId]?.phases?.practice?.completed) return true;
+
+        const levels = Object.keys(Grammar.TOPICS);
+        const level = this.getTopicLevel(topicId);
+        return level === null || levels.indexOf(level) < levels.indexOf(this.userLevel);
+    }
+
+    getMissingPrerequisites(topicId) {
+        return this.getPrerequisites(topicId).filter(id => !this.isSatisfied(id));
+    }
+
+    isUnlocked(topicId) {
+        return this.getMissingPrerequisites(topicId).length === 0;
+    }
+
+    /**
+     * A passed topic with failed review cards or low review accuracy
+     */
+    isWeak(topicId) {
+        const review = this.progress[topicId]?.phases?.review;
+        return this.getWeakTopics().includes(topicId) ||
+            Boolean(review?.lastReview && review.accuracy < Grammar.WEAK_ACCURACY);
+    }
+
+    /**
+     * The topic if it is unlocked, else the first unlocked topic found among its
+     * missing prerequisites, depth-first
+     */
+    findStartable(topicId, seen = new Set()) {
+        // A cycle in broken content would otherwise recurse forever
+        if (seen.has(topicId)) return null;
+        seen.add(topicId);
+
+        const missing = this.getMissingPrerequisites(topicId);
+        if (missing.length === 0) return topicId;
+
+        for (const id of missing) {
+            const found = this.findStartable(id, seen);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Topics of a level for the path view: each after its prerequisites, with its
+     * step (1 + the longest chain of prerequisites within the level)
+     */
+    getPath(level) {
+        const topics = Grammar.TOPICS[level] || [];
+        const ids = new Set(topics.map(t => t.id));
+        const steps = {};
+
+        const step = (topicId, seen = new Set()) => {
+            if (steps[topicId]) return steps[topicId];
+            if (seen.has(topicId)) return 1;
+            seen.add(topicId);
+
+            const inLevel = this.getPrerequisites(topicId).filter(id => ids.has(id));
+            steps[topicId] = 1 + Math.max(0, ...inLevel.map(id => step(id, seen)));
+            return steps[topicId];
+        };
+
+        return topics
+            .map((topic, order) => ({
+                ...topic,
+                order,
+                step: step(topic.id),
+                status: this.getTopicStatus(topic.id),
+                prerequisites: this.getPrerequisites(topic.id),
+                missing: this.getMissingPrerequisites(topic.id)
+            }))
+            .sort((a, b) => a.step - b.step || a.order - b.order);
+    }
+
     /**
      * Check level requirements
      */
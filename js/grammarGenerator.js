@@ -0,0 +1,388 @@
+/**
+ * Procedurally generated grammar practice
+ * Fills sentence templates from a small lexicon, inflecting verbs for tense and
+ * subject agreement, so a topic can be practised with sentences the learner has
+ * not memorized. Items have the same shape as the authored ones in topic files.
+ */
+
+import AI from './ai.js';
+
+class GrammarGenerator {
+    static SUBJECTS = [
+        { text: 'I', person: 1, plural: false },
+        { text: 'You', person: 2, plural: false },
+        { text: 'He', person: 3, plural: false },
+        { text: 'She', person: 3, plural: false },
+        { text: 'We', person: 1, plural: true },
+        { text: 'They', person: 3, plural: true },
+        { text: 'My sister', person: 3, plural: false },
+        { text: 'The teacher', person: 3, plural: false },
+        { text: 'My parents', person: 3, plural: true },
+        { text: 'Our neighbours', person: 3, plural: true }
+    ];
+
+    // Irregular forms are listed; regular ones are built by the inflection rules
+    static VERBS = [
+        { base: 'play', objects: ['tennis', 'the guitar', 'chess'] },
+        { base: 'watch', objects: ['films', 'the news'] },
+        { base: 'study', objects: ['English', 'maths'] },
+        { base: 'cook', objects: ['dinner', 'pasta'] },
+        { base: 'clean', objects: ['the kitchen', 'the windows'] },
+        { base: 'wash', objects: ['the dishes', 'the car'] },
+        { base: 'visit', objects: ['the museum', 'friends'] },
+        { base: 'write', past: 'wrote', participle: 'written', objects: ['emails', 'a letter'] },
+        { base: 'read', past: 'read', participle: 'read', objects: ['the newspaper', 'a book'] },
+        { base: 'eat', past: 'ate', participle: 'eaten', objects: ['breakfast', 'fruit'] },
+        { base: 'buy', past: 'bought', participle: 'bought', objects: ['bread', 'new shoes'] },
+        { base: 'make', past: 'made', participle: 'made', objects: ['a cake', 'coffee'] },
+        { base: 'drive', past: 'drove', participle: 'driven', objects: ['to work', 'a truck'] },
+        { base: 'take', past: 'took', participle: 'taken', objects: ['photos', 'the bus'] },
+        { base: 'speak', past: 'spoke', participle: 'spoken', objects: ['French', 'to the manager'] },
+        { base: 'have', past: 'had', participle: 'had', third: 'has', objects: ['lunch', 'a shower'] },
+        // "have gone" is not the experience perfect ("have been"), so go stays out of it
+        { base: 'go', past: 'went', participle: 'gone', third: 'goes', perfect: false, objects: ['to the gym', 'to the park'] }
+    ];
+
+    // Time expressions pin the tense, so only one form fits the gap
+    static TENSES = {
+        present_simple: {
+            times: ['every day', 'on Saturdays', 'twice a week', 'every evening'],
+            rule: 'Present Simple: he/she/it + verb-s, I/you/we/they + base form'
+        },
+        present_continuous: {
+            times: ['now', 'at the moment', 'right now'],
+            rule: 'Present Continuous: am/is/are + verb-ing'
+        },
+        past_simple: {
+            times: ['yesterday', 'last week', 'two days ago', 'last Sunday'],
+            rule: 'Past Simple: the past form for every subject (did not + base form in negatives)'
+        },
+        past_continuous: {
+            times: ['at 8 pm yesterday', 'at this time yesterday', 'all evening yesterday'],
+            rule: 'Past Continuous: was/were + verb-ing'
+        },
+        future_will: {
+            times: ['tomorrow', 'next week', 'next year'],
+            rule: 'Future Simple: will + base form for every subject'
+        },
+        going_to: {
+            times: ['tomorrow', 'this weekend', 'next month'],
+            rule: 'Going to: am/is/are + going to + base form'
+        },
+        present_perfect: {
+            times: ['before', 'many times', 'twice'],
+            rule: 'Present Perfect: have/has + past participle'
+        }
+    };
+
+    // Topics with templates; `verbs` limits the lexicon to regular or irregular verbs
+    static TOPICS = {
+        a1_present_simple: { tense: 'present_simple', negatives: true },
+        a1_present_continuous: { tense: 'present_continuous' },
+        a2_past_simple_regular: { tense: 'past_simple', verbs: 'regular', negatives: true },
+        a2_past_simple_irregular: { tense: 'past_simple', verbs: 'irregular', negatives: true },
+        a2_past_continuous: { tense: 'past_continuous' },
+        a2_future_will: { tense: 'future_will' },
+        a2_future_going_to: { tense: 'going_to' },
+        b1_present_perfect_experience: { tense: 'present_perfect' }
+    };
+
+    static ITEM_TYPES = ['fill_gap_context', 'choose_correct', 'error_correction'];
+
+    hasTemplates(topicId) {
+        return Boolean(GrammarGenerator.TOPICS[topicId]);
+    }
+
+    /**
+     * Fresh items for a topic, cycling through fill-gap, multiple-choice and error correction
+     * @returns {Object[]} Items like the authored ones, with their `type` and `generated: true`
+     */
+    generate(topicId, count = 6) {
+        const template = GrammarGenerator.TOPICS[topicId];
+        if (!template) return [];
+
+        const items = [];
+        const seen = new Set();
+        // Small lexicons repeat; give up instead of looping forever
+        for (let attempt = 0; items.length < count && attempt < count * 10; attempt++) {
+            const sentence = this.buildSentence(template);
+            if (!sentence || seen.has(sentence.correct)) continue;
+            seen.add(sentence.correct);
+
+            const type = GrammarGenerator.ITEM_TYPES[items.length % GrammarGenerator.ITEM_TYPES.length];
+            items.push({ ...this.toItem(type, sentence), generated: true });
+        }
+        return items;
+    }
+
+    /**
+     * One sentence from a topic template: subject, verb phrase, object and time
+     */
+    buildSentence(template) {
+        const verbs = GrammarGenerator.VERBS.filter(v =>
+            (template.verbs !== 'regular' || !v.past) &&
+            (template.verbs !== 'irregular' || v.past) &&
+            (template.tense !== 'present_perfect' || v.perfect !== false)
+        );
+        if (verbs.length === 0) return null;
+
+        const verb = this.pick(verbs);
+        const subject = this.pick(GrammarGenerator.SUBJECTS);
+        const negative = Boolean(template.negatives) && Math.random() < 0.25;
+        const phrase = this.conjugate(verb, template.tense, subject, negative);
+
+        const object = this.pick(verb.objects);
+        const time = this.pick(GrammarGenerator.TENSES[template.tense].times);
+        const frame = (form) => `${subject.text} ${form} ${object} ${time}.`;
+
+        return {
+            verb,
+            subject,
+            negative,
+            tense: template.tense,
+            phrase,
+            frame,
+            correct: frame(phrase),
+            hint: negative ? `not/${verb.base}` : verb.base
+        };
+    }
+
+    /**
+     * Turn a sentence into an exercise item of the given type; negatives and sentences
+     * without a wrong form to show become fill-gap items
+     */
+    toItem(type, sentence) {
+        const { phrase, frame, hint, tense } = sentence;
+        const explanation = GrammarGenerator.TENSES[tense].rule;
+        const wrong = sentence.negative ? [] : this.wrongForms(sentence);
+
+        if (type === 'fill_gap_context' || wrong.length === 0) {
+            return { type: 'fill_gap_context', sentence: frame(`___ (${hint})`), answer: phrase, explanation };
+        }
+
+        if (type === 'choose_correct') {
+            const options = this.shuffle([phrase, ...this.shuffle(wrong).slice(0, 2)]);
+            return {
+                type,
+                sentence: frame('___'),
+                options,
+                correct: options.indexOf(phrase),
+                explanation
+            };
+        }
+
+        return {
+            type,
+            incorrect: frame(this.pick(wrong)),
+            correct: sentence.correct,
+            explanation
+        };
+    }
+
+    /**
+     * Verb phrase for a tense and subject: "plays", "is playing", "did not play"
+     */
+    conjugate(verb, tense, subject, negative = false) {
+        const third = subject.person === 3 && !subject.plural;
+        const be = subject.person === 1 && !subject.plural ? 'am' : third ? 'is' : 'are';
+        const not = negative ? ' not' : '';
+
+        switch (tense) {
+            case 'present_simple':
+                if (negative) return `${third ? 'does' : 'do'} not ${verb.base}`;
+                return third ? this.thirdPerson(verb) : verb.base;
+            case 'present_continuous':
+                return `${be}${not} ${this.ing(verb)}`;
+            case 'past_simple':
+                return negative ? `did not ${verb.base}` : this.past(verb);
+            case 'past_continuous':
+                return `${third || (subject.person === 1 && !subject.plural) ? 'was' : 'were'}${not} ${this.ing(verb)}`;
+            case 'future_will':
+                return `will${not} ${verb.base}`;
+            case 'going_to':
+                return `${be}${not} going to ${verb.base}`;
+            case 'present_perfect':
+                return `${third ? 'has' : 'have'}${not} ${this.participle(verb)}`;
+            default:
+                return verb.base;
+        }
+    }
+
+    /**
+     * Typical learner errors for the sentence's tense; forms equal to the answer are dropped
+     */
+    wrongForms({ verb, tense, subject, phrase }) {
+        const third = subject.person === 3 && !subject.plural;
+        // A subject that agrees differently: "she play", "they plays"
+        const other = GrammarGenerator.SUBJECTS.find(s =>
+            (s.person === 3 && !s.plural) !== third && !(s.person === 1 && !s.plural));
+
+        const forms = {
+            present_simple: [this.conjugate(verb, tense, other), this.ing(verb)],
+            present_continuous: [
+                `${third ? 'is' : 'are'} ${verb.base}`,
+                this.conjugate(verb, tense, other),
+                this.thirdPerson(verb)
+            ],
+            // "did read" is emphatic do, not an error, when the past equals the base
+            past_simple: [
+                verb.base,
+                this.past(verb) !== verb.base ? `did ${this.past(verb)}` : null,
+                verb.past ? this.regularPast(verb.base) : null
+            ],
+            past_continuous: [this.conjugate(verb, tense, other), `${third ? 'was' : 'were'} ${verb.base}`],
+            future_will: [`will ${this.thirdPerson(verb)}`, `will to ${verb.base}`],
+            going_to: [`${third ? 'is' : 'are'} going ${verb.base}`, this.conjugate(verb, tense, other)],
+            present_perfect: [
+                this.conjugate(verb, tense, other),
+                `${third ? 'has' : 'have'} ${verb.base}`,
+                verb.past && verb.past !== this.participle(verb) ? `${third ? 'has' : 'have'} ${verb.past}` : null
+            ]
+        }[tense] || [];
+
+        return [...new Set(forms)].filter(f => f && f !== phrase);
+    }
+
+    thirdPerson(verb) {
+        if (verb.third) return verb.third;
+        if (/[^aeiou]y$/.test(verb.base)) return verb.base.slice(0, -1) + 'ies';
+        if (/(s|sh|ch|x|z|o)$/.test(verb.base)) return verb.base + 'es';
+        return verb.base + 's';
+    }
+
+    ing(verb) {
+        if (verb.ing) return verb.ing;
+        if (/[^e]e$/.test(verb.base)) return verb.base.slice(0, -1) + 'ing';
+        return verb.base + 'ing';
+    }
+
+    past(verb) {
+        return verb.past || this.regularPast(verb.base);
+    }
+
+    participle(verb) {
+        return verb.participle || this.past(verb);
+    }
+
+    regularPast(base) {
+        if (base.endsWith('e')) return base + 'd';
+        if (/[^aeiou]y$/.test(base)) return base.slice(0, -1) + 'ied';
+        return base + 'ed';
+    }
+
+    // ============= AI Generation =============
+
+    /**
+     * Items written by AI for topics without templates. Every item is checked for
+     * shape, and its correct sentence must pass LanguageTool and its wrong ones fail
+     * it, before it is used.
+     * @param {Object} topicData - Topic file; its authored items are shown as examples
+     */
+    async generateWithAI(topicData, count = 6) {
+        const examples = (topicData?.phases?.practice?.exercises || [])
+            .flatMap(ex => (ex.sentences || ex.questions || []).slice(0, 1).map(item => ({ type: ex.type, ...item })))
+            .filter(item => GrammarGenerator.ITEM_TYPES.includes(item.type))
+            .slice(0, 3);
+
+        const items = await AI.generateGrammarItems(topicData?.title || topicData?.id, topicData?.level, count, examples);
+        if (!Array.isArray(items)) return [];
+
+        const valid = items.filter(item => this.isWellFormed(item));
+        if (valid.length === 0) return [];
+
+        // One LanguageTool request for every sentence, one per line: the right sentence
+        // must pass and every wrong one (distractor or incorrect sentence) must fail
+        const checks = valid.map(item => ({
+            item,
+            correct: this.correctSentence(item),
+            wrong: this.distractorSentences(item)
+        }));
+        const lines = checks.flatMap(c => [c.correct, ...c.wrong]);
+        const grammar = await AI.checkGrammar(lines.join('\n'));
+
+        // Unchecked AI items are not used
+        if (grammar.unavailable) return [];
+
+        let start = 0;
+        const flagged = lines.map(line => {
+            const end = start + line.length;
+            const hasError = grammar.errors.some(e => e.offset >= start && e.offset < end);
+            start = end + 1;
+            return hasError;
+        });
+
+        let line = 0;
+        const accepted = [];
+        for (const { item, wrong } of checks) {
+            const correctPasses = !flagged[line];
+            const distractorsFail = flagged.slice(line + 1, line + 1 + wrong.length).every(Boolean);
+            if (correctPasses && distractorsFail) accepted.push({ ...item, generated: true });
+            line += 1 + wrong.length;
+        }
+
+        return accepted.slice(0, count);
+    }
+
+    /**
+     * Item of a supported type with a single gap and an answer that fits it
+     */
+    isWellFormed(item) {
+        if (!item || !GrammarGenerator.ITEM_TYPES.includes(item.type)) return false;
+
+        switch (item.type) {
+            case 'fill_gap_context':
+                return typeof item.sentence === 'string' && item.sentence.split('___').length === 2 &&
+                    typeof item.answer === 'string' && item.answer.trim() !== '';
+            case 'choose_correct':
+                return typeof item.sentence === 'string' && item.sentence.split('___').length === 2 &&
+                    Array.isArray(item.options) && new Set(item.options).size === item.options.length &&
+                    Number.isInteger(item.correct) && item.correct >= 0 && item.correct < item.options.length;
+            case 'error_correction':
+                return typeof item.incorrect === 'string' && typeof item.correct === 'string' &&
+                    item.incorrect.trim().toLowerCase() !== item.correct.trim().toLowerCase();
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * The sentence an item accepts as right, with the gap filled
+     */
+    correctSentence(item) {
+        switch (item.type) {
+            case 'fill_gap_context':
+                // Drop the "(verb)" hint after the gap
+                return item.sentence.replace(/___\s*(\([^)]*\))?/, item.answer.split(' / ')[0]);
+            case 'choose_correct':
+                return item.sentence.replace('___', item.options[item.correct]);
+            default:
+                return item.correct;
+        }
+    }
+
+    /**
+     * Sentences an item marks as wrong: each wrong option of a multiple-choice item
+     * filled in, or the incorrect sentence of an error correction
+     */
+    distractorSentences(item) {
+        if (item.type === 'error_correction') return [item.incorrect];
+        if (item.type !== 'choose_correct') return [];
+        return item.options
+            .filter((_, i) => i !== item.correct)
+            .map(option => item.sentence.replace('___', option));
+    }
+
+    pick(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+export default new GrammarGenerator();
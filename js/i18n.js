@@ -48,7 +48,11 @@ const translations = {
             receptiveMode: 'EN → RU (Receptive)',
             productiveMode: 'RU → EN (Productive)',
             spellingMode: 'Spelling Practice',
+            sentenceMode: 'Words in Context',
             timedMode: 'Timed Recall',
+            collocationMode: 'Collocations',
+            particleMode: 'Phrasal Verbs',
+            idiomMode: 'Idioms',
             showAnswer: 'Show Answer',
             again: 'Again',
             hard: 'Hard',
@@ -58,7 +62,61 @@ const translations = {
             howSay: 'How do you say this in English?',
             words: 'words',
             addFromPack: 'Add from Starter Pack',
-            categories: 'Categories'
+            categories: 'Categories',
+            fixLeeches: 'Fix Leeches ({count})',
+            decks: 'Decks',
+            noDecks: 'No decks yet. Create one and add words to it while studying.',
+            newDeck: 'New deck',
+            createDeck: 'Create',
+            deckStats: '{total} words • {due} due today',
+            deleteDeckConfirm: 'Delete the deck "{name}"? Its words stay in your vocabulary.',
+            tags: 'Tags, separated by commas',
+            noDeck: 'No deck',
+            filteredSession: 'Filtered Session',
+            studyFiltered: 'Study Matching Words',
+            noMatches: 'No words match this filter',
+            filter: {
+                anyDeck: 'Any deck',
+                anyTag: 'Any tag',
+                anyLevel: 'Any level',
+                anyStatus: 'Any status',
+                anyTime: 'Any time',
+                failedToday: 'Failed today',
+                failedWeek: 'Failed this week',
+                failedMonth: 'Failed this month'
+            },
+            status: {
+                new: 'New',
+                learning: 'Learning',
+                review: 'Review',
+                learned: 'Learned',
+                suspended: 'Suspended'
+            },
+            noLeeches: 'No leeches to fix',
+            remediationStep: 'Step {step} of {total}',
+            remediationDone: 'Back in review: {words}',
+            family: 'Word family: {words}',
+            confusedWith: '"{typed}" is a different word, easily confused with "{word}"',
+            responseTime: '{seconds} s',
+            tooSlow: '{seconds} s, over the {deadline} s limit: counted as Hard',
+            timeUp: "Time's up",
+            contextSource: {
+                reading: 'from your reading',
+                immersion: 'from a transcript'
+            },
+            sizeTestButton: 'Vocabulary Size Test',
+            reviewsPostponed: 'Daily review limit reached: {count} reviews moved to the next days',
+            sizeTest: {
+                prompt: 'Do you know this word? Some words are made up, so answer honestly.',
+                yes: 'I know it',
+                no: "Don't know",
+                result: 'About {estimate} words',
+                interval: '95% range: {low}–{high} words',
+                level: 'Vocabulary level: {level}',
+                unreliable: 'You said yes to {percent}% of made-up words, so this estimate is not reliable and your level was not changed.',
+                markKnown: 'Mark {count} frequent words (top {rank}) as known',
+                marked: '{count} words moved out of daily reviews'
+            }
         },
 
         // Grammar
@@ -74,7 +132,28 @@ const translations = {
             review: 'Review',
             continue: 'Continue',
             complete: 'Complete Phase',
-            readTexts: 'Read {count} texts'
+            readTexts: 'Read {count} texts',
+            reviewTitle: 'Grammar Review',
+            reviewDue: '{count} due',
+            startReview: 'Review Grammar Cards',
+            reviewDone: 'Grammar review finished',
+            topicBack: '"{topic}" is back in your suggestions',
+            topicLeech: 'Practise "{topic}" again to bring its card back into review',
+            path: 'Learning Path',
+            hidePath: 'Hide Path',
+            step: 'Step {step}',
+            requires: 'Requires: {topics}',
+            locked: 'Complete first: {topics}',
+            checking: 'Checking your sentences...',
+            produceScore: 'Score: {score}%',
+            producePassed: 'Well done! You used the structure correctly.',
+            produceFailed: 'Use the structure correctly in more sentences to pass ({threshold}%).',
+            noTarget: 'The target structure is not used',
+            targetWrong: 'The target structure is used incorrectly',
+            correction: 'Correction: {text}',
+            targetUnverified: 'Could not check the structure without AI',
+            aiUnavailable: 'AI check unavailable: only sentences with a complete example form could be checked. Try again later.',
+            tryAgain: 'Try Again'
         },
 
         // Reading
@@ -85,7 +164,11 @@ const translations = {
             checkAnswers: 'Check Answers',
             wordCount: 'Word count',
             level: 'Level',
-            topic: 'Topic'
+            topic: 'Topic',
+            knownWords: '{percent}% known words',
+            wordMined: '"{word}" added with this sentence',
+            contextAdded: 'New sentence saved for "{word}"',
+            contextExists: 'This sentence is already saved for "{word}"'
         },
 
         // Listening
@@ -107,7 +190,15 @@ const translations = {
             transcript: 'Transcript',
             play: 'Play',
             pause: 'Pause',
-            replay: 'Replay'
+            replay: 'Replay',
+            library: 'Transcripts',
+            itemInfo: '{level} • {minutes} min • {type}',
+            loadFailed: 'Could not load transcripts',
+            watchFirst: 'Play the clip or open the transcript and tap any word to save it with its sentence. Start the quiz when you are done.',
+            startQuiz: 'Start Quiz',
+            hideTranscript: 'Hide Transcript',
+            partialWatch: "It seems you didn't finish the clip, so this quiz counts for less",
+            correctAnswer: 'Answer: {answer}'
         },
 
         // Writing
@@ -148,7 +239,24 @@ const translations = {
             parts: '3 Parts',
             practiceTests: 'Practice Tests',
             fullTest: 'Full Practice Test (2h 45min)',
-            sectionTest: 'Section Test (30-60min)'
+            sectionTest: 'Section Test (30-60min)',
+            resumeTitle: 'Unfinished Full Test',
+            resumeText: 'Your progress is saved. Resume where you left off or abandon the test.',
+            resume: 'Resume Test',
+            abandon: 'Abandon Test',
+            exit: 'Exit Test',
+            resumeConfirm: 'You have an unfinished IELTS full test. Resume it now?',
+            abandonConfirm: 'Abandon the full test? Your answers will not be saved.',
+            exitConfirm: 'Leave this section? Your answers will not be saved.',
+            abandoned: 'Test abandoned',
+            finishFullTest: 'Finish or abandon the full test first',
+            submitFailed: 'Could not score the section. Try submitting again.',
+            notScored: 'Not scored',
+            resuming: 'Resuming your IELTS test',
+            resumeFailed: 'The saved test could not be loaded, so it was dropped',
+            timeUp: "Time's up: the section was submitted",
+            playAudio: '▶ Play audio',
+            missed: 'Missed questions'
         },
 
         // Progress
@@ -159,7 +267,33 @@ const translations = {
             totalHours: 'Total Hours',
             wordsLearned: 'Words Learned',
             skillBreakdown: 'Skill Breakdown',
-            weeklyActivity: 'Weekly Activity'
+            weeklyActivity: 'Weekly Activity',
+            reviewAnalytics: 'Review Analytics',
+            trueRetention: 'True Retention',
+            reviews: 'Reviews',
+            receptiveRecall: 'EN → RU Recall',
+            productiveRecall: 'RU → EN Recall',
+            retentionByInterval: 'Retention by interval',
+            stability: 'Memory stability: {receptive} (EN → RU), {productive} (RU → EN)',
+            forecast: 'Reviews due in the next 7 days: {counts}',
+            leeches: 'Leeches ({count})',
+            lapses: '{count} lapses',
+            spellingPatterns: 'Spelling patterns',
+            spellingPattern: {
+                doubled_consonant: 'Double letters',
+                silent_letter: 'Silent letters',
+                vowel_swap: 'Vowel mix-ups',
+                transposition: 'Swapped letters',
+                missing_letter: 'Missing letters',
+                extra_letter: 'Extra letters',
+                wrong_letter: 'Wrong letters'
+            },
+            slowWords: 'Known but slow to recall ({count})',
+            avgLatency: '{seconds} s on average',
+            confusedPairs: 'Words you mix up',
+            confusedCount: 'Mixed up {count} times • tap to practise',
+            noDrills: 'No example sentences for this pair yet',
+            noReviews: 'No reviews yet. Analytics appear after your first vocabulary reviews.'
         },
 
         // Profile
@@ -173,11 +307,32 @@ const translations = {
             soundEffects: 'Sound Effects',
             darkMode: 'Dark Mode',
             language: 'Interface Language',
+            scheduler: 'Review Algorithm',
+            targetRetention: 'Target Retention',
+            schedulerMigrated: 'Review algorithm changed, {count} words converted',
+            newCardsPerDay: 'New Words per Day',
+            maxReviewsPerDay: 'Max Reviews per Day',
+            vacation: 'Planned Break',
+            timedRecall: 'Timed Recall',
+            timedDeadline: 'Seconds per Timed Card',
+            vacationPlan: 'Prepare Reviews for Break',
+            vacationCancel: 'Cancel Break',
+            vacationStatus: 'Break planned: {start} – {end}. No new words during the break.',
+            vacationPlanned: 'Break planned: {postponed} reviews moved after it, {broughtForward} to review before you leave',
+            vacationCancelled: 'Break cancelled',
+            vacationInvalid: 'Choose a start and end date in the future',
             account: 'Account',
             retakePlacement: 'Retake Placement Test',
             exportProgress: 'Export Progress',
             resetProgress: 'Reset All Progress',
             exportSuccess: 'Progress exported successfully!',
+            importVocab: 'Import Words (CSV / Anki)',
+            exportVocabCsv: 'Export Words (CSV)',
+            exportVocabAnki: 'Export Words (Anki)',
+            importConfirm: 'Import {count} words ({duplicates} already in your vocabulary will be skipped)?\nColumns: {columns}',
+            importScheduling: 'The file has review intervals. Keep them instead of starting these words from scratch?',
+            importEmpty: 'No words found. The file needs a word column.',
+            vocabExported: '{count} words exported',
             resetConfirm: 'Are you sure you want to reset all progress? This cannot be undone.'
         },
 
@@ -289,7 +444,11 @@ const translations = {
             receptiveMode: 'EN → RU (Пассивный)',
             productiveMode: 'RU → EN (Активный)',
             spellingMode: 'Правописание',
-            timedMode: 'Быстрый вспоминание',
+            sentenceMode: 'Слова в контексте',
+            timedMode: 'Быстрое вспоминание',
+            collocationMode: 'Словосочетания',
+            particleMode: 'Фразовые глаголы',
+            idiomMode: 'Идиомы',
             showAnswer: 'Показать ответ',
             again: 'Снова',
             hard: 'Сложно',
@@ -299,7 +458,61 @@ const translations = {
             howSay: 'Как это сказать по-английски?',
             words: 'слов',
             addFromPack: 'Добавить из стартового набора',
-            categories: 'Категории'
+            categories: 'Категории',
+            fixLeeches: 'Проработать трудные слова ({count})',
+            decks: 'Колоды',
+            noDecks: 'Колод пока нет. Создайте колоду и добавляйте в неё слова во время занятий.',
+            newDeck: 'Новая колода',
+            createDeck: 'Создать',
+            deckStats: '{total} слов • {due} к повторению сегодня',
+            deleteDeckConfirm: 'Удалить колоду «{name}»? Слова останутся в словаре.',
+            tags: 'Теги через запятую',
+            noDeck: 'Без колоды',
+            filteredSession: 'Занятие по фильтру',
+            studyFiltered: 'Учить подходящие слова',
+            noMatches: 'Нет слов под этот фильтр',
+            filter: {
+                anyDeck: 'Любая колода',
+                anyTag: 'Любой тег',
+                anyLevel: 'Любой уровень',
+                anyStatus: 'Любой статус',
+                anyTime: 'За всё время',
+                failedToday: 'Ошибки сегодня',
+                failedWeek: 'Ошибки за неделю',
+                failedMonth: 'Ошибки за месяц'
+            },
+            status: {
+                new: 'Новые',
+                learning: 'Изучаются',
+                review: 'На повторении',
+                learned: 'Выучены',
+                suspended: 'Приостановлены'
+            },
+            noLeeches: 'Трудных слов нет',
+            remediationStep: 'Шаг {step} из {total}',
+            remediationDone: 'Вернулись в повторение: {words}',
+            family: 'Однокоренные: {words}',
+            confusedWith: '«{typed}» — другое слово, его часто путают с «{word}»',
+            responseTime: '{seconds} с',
+            tooSlow: '{seconds} с — дольше {deadline} с, засчитано как «Трудно»',
+            timeUp: 'Время вышло',
+            contextSource: {
+                reading: 'из прочитанного',
+                immersion: 'из транскрипта'
+            },
+            sizeTestButton: 'Тест словарного запаса',
+            reviewsPostponed: 'Дневной лимит повторений: {count} перенесено на следующие дни',
+            sizeTest: {
+                prompt: 'Знаете это слово? Некоторые слова выдуманы — отвечайте честно.',
+                yes: 'Знаю',
+                no: 'Не знаю',
+                result: 'Около {estimate} слов',
+                interval: '95% диапазон: {low}–{high} слов',
+                level: 'Уровень словаря: {level}',
+                unreliable: 'Вы отметили {percent}% выдуманных слов, поэтому оценка ненадёжна и уровень не изменён.',
+                markKnown: 'Отметить {count} частотных слов (топ-{rank}) как известные',
+                marked: 'Слов убрано из ежедневных повторений: {count}'
+            }
         },
 
         // Grammar
@@ -315,7 +528,28 @@ const translations = {
             review: 'Повторение',
             continue: 'Продолжить',
             complete: 'Завершить этап',
-            readTexts: 'Прочитать {count} текстов'
+            readTexts: 'Прочитать {count} текстов',
+            reviewTitle: 'Повторение грамматики',
+            reviewDue: 'к повторению: {count}',
+            startReview: 'Повторить карточки',
+            reviewDone: 'Повторение грамматики завершено',
+            topicBack: 'Тема «{topic}» снова в рекомендациях',
+            topicLeech: 'Повторите практику по теме «{topic}», чтобы вернуть карточку в повторение',
+            path: 'Путь обучения',
+            hidePath: 'Скрыть путь',
+            step: 'Шаг {step}',
+            requires: 'Нужно знать: {topics}',
+            locked: 'Сначала пройдите: {topics}',
+            checking: 'Проверяем ваши предложения...',
+            produceScore: 'Результат: {score}%',
+            producePassed: 'Отлично! Конструкция использована правильно.',
+            produceFailed: 'Правильно используйте конструкцию в большем числе предложений ({threshold}%).',
+            noTarget: 'Изучаемая конструкция не использована',
+            targetWrong: 'Конструкция использована неправильно',
+            correction: 'Исправление: {text}',
+            targetUnverified: 'Без AI конструкцию проверить не удалось',
+            aiUnavailable: 'Проверка AI недоступна: засчитаны только предложения с полной формой из примеров. Попробуйте позже.',
+            tryAgain: 'Попробовать снова'
         },
 
         // Reading
@@ -326,7 +560,11 @@ const translations = {
             checkAnswers: 'Проверить ответы',
             wordCount: 'Слов',
             level: 'Уровень',
-            topic: 'Тема'
+            topic: 'Тема',
+            knownWords: 'знакомых слов: {percent}%',
+            wordMined: '«{word}» добавлено вместе с предложением',
+            contextAdded: 'Новое предложение сохранено для «{word}»',
+            contextExists: 'Это предложение уже сохранено для «{word}»'
         },
 
         // Listening
@@ -348,7 +586,15 @@ const translations = {
             transcript: 'Транскрипт',
             play: 'Воспроизвести',
             pause: 'Пауза',
-            replay: 'Повторить'
+            replay: 'Повторить',
+            library: 'Транскрипты',
+            itemInfo: '{level} • {minutes} мин • {type}',
+            loadFailed: 'Не удалось загрузить транскрипты',
+            watchFirst: 'Включите запись или откройте транскрипт и нажмите на любое слово, чтобы сохранить его вместе с предложением. Когда закончите, начните квиз.',
+            startQuiz: 'Начать квиз',
+            hideTranscript: 'Скрыть транскрипт',
+            partialWatch: 'Похоже, вы не досмотрели запись, поэтому квиз засчитается не полностью',
+            correctAnswer: 'Ответ: {answer}'
         },
 
         // Writing
@@ -389,7 +635,24 @@ const translations = {
             parts: '3 части',
             practiceTests: 'Пробные тесты',
             fullTest: 'Полный тест (2ч 45мин)',
-            sectionTest: 'Тест по секции (30-60мин)'
+            sectionTest: 'Тест по секции (30-60мин)',
+            resumeTitle: 'Незавершённый полный тест',
+            resumeText: 'Прогресс сохранён. Продолжите с того же места или прервите тест.',
+            resume: 'Продолжить тест',
+            abandon: 'Прервать тест',
+            exit: 'Выйти из теста',
+            resumeConfirm: 'У вас есть незавершённый полный тест IELTS. Продолжить сейчас?',
+            abandonConfirm: 'Прервать полный тест? Ответы не сохранятся.',
+            exitConfirm: 'Выйти из секции? Ответы не сохранятся.',
+            abandoned: 'Тест прерван',
+            finishFullTest: 'Сначала завершите или прервите полный тест',
+            submitFailed: 'Не удалось оценить секцию. Попробуйте отправить ещё раз.',
+            notScored: 'Без оценки',
+            resuming: 'Продолжаем тест IELTS',
+            resumeFailed: 'Не удалось загрузить сохранённый тест, он удалён',
+            timeUp: 'Время вышло — секция отправлена',
+            playAudio: '▶ Слушать запись',
+            missed: 'Ошибки'
         },
 
         // Progress
@@ -400,7 +663,33 @@ const translations = {
             totalHours: 'Всего часов',
             wordsLearned: 'Выучено слов',
             skillBreakdown: 'Навыки по категориям',
-            weeklyActivity: 'Активность за неделю'
+            weeklyActivity: 'Активность за неделю',
+            reviewAnalytics: 'Аналитика повторений',
+            trueRetention: 'Реальное запоминание',
+            reviews: 'Повторений',
+            receptiveRecall: 'Узнавание EN → RU',
+            productiveRecall: 'Воспроизведение RU → EN',
+            retentionByInterval: 'Запоминание по интервалам',
+            stability: 'Стабильность памяти: {receptive} (EN → RU), {productive} (RU → EN)',
+            forecast: 'Повторения на 7 дней вперёд: {counts}',
+            leeches: 'Проблемные слова ({count})',
+            lapses: 'забыто {count} раз',
+            spellingPatterns: 'Типичные ошибки в написании',
+            spellingPattern: {
+                doubled_consonant: 'Двойные согласные',
+                silent_letter: 'Непроизносимые буквы',
+                vowel_swap: 'Путаница гласных',
+                transposition: 'Переставленные буквы',
+                missing_letter: 'Пропущенные буквы',
+                extra_letter: 'Лишние буквы',
+                wrong_letter: 'Неверные буквы'
+            },
+            slowWords: 'Знакомые, но вспоминаются медленно ({count})',
+            avgLatency: 'в среднем {seconds} с',
+            confusedPairs: 'Слова, которые вы путаете',
+            confusedCount: 'Перепутано {count} раз • нажмите, чтобы потренироваться',
+            noDrills: 'Для этой пары пока нет примеров',
+            noReviews: 'Повторений пока нет. Аналитика появится после первых повторений слов.'
         },
 
         // Profile
@@ -414,11 +703,32 @@ const translations = {
             soundEffects: 'Звуковые эффекты',
             darkMode: 'Тёмная тема',
             language: 'Язык интерфейса',
+            scheduler: 'Алгоритм повторений',
+            targetRetention: 'Целевое запоминание',
+            schedulerMigrated: 'Алгоритм повторений изменён, перенесено слов: {count}',
+            newCardsPerDay: 'Новых слов в день',
+            maxReviewsPerDay: 'Максимум повторений в день',
+            vacation: 'Перерыв',
+            timedRecall: 'Быстрое вспоминание',
+            timedDeadline: 'Секунд на карточку',
+            vacationPlan: 'Подготовить повторения к перерыву',
+            vacationCancel: 'Отменить перерыв',
+            vacationStatus: 'Перерыв: {start} – {end}. Во время перерыва новых слов не будет.',
+            vacationPlanned: 'Перерыв запланирован: {postponed} повторений перенесено на после, {broughtForward} — повторить до отъезда',
+            vacationCancelled: 'Перерыв отменён',
+            vacationInvalid: 'Выберите даты начала и конца в будущем',
             account: 'Аккаунт',
             retakePlacement: 'Пересдать тест уровня',
             exportProgress: 'Экспортировать прогресс',
             resetProgress: 'Сбросить весь прогресс',
             exportSuccess: 'Прогресс успешно экспортирован!',
+            importVocab: 'Импорт слов (CSV / Anki)',
+            exportVocabCsv: 'Экспорт слов (CSV)',
+            exportVocabAnki: 'Экспорт слов (Anki)',
+            importConfirm: 'Импортировать {count} слов (уже имеющиеся — {duplicates} — будут пропущены)?\nСтолбцы: {columns}',
+            importScheduling: 'В файле есть интервалы повторения. Сохранить их, а не учить эти слова заново?',
+            importEmpty: 'Слова не найдены. В файле нужен столбец со словом.',
+            vocabExported: 'Экспортировано слов: {count}',
             resetConfirm: 'Вы уверены, что хотите сбросить весь прогресс? Это действие нельзя отменить.'
         },
 
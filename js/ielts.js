@@ -6,11 +6,14 @@ import Database from './database.js';
 import AI from './ai.js';
 import Writing from './writing.js';
 import Speaking from './speaking.js';
+import Manifest from './manifest.js';
 
 class IELTS {
     constructor() {
         this.currentTest = null;
         this.testSession = null;
+        this.testCache = {};
+        this.timer = null;
     }
 
     // Test structure
@@ -34,11 +37,59 @@ class IELTS {
         1: 'Non User'
     };
 
+    // Full test section order
+    static SECTION_ORDER = ['listening', 'reading', 'writing', 'speaking'];
+
+    // Writing tasks used in the full test
+    static WRITING_TASKS = {
+        task1: {
+            type: 'REPORT',
+            minutes: 20,
+            prompt: 'The table shows the percentage of households with internet access in three countries ' +
+                'in 2005, 2010 and 2015 (UK: 60%, 73%, 86%; Brazil: 13%, 27%, 51%; India: 2%, 5%, 15%). ' +
+                'Summarise the information by selecting and reporting the main features, and make comparisons ' +
+                'where relevant. Write at least 150 words.'
+        },
+        task2: {
+            type: 'ESSAY',
+            minutes: 40,
+            prompt: 'Some people believe that university education should be free for all students. Others think ' +
+                'students should pay for their own studies. Discuss both views and give your own opinion. ' +
+                'Write at least 250 words.'
+        }
+    };
+
+    // Speaking prompts used in the full test
+    static SPEAKING_PARTS = {
+        part1: ['Do you work or are you a student?', 'What do you like about your hometown?', 'How often do you read books?'],
+        part2: 'Describe a place you visited that you would like to return to. You should say: where it is, ' +
+            'when you went there, what you did there, and explain why you would like to go back.',
+        part3: ['Why do people like to travel to other countries?', 'How has tourism changed in your country?']
+    };
+
+    // Sections marked against an answer-keyed mock test (listed in data/manifest.json)
+    static MARKED_SECTIONS = ['listening', 'reading'];
+
+    // Number words used in word-limit instructions
+    static LIMIT_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+    // Accepted spellings for TRUE/FALSE/NOT GIVEN and YES/NO/NOT GIVEN answers
+    static JUDGEMENTS = {
+        't': 'TRUE', 'true': 'TRUE',
+        'f': 'FALSE', 'false': 'FALSE',
+        'y': 'YES', 'yes': 'YES',
+        'n': 'NO', 'no': 'NO',
+        'ng': 'NOT GIVEN', 'not given': 'NOT GIVEN'
+    };
+
     /**
      * Start full practice test
      */
-    startFullTest() {
+    async startFullTest() {
+        this.stopTimer();
+
         this.testSession = {
+            id: `ielts_${Date.now()}`,
             type: 'full',
             startTime: Date.now(),
             sections: {
@@ -50,38 +101,270 @@ class IELTS {
             currentSection: null
         };
 
+        const current = await this.startNextSection();
+
         return {
             structure: IELTS.TEST_STRUCTURE,
             estimatedDuration: '2 hours 45 minutes',
-            sections: ['Listening', 'Reading', 'Writing', 'Speaking']
+            sections: ['Listening', 'Reading', 'Writing', 'Speaking'],
+            current
         };
     }
 
+    /**
+     * Resume a full test saved before the app was closed
+     */
+    async resumeFullTest() {
+        const progress = await Database.getIELTSProgress();
+        const saved = progress.activeTest;
+        if (!saved) return null;
+
+        this.stopTimer();
+        this.testSession = saved.session;
+        this.currentTest = null;
+
+        if (saved.current) {
+            const content = saved.current.testId
+                ? await this.loadMockTest(saved.current.section, saved.current.testId)
+                : null;
+
+            // Without its answer key the section could never be marked
+            if (saved.current.testId && !content) {
+                await this.abandonFullTest();
+                return { success: false, message: 'Test not found' };
+            }
+            this.currentTest = { ...saved.current, content };
+        }
+
+        // Time ran out while the app was closed
+        if (this.currentTest && !this.currentTest.completed && this.getRemainingTime().isOver) {
+            const result = await this.submitCurrentSection(true);
+            if (result?.attempt) return { finished: true, attempt: result.attempt };
+        }
+
+        if (!this.currentTest || this.currentTest.completed) {
+            return this.startNextSection();
+        }
+
+        return this.getSectionView();
+    }
+
+    /**
+     * Check for an unfinished full test
+     */
+    async hasActiveTest() {
+        const progress = await Database.getIELTSProgress();
+        return !!progress.activeTest;
+    }
+
+    /**
+     * Start the first section of the full test that isn't completed
+     */
+    async startNextSection() {
+        if (!this.testSession) return null;
+
+        const next = IELTS.SECTION_ORDER.find(s => this.testSession.sections[s].status !== 'completed');
+        if (!next) return null;
+
+        const result = await this.startSection(next);
+        if (!result.success) return result;
+
+        this.testSession.currentSection = next;
+        this.testSession.sections[next].status = 'in_progress';
+        await this.saveRunnerState();
+
+        return result;
+    }
+
+    /**
+     * Abandon the full test without saving an attempt
+     */
+    async abandonFullTest() {
+        this.stopTimer();
+        this.testSession = null;
+        this.currentTest = null;
+        await this.saveRunnerState();
+    }
+
+    /**
+     * Persist the full test state so a reload can resume it
+     */
+    async saveRunnerState() {
+        const progress = await Database.getIELTSProgress();
+
+        if (this.testSession) {
+            // Test content is reloaded from data files on resume
+            const { content, ...current } = this.currentTest || {};
+            progress.activeTest = {
+                session: this.testSession,
+                current: this.currentTest ? current : null
+            };
+        } else {
+            progress.activeTest = null;
+        }
+
+        await Database.saveIELTSProgress(progress);
+    }
+
     /**
      * Start section practice
      */
-    startSection(section) {
+    async startSection(section, testId = null) {
         const structure = IELTS.TEST_STRUCTURE[section];
         if (!structure) {
             return { success: false, message: 'Invalid section' };
         }
 
+        // Listening and Reading are marked against an answer-keyed mock test
+        let content = null;
+        if (IELTS.MARKED_SECTIONS.includes(section)) {
+            content = await this.loadMockTest(section, testId);
+            if (!content) {
+                return { success: false, message: 'Test not found' };
+            }
+        }
+
         this.currentTest = {
             section,
+            testId: content?.id || null,
+            content,
             startTime: Date.now(),
             timeLimit: structure.duration * 60 * 1000,
-            answers: [],
+            answers: {},
+            writingTexts: section === 'writing' ? { task1: '', task2: '' } : null,
+            audioPlayed: [],
             completed: false
         };
 
+        return this.getSectionView();
+    }
+
+    /**
+     * Describe the current section for rendering
+     */
+    getSectionView() {
+        const { section, content, timeLimit, answers, writingTexts, audioPlayed = [] } = this.currentTest;
+
         return {
             success: true,
             section,
-            timeLimit: structure.duration,
-            instructions: this.getInstructions(section)
+            timeLimit: timeLimit / 60000,
+            instructions: this.getInstructions(section),
+            test: content ? this.getQuestionPaper(content) : null,
+            tasks: section === 'writing' ? IELTS.WRITING_TASKS : null,
+            parts: section === 'speaking' ? IELTS.SPEAKING_PARTS : null,
+            answers,
+            writingTexts,
+            audioPlayed
         };
     }
 
+    /**
+     * Save an answer as soon as it is entered
+     */
+    async saveAnswer(questionNumber, value) {
+        if (!this.currentTest || this.currentTest.completed) return;
+
+        this.currentTest.answers[questionNumber] = value;
+        if (this.testSession) await this.saveRunnerState();
+    }
+
+    /**
+     * Record that a listening part's audio was played; it plays once, even across a reload
+     */
+    async markAudioPlayed(partNumber) {
+        if (!this.currentTest || this.currentTest.completed) return;
+
+        this.currentTest.audioPlayed = [...(this.currentTest.audioPlayed || []), partNumber];
+        if (this.testSession) await this.saveRunnerState();
+    }
+
+    /**
+     * Save writing task text
+     */
+    async saveWritingText(task, text) {
+        if (!this.currentTest || this.currentTest.completed) return;
+
+        this.currentTest.writingTexts = { ...this.currentTest.writingTexts, [task]: text };
+        if (this.testSession) await this.saveRunnerState();
+    }
+
+    /**
+     * Tick every second; auto-submit the section when time is up
+     */
+    startTimer(onTick, onTimeout) {
+        this.stopTimer();
+
+        this.timer = setInterval(async () => {
+            const time = this.getRemainingTime();
+            if (!time) {
+                this.stopTimer();
+                return;
+            }
+
+            if (onTick) onTick(time);
+
+            if (time.isOver) {
+                this.stopTimer();
+                let result = null;
+                try {
+                    result = await this.submitCurrentSection(true);
+                } catch (e) {
+                    console.warn('Failed to auto-submit IELTS section:', e);
+                }
+                if (onTimeout) onTimeout(result);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Stop section timer
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Submit the current section with the saved answers
+     */
+    async submitCurrentSection(autoSubmitted = false) {
+        if (!this.currentTest || this.currentTest.completed) return null;
+
+        return this.submitSection(this.currentTest.answers, this.currentTest.writingTexts, autoSubmitted);
+    }
+
+    /**
+     * Load mock test content
+     */
+    async loadMockTest(section, testId = null) {
+        if (testId && this.testCache[testId]) return this.testCache[testId];
+
+        const entry = testId
+            ? await Manifest.findItem('ielts', testId, section)
+            : (await Manifest.getItems('ielts', section))[0];
+        if (!entry) return null;
+
+        const test = await Manifest.fetchItem(entry);
+        if (test) this.testCache[test.id] = test;
+        return test;
+    }
+
+    /**
+     * Copy of the test without answer keys, safe to show the learner
+     */
+    getQuestionPaper(test) {
+        const paper = JSON.parse(JSON.stringify(test));
+        for (const section of paper.sections) {
+            for (const group of section.question_groups) {
+                group.questions.forEach(q => delete q.answer);
+            }
+        }
+        return paper;
+    }
+
     /**
      * Get section instructions
      */
@@ -138,36 +421,41 @@ class IELTS {
     /**
      * Submit section answers
      */
-    async submitSection(answers, writingTexts = null) {
-        if (!this.currentTest) return null;
+    async submitSection(answers, writingTexts = null, autoSubmitted = false) {
+        if (!this.currentTest || this.currentTest.completed) return null;
 
+        this.stopTimer();
+
+        // Mark completed first so the timer and the submit button can't both submit
+        this.currentTest.completed = true;
         this.currentTest.endTime = Date.now();
         this.currentTest.answers = answers;
 
         let result;
 
-        switch (this.currentTest.section) {
-            case 'listening':
-                result = await this.scoreListening(answers);
-                break;
-            case 'reading':
-                result = await this.scoreReading(answers);
-                break;
-            case 'writing':
-                result = await this.scoreWriting(writingTexts);
-                break;
-            case 'speaking':
-                result = await this.scoreSpeaking(answers);
-                break;
+        try {
+            switch (this.currentTest.section) {
+                case 'listening':
+                    result = await this.scoreListening(answers);
+                    break;
+                case 'reading':
+                    result = await this.scoreReading(answers);
+                    break;
+                case 'writing':
+                    result = await this.scoreWriting(writingTexts);
+                    break;
+                case 'speaking':
+                    result = await this.scoreSpeaking(answers);
+                    break;
+            }
+        } catch (error) {
+            // Reopen the section so it can be submitted again
+            this.currentTest.completed = false;
+            this.currentTest.endTime = null;
+            throw error;
         }
 
-        // Update session if full test
-        if (this.testSession) {
-            this.testSession.sections[this.currentTest.section] = {
-                status: 'completed',
-                score: result.band
-            };
-        }
+        result.autoSubmitted = autoSubmitted;
 
         // Log result
         await Database.logSession({
@@ -175,26 +463,88 @@ class IELTS {
             section: this.currentTest.section,
             band: result.band,
             duration: this.currentTest.endTime - this.currentTest.startTime,
-            rawScore: result.rawScore
+            rawScore: result.rawScore,
+            attemptId: this.testSession?.id || null
         });
 
+        // Update session if full test
+        if (this.testSession) {
+            this.testSession.sections[this.currentTest.section] = {
+                status: 'completed',
+                score: result.band,
+                rawScore: result.rawScore ?? null,
+                autoSubmitted
+            };
+
+            const next = IELTS.SECTION_ORDER.find(s => this.testSession.sections[s].status !== 'completed');
+            if (next) {
+                result.nextSection = next;
+                await this.saveRunnerState();
+            } else {
+                result.attempt = await this.finishFullTest();
+            }
+        }
+
         return result;
     }
 
+    /**
+     * Store the finished full test as an attempt
+     */
+    async finishFullTest() {
+        const bands = {};
+        const rawScores = {};
+        for (const section of IELTS.SECTION_ORDER) {
+            bands[section] = this.testSession.sections[section].score;
+            rawScores[section] = this.testSession.sections[section].rawScore;
+        }
+
+        const attempt = {
+            id: this.testSession.id,
+            type: 'full',
+            startedAt: this.testSession.startTime,
+            completedAt: Date.now(),
+            bands,
+            rawScores,
+            overall: this.calculateOverallBand(Object.values(bands))
+        };
+
+        const progress = await Database.getIELTSProgress();
+        progress.attempts.push(attempt);
+        progress.attempts = progress.attempts.slice(-20);
+        await Database.saveIELTSProgress(progress);
+
+        this.testSession = null;
+        await this.saveRunnerState();
+
+        return attempt;
+    }
+
+    /**
+     * Overall band: mean of the scored sections rounded to the nearest half band
+     */
+    calculateOverallBand(bands) {
+        const valid = bands.filter(b => typeof b === 'number');
+        if (valid.length === 0) return null;
+
+        return Math.round(valid.reduce((a, b) => a + b, 0) / valid.length * 2) / 2;
+    }
+
     /**
      * Score listening section
      */
     async scoreListening(answers) {
-        // In production, compare with correct answers from database
-        const correctCount = this.simulateCorrectCount(answers.length);
-
-        const band = this.listeningBandScore(correctCount);
+        const marking = this.markAnswers(this.currentTest.content, answers);
+        const band = this.listeningBandScore(this.scaleToForty(marking.correctCount, marking.total));
 
         return {
             section: 'listening',
-            rawScore: correctCount,
-            total: 40,
+            testId: this.currentTest.testId,
+            rawScore: marking.correctCount,
+            total: marking.total,
             band,
+            results: marking.results,
+            bySection: marking.bySection,
             feedback: this.getListeningFeedback(band)
         };
     }
@@ -221,15 +571,17 @@ class IELTS {
      * Score reading section
      */
     async scoreReading(answers) {
-        const correctCount = this.simulateCorrectCount(answers.length);
-
-        const band = this.readingBandScore(correctCount);
+        const marking = this.markAnswers(this.currentTest.content, answers);
+        const band = this.readingBandScore(this.scaleToForty(marking.correctCount, marking.total));
 
         return {
             section: 'reading',
-            rawScore: correctCount,
-            total: 40,
+            testId: this.currentTest.testId,
+            rawScore: marking.correctCount,
+            total: marking.total,
             band,
+            results: marking.results,
+            bySection: marking.bySection,
             feedback: this.getReadingFeedback(band)
         };
     }
@@ -256,8 +608,8 @@ class IELTS {
      * Score writing section
      */
     async scoreWriting(texts) {
-        const task1Result = await Writing.submitForAssessment(texts.task1);
-        const task2Result = await Writing.submitForAssessment(texts.task2);
+        const task1Result = await this.assessWritingTask('task1', texts?.task1);
+        const task2Result = await this.assessWritingTask('task2', texts?.task2);
 
         // Task 2 weighted more heavily (2/3)
         const overallBand = Math.round(
@@ -281,33 +633,183 @@ class IELTS {
         };
     }
 
+    /**
+     * Assess one writing task; an empty answer scores band 0
+     */
+    async assessWritingTask(task, text) {
+        if (!text || !text.trim()) {
+            return { overall: 0, range: { low: 0, high: 0 }, feedback: 'No answer submitted.' };
+        }
+
+        const { type, prompt } = IELTS.WRITING_TASKS[task];
+        Writing.startTask(type, prompt, 'B2');
+        return Writing.submitForAssessment(text);
+    }
+
     /**
      * Score speaking section
+     * Answers are spoken aloud and not recorded, so there is nothing to assess: the band
+     * stays null and is left out of the overall band and the prediction
      */
     async scoreSpeaking(recordings) {
-        // Simulated scoring - in production would use pronunciation API
-        const avgScore = 5.5; // Placeholder
-
         return {
             section: 'speaking',
-            band: avgScore,
-            criteria: {
-                fluency: 5.5,
-                lexical: 5.5,
-                grammar: 5.5,
-                pronunciation: 5.5
-            },
-            disclaimer: 'AI assessment cannot fully evaluate speaking. Practice with real people for accurate assessment.'
+            band: null,
+            unscored: true,
+            disclaimer: 'Speaking is not scored in the app. Practice with real people for an accurate assessment.'
+        };
+    }
+
+    /**
+     * Band tables assume 40 questions
+     */
+    scaleToForty(correct, total) {
+        if (!total || total === 40) return correct;
+        return Math.round(correct / total * 40);
+    }
+
+    /**
+     * Mark answers against the test's answer key.
+     * Answers may be an object keyed by question number or an array (index 0 = question 1).
+     */
+    markAnswers(test, answers = {}) {
+        const results = [];
+        const bySection = [];
+
+        for (const section of test.sections) {
+            const sectionStats = { number: section.number, title: section.title, correct: 0, total: 0 };
+
+            for (const group of section.question_groups) {
+                for (const question of group.questions) {
+                    const given = Array.isArray(answers)
+                        ? answers[question.number - 1]
+                        : answers[question.number];
+
+                    const result = this.markQuestion(question, group, given);
+                    result.section = section.number;
+                    results.push(result);
+
+                    sectionStats.total++;
+                    if (result.correct) sectionStats.correct++;
+                }
+            }
+
+            bySection.push(sectionStats);
+        }
+
+        return {
+            results,
+            bySection,
+            correctCount: results.filter(r => r.correct).length,
+            total: results.length
+        };
+    }
+
+    /**
+     * Mark a single question
+     */
+    markQuestion(question, group, given) {
+        const userAnswer = this.normalizeAnswer(given);
+        const accepted = Array.isArray(question.answer) ? question.answer : [question.answer];
+
+        const result = {
+            number: question.number,
+            type: group.type,
+            prompt: question.prompt,
+            userAnswer: given ?? '',
+            correctAnswer: accepted[0].replace(/[()]/g, ''),
+            correct: false,
+            reason: 'incorrect'
+        };
+
+        if (!userAnswer) {
+            result.reason = 'blank';
+            return result;
+        }
+
+        switch (group.type) {
+            case 'completion': {
+                const limit = group.word_limit || this.parseWordLimit(group.instruction);
+                if (limit && !this.isWithinWordLimit(userAnswer, limit)) {
+                    result.reason = 'word_limit';
+                    return result;
+                }
+                const variants = accepted.flatMap(a => this.expandAnswerVariants(a));
+                result.correct = variants.includes(userAnswer);
+                break;
+            }
+            case 'true_false_not_given':
+            case 'yes_no_not_given':
+                result.correct = IELTS.JUDGEMENTS[userAnswer] === accepted[0];
+                break;
+            default:
+                // multiple_choice, matching: compare letters
+                result.correct = userAnswer.toUpperCase() === accepted[0].toUpperCase();
+        }
+
+        if (result.correct) result.reason = 'correct';
+        return result;
+    }
+
+    /**
+     * Normalize answer for comparison
+     */
+    normalizeAnswer(text) {
+        return String(text ?? '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/[\u201C\u201D"]/g, '')
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^[.,;:!?]+|[.,;:!?]+$/g, '')
+            .trim();
+    }
+
+    /**
+     * Expand optional words marked with brackets: "(the) library" -> ["the library", "library"]
+     */
+    expandAnswerVariants(answer) {
+        const match = answer.match(/\(([^)]+)\)/);
+        if (!match) return [this.normalizeAnswer(answer)];
+
+        return [
+            ...this.expandAnswerVariants(answer.replace(match[0], match[1])),
+            ...this.expandAnswerVariants(answer.replace(match[0], ''))
+        ];
+    }
+
+    /**
+     * Parse word limit from instruction, e.g. "NO MORE THAN TWO WORDS AND/OR A NUMBER"
+     */
+    parseWordLimit(instruction = '') {
+        const text = instruction.toUpperCase();
+        const match = text.match(/\b(ONE|TWO|THREE|FOUR|FIVE)\s+WORDS?\b/);
+        const allowsNumber = /AND\/OR\s+A\s+NUMBER/.test(text);
+
+        if (!match) {
+            return /\bA NUMBER\b/.test(text) ? { words: 0, numbers: 1 } : null;
+        }
+
+        return {
+            words: IELTS.LIMIT_NUMBERS[match[1].toLowerCase()],
+            numbers: allowsNumber ? 1 : 0
         };
     }
 
     /**
-     * Simulate correct count for demo
+     * Check answer length against word limit.
+     * Without "AND/OR A NUMBER" a number counts as a word.
      */
-    simulateCorrectCount(totalAnswers) {
-        // Returns 60-80% correct for demo
-        const rate = 0.6 + Math.random() * 0.2;
-        return Math.round(totalAnswers * rate);
+    isWithinWordLimit(answer, limit) {
+        const tokens = answer.split(' ').filter(Boolean);
+        const numbers = tokens.filter(t => /^[£$€]?\d[\d.,:/]*(%|st|nd|rd|th|am|pm)?$/i.test(t)).length;
+
+        if (!limit.numbers) {
+            return tokens.length <= limit.words;
+        }
+
+        return numbers <= limit.numbers && tokens.length - numbers <= limit.words;
     }
 
     /**
@@ -317,14 +819,22 @@ class IELTS {
         const profile = await Database.getProfile();
         const sessions = await Database.getSessions(90);
 
-        // Get recent IELTS practice scores
-        const ieltsSessions = sessions.filter(s => s.type === 'ielts');
+        // Section practice scores; full test sections are counted through their attempt
+        const ieltsSessions = sessions.filter(s => s.type === 'ielts' && !s.attemptId);
+
+        const progress = await Database.getIELTSProgress();
+        const since = Date.now() - 90 * 24 * 60 * 60 * 1000;
+        const attempts = progress.attempts.filter(a => a.completedAt >= since);
 
         const avgBySection = {};
         for (const section of ['listening', 'reading', 'writing', 'speaking']) {
-            const sectionSessions = ieltsSessions.filter(s => s.section === section);
-            avgBySection[section] = sectionSessions.length > 0
-                ? sectionSessions.reduce((sum, s) => sum + s.band, 0) / sectionSessions.length
+            const bands = [
+                ...ieltsSessions.filter(s => s.section === section).map(s => s.band),
+                ...attempts.map(a => a.bands[section])
+            ].filter(b => typeof b === 'number');
+
+            avgBySection[section] = bands.length > 0
+                ? bands.reduce((sum, b) => sum + b, 0) / bands.length
                 : null;
         }
 
@@ -341,6 +851,8 @@ class IELTS {
             speaking: avgBySection.speaking,
             overall: overallPrediction,
             confidence: validScores.length >= 3 ? 'moderate' : 'low',
+            attempts: attempts.length,
+            lastAttempt: attempts[attempts.length - 1] || null,
             disclaimer: 'Prediction may differ from actual IELTS by ±0.5-1.0 bands.',
             recommendations: this.getRecommendations(avgBySection)
         };
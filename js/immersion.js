@@ -6,66 +6,77 @@
 import Database from './database.js';
 import AI from './ai.js';
 import Vocabulary from './vocabulary.js';
+import Manifest from './manifest.js';
+import SentenceMiner from './sentenceMiner.js';
 
 class Immersion {
     constructor() {
         this.currentContent = null;
         this.watchSession = null;
+        this.libraryCache = {};
     }
 
-    // Content library by level
-    static CONTENT_LIBRARY = {
-        A1: [
-            { id: 'peppa_pig', title: 'Peppa Pig', type: 'series', duration: 5 },
-            { id: 'bluey', title: 'Bluey', type: 'series', duration: 7 },
-            { id: 'finding_nemo', title: 'Finding Nemo', type: 'movie', duration: 100 },
-            { id: 'paddington', title: 'Paddington', type: 'movie', duration: 95 }
-        ],
-        A2: [
-            { id: 'extra_english', title: 'Extra English', type: 'series', duration: 25 },
-            { id: 'simpsons', title: 'The Simpsons', type: 'series', duration: 22 },
-            { id: 'young_sheldon', title: 'Young Sheldon', type: 'series', duration: 20 },
-            { id: 'toy_story', title: 'Toy Story', type: 'movie', duration: 81 },
-            { id: 'shrek', title: 'Shrek', type: 'movie', duration: 90 }
-        ],
-        B1: [
-            { id: 'friends', title: 'Friends', type: 'series', duration: 22 },
-            { id: 'himym', title: 'How I Met Your Mother', type: 'series', duration: 22 },
-            { id: 'big_bang', title: 'Big Bang Theory', type: 'series', duration: 22 },
-            { id: 'modern_family', title: 'Modern Family', type: 'series', duration: 22 },
-            { id: 'forrest_gump', title: 'Forrest Gump', type: 'movie', duration: 142 }
-        ],
-        B2: [
-            { id: 'the_office', title: 'The Office', type: 'series', duration: 22 },
-            { id: 'stranger_things', title: 'Stranger Things', type: 'series', duration: 50 },
-            { id: 'game_of_thrones', title: 'Game of Thrones', type: 'series', duration: 60 },
-            { id: 'black_mirror', title: 'Black Mirror', type: 'series', duration: 60 },
-            { id: 'the_crown', title: 'The Crown', type: 'series', duration: 58 }
-        ],
-        C1: [
-            { id: 'sherlock', title: 'Sherlock', type: 'series', duration: 90 },
-            { id: 'house_of_cards', title: 'House of Cards', type: 'series', duration: 50 },
-            { id: 'peaky_blinders', title: 'Peaky Blinders', type: 'series', duration: 60 },
-            { id: 'true_detective', title: 'True Detective', type: 'series', duration: 60 },
-            { id: 'succession', title: 'Succession', type: 'series', duration: 60 }
-        ]
-    };
-
-    // Question types with percentages
-    static QUESTION_TYPES = {
-        LITERAL: 0.30,       // Facts from plot
-        INFERENTIAL: 0.30,   // Conclusions
-        VOCABULARY: 0.30,    // Words from content
-        VERIFICATION: 0.10   // Details that can't be guessed
-    };
+    // Number words recognised as verifiable transcript details
+    static NUMBER_WORDS = [
+        'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+        'eleven', 'twelve', 'fifteen', 'twenty', 'thirty', 'forty', 'fifty', 'hundred', 'thousand'
+    ];
+
+    // Words before "one" that make it a pronoun ("the red one", "no one"), not a number
+    static PRONOUN_ONE_BEFORE = [
+        'the', 'this', 'that', 'which', 'a', 'an', 'no', 'any', 'each', 'every', 'another', 'other',
+        'new', 'old', 'big', 'small', 'little', 'right', 'wrong', 'last', 'next', 'only', 'same', 'good', 'best'
+    ];
+
+    // Words after a number word that show it isn't counting anything ("one of them", "the one that")
+    static NOT_COUNTED_NEXT = [
+        'of', 'who', 'that', 'which', 'is', 'was', 'and', 'or', 'but', 'too', 'please',
+        'here', 'there', 'now', 'for', 'in', 'on', 'at', 'with', 'to'
+    ];
+
+    // Longer function words and sentence adverbs the last-resort detail must not pick
+    static FUNCTION_WORDS = [
+        'perhaps', 'because', 'before', 'during', 'though', 'although', 'through', 'without', 'within',
+        'another', 'anything', 'nothing', 'something', 'everything', 'someone', 'anyone', 'everyone',
+        'myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves', 'themselves',
+        'always', 'already', 'almost', 'rather', 'enough', 'either', 'neither', 'whether', 'however',
+        'therefore', 'whatever', 'whenever', 'wherever', 'between', 'against', 'around', 'across',
+        'toward', 'towards', 'behind', 'beside', 'beyond', 'inside', 'outside', 'should', 'would',
+        'could', 'things', 'unless', 'further', 'sometimes', 'somewhere', 'anywhere', 'everywhere'
+    ];
+
+    /**
+     * Load immersion items for level (listed in data/manifest.json)
+     */
+    async loadLibrary(level) {
+        if (this.libraryCache[level]) return this.libraryCache[level];
+
+        const entries = await Manifest.getItems('immersion', level);
+        const items = await Promise.all(entries.map(entry => Manifest.fetchItem(entry)));
+        this.libraryCache[level] = items.filter(Boolean);
+        return this.libraryCache[level];
+    }
+
+    /**
+     * Load a single immersion item
+     */
+    async loadItem(contentId, level) {
+        const entry = await Manifest.findItem('immersion', contentId, level);
+        return entry ? Manifest.fetchItem(entry) : null;
+    }
 
     /**
      * Get content recommendations for level
      */
-    getRecommendations(level) {
-        const content = Immersion.CONTENT_LIBRARY[level] || [];
+    async getRecommendations(level) {
+        const content = await this.loadLibrary(level);
         return content.map(c => ({
-            ...c,
+            id: c.id,
+            title: c.title,
+            title_ru: c.title_ru,
+            type: c.media_type,
+            duration: Math.ceil(c.duration_seconds / 60),
+            description: c.description,
             levelMatch: level,
             recommendation: this.getRecommendationReason(c, level)
         }));
@@ -89,8 +100,8 @@ class Immersion {
     /**
      * Start watching session
      */
-    startWatchSession(contentId, level) {
-        const content = this.findContent(contentId, level);
+    async startWatchSession(contentId, level) {
+        const content = await this.findContent(contentId, level);
         if (!content) {
             return { success: false, message: 'Content not found' };
         }
@@ -98,30 +109,42 @@ class Immersion {
         this.currentContent = content;
         this.watchSession = {
             contentId,
-            level,
+            level: content.level,
             startTime: Date.now(),
             pauseTime: 0,
             pauses: [],
             wordsNoted: [],
+            questions: [],
             completed: false
         };
 
         return {
             success: true,
-            content,
-            instructions: this.getWatchInstructions(level)
+            content: {
+                id: content.id,
+                title: content.title,
+                title_ru: content.title_ru,
+                type: content.media_type,
+                duration: content.duration_seconds,
+                description: content.description,
+                vocabulary: content.vocabulary || [],
+                keyPhrases: content.key_phrases || []
+            },
+            instructions: this.getWatchInstructions(content.level)
         };
     }
 
     /**
      * Find content in library
      */
-    findContent(contentId, level) {
-        for (const [lvl, contents] of Object.entries(Immersion.CONTENT_LIBRARY)) {
-            const found = contents.find(c => c.id === contentId);
-            if (found) return { ...found, level: lvl };
-        }
-        return null;
+    async findContent(contentId, level) {
+        // Level is part of the id: b1_immersion_03 -> B1
+        const lvl = level || contentId.split('_')[0].toUpperCase();
+
+        const cached = this.libraryCache[lvl]?.find(c => c.id === contentId);
+        if (cached) return cached;
+
+        return this.loadItem(contentId, lvl);
     }
 
     /**
@@ -150,6 +173,30 @@ class Immersion {
         });
     }
 
+    /**
+     * Save a word tapped in the transcript with its sentence as a cloze context
+     * @param {string} word - Token as it appears in the transcript
+     * @param {number} offset - Character position of the token in the transcript
+     */
+    async mineSentence(word, offset = null) {
+        const content = this.currentContent;
+        if (!content?.transcript) {
+            return { success: false, message: 'No transcript' };
+        }
+
+        const result = await SentenceMiner.mine(word, {
+            text: content.transcript,
+            offset,
+            sourceType: 'immersion',
+            sourceId: content.id,
+            sourceTitle: content.title
+        });
+        if (result.success) {
+            this.noteWord(result.card.word);
+        }
+        return result;
+    }
+
     /**
      * Track pause
      */
@@ -175,7 +222,7 @@ class Immersion {
 
         const totalTime = Date.now() - this.watchSession.startTime;
         const watchTime = totalTime - this.watchSession.pauseTime;
-        const contentDuration = this.currentContent.duration * 60 * 1000;
+        const contentDuration = this.currentContent.duration_seconds * 1000;
 
         // Check if actually watched
         const watchRatio = watchTime / contentDuration;
@@ -196,101 +243,236 @@ class Immersion {
             this.currentContent,
             this.watchSession.level
         );
+        this.watchSession.questions = questions;
 
         return {
             status,
             message,
             watchTime,
             wordsNoted: this.watchSession.wordsNoted,
-            questions
+            // Answers stay in the session for grading
+            questions: questions.map(({ correctAnswer, accepted, ...q }) => q)
         };
     }
 
     /**
-     * Generate quiz questions
+     * Build quiz from the item's questions plus a verification question
      */
     async generateQuiz(content, level) {
-        // In production, these would come from a database
-        // For now, generate with AI or use templates
-
-        const questionCount = 5;
-        const questions = [];
+        const questions = (content.questions || []).map(q => this.normalizeQuestion(q));
 
-        // Distribute by type
-        const types = Object.entries(Immersion.QUESTION_TYPES);
-
-        for (let i = 0; i < questionCount; i++) {
-            const type = this.selectQuestionType(types);
-            questions.push(this.generateQuestion(content, type, level));
-        }
+        const verification = this.generateVerificationQuestion(content);
+        if (verification) questions.push(verification);
 
         return questions;
     }
 
     /**
-     * Select question type based on distribution
+     * Convert data question ({type, correct|answer}) to quiz format
      */
-    selectQuestionType(types) {
-        const random = Math.random();
-        let cumulative = 0;
-
-        for (const [type, probability] of types) {
-            cumulative += probability;
-            if (random <= cumulative) {
-                return type;
-            }
-        }
+    normalizeQuestion(q) {
+        const base = {
+            type: q.type === 'fill_gap' ? 'vocabulary' : 'literal',
+            format: q.type,
+            question: q.question
+        };
 
-        return 'LITERAL';
+        switch (q.type) {
+            case 'multiple_choice':
+                return { ...base, options: q.options, correctAnswer: q.correct };
+            case 'true_false':
+                return { ...base, options: ['True', 'False'], correctAnswer: q.correct };
+            case 'fill_gap':
+            default:
+                return { ...base, options: null, correctAnswer: q.answer };
+        }
     }
 
     /**
-     * Generate single question
+     * Verification question from a transcript detail (a number or a name)
+     * that the item's own questions don't already ask about
      */
-    generateQuestion(content, type, level) {
-        // Template-based questions for each type
-        const templates = {
-            LITERAL: {
-                question: `What happens in ${content.title}?`,
-                type: 'literal',
-                instruction: 'Choose the correct plot detail'
-            },
-            INFERENTIAL: {
-                question: 'Why do you think the character did this?',
-                type: 'inferential',
-                instruction: 'Choose the best interpretation'
-            },
-            VOCABULARY: {
-                question: 'What does this phrase mean in context?',
-                type: 'vocabulary',
-                instruction: 'Choose the correct meaning'
-            },
-            VERIFICATION: {
-                question: 'What specific detail appeared?',
-                type: 'verification',
-                instruction: 'This tests if you actually watched'
+    generateVerificationQuestion(content) {
+        const sentences = (content.transcript || '')
+            .split(/(?<=[.!?])\s+/)
+            .filter(s => {
+                const words = s.split(/\s+/).length;
+                return words >= 3 && words <= 30;
+            });
+
+        const asked = (content.questions || [])
+            .map(q => `${q.question} ${q.answer || ''} ${(q.options || []).join(' ')}`)
+            .join(' ')
+            .toLowerCase();
+
+        const candidates = [];
+        for (const sentence of sentences) {
+            const words = sentence.split(/\s+/);
+            words.forEach((raw, idx) => {
+                const word = raw.replace(/[^A-Za-z0-9'-]/g, '');
+                if (!word || asked.includes(word.toLowerCase())) return;
+
+                if (this.isNumber(words, idx, word)) {
+                    candidates.push({ sentence, word, kind: 'number' });
+                } else if (idx > 0 && /^[A-Z][a-z]{2,}$/.test(word) && !/[.!?:]$/.test(words[idx - 1])) {
+                    candidates.push({ sentence, word, kind: 'name' });
+                }
+            });
+        }
+
+        // Fall back to the item's vocabulary as it appears in the transcript
+        if (candidates.length === 0) {
+            for (const term of content.vocabulary || []) {
+                if (asked.includes(term.toLowerCase())) continue;
+                for (const sentence of sentences) {
+                    const match = this.detailPattern(term).exec(sentence);
+                    if (match) {
+                        candidates.push({ sentence, word: match[2], kind: 'term' });
+                        break;
+                    }
+                }
             }
-        };
+        }
+
+        // Last resort: any longer content word the questions don't mention
+        if (candidates.length === 0) {
+            for (const sentence of sentences) {
+                for (const raw of sentence.split(/\s+/)) {
+                    const word = raw.replace(/[^A-Za-z'-]/g, '');
+                    if (this.isContentWord(word) && !asked.includes(word.toLowerCase())) {
+                        candidates.push({ sentence, word, kind: 'term' });
+                    }
+                }
+            }
+        }
+
+        if (candidates.length === 0) return null;
 
-        const template = templates[type] || templates.LITERAL;
+        const detail = candidates[Math.floor(Math.random() * candidates.length)];
+        const gapped = detail.sentence.replace(this.detailPattern(detail.word), '$1___');
+
+        if (detail.kind === 'number') {
+            const options = this.shuffle([detail.word, ...this.getNumberDistractors(detail.word)]);
+            return {
+                type: 'verification',
+                format: 'multiple_choice',
+                question: gapped,
+                instruction: 'This tests if you actually watched',
+                options,
+                correctAnswer: options.indexOf(detail.word)
+            };
+        }
 
         return {
-            ...template,
-            options: ['Option A', 'Option B', 'Option C', 'Option D'],
-            correctAnswer: 'Option A'
+            type: 'verification',
+            format: 'fill_gap',
+            question: gapped,
+            instruction: 'This tests if you actually watched',
+            options: null,
+            correctAnswer: detail.word
         };
     }
 
+    /**
+     * A digit, or a number word used as a number ("one apple", not "the blue one" or "one of")
+     */
+    isNumber(words, idx, word) {
+        if (/^\d+$/.test(word)) return true;
+
+        const lower = word.toLowerCase();
+        if (!Immersion.NUMBER_WORDS.includes(lower)) return false;
+
+        // A number word counts something: a noun or adjective follows it in the same clause
+        const clean = w => (w || '').toLowerCase().replace(/[^a-z'-]/g, '');
+        const next = clean(words[idx + 1]);
+        if (!next || /[.!?,;:]$/.test(words[idx]) || Immersion.NOT_COUNTED_NEXT.includes(next)) return false;
+
+        // "the one", "the red one": a determiner one or two words back makes it a pronoun
+        return !(lower === 'one' && [clean(words[idx - 1]), clean(words[idx - 2])]
+            .some(w => Immersion.PRONOUN_ONE_BEFORE.includes(w)));
+    }
+
+    /**
+     * Longer content word: not a function word, sentence adverb (-ly) or contraction
+     */
+    isContentWord(word) {
+        const lower = word.toLowerCase();
+        return lower.length >= 6 && !lower.includes("'") && !lower.endsWith('ly') &&
+            !Immersion.FUNCTION_WORDS.includes(lower);
+    }
+
+    /**
+     * Whole-word, case-insensitive match of a transcript detail ("one" but not "everyone",
+     * "5" but not "15"); the word is group 2
+     */
+    detailPattern(word) {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^A-Za-z0-9])(${escaped})(?![A-Za-z0-9])`, 'i');
+    }
+
+    /**
+     * Plausible wrong numbers for a number detail
+     */
+    getNumberDistractors(word) {
+        if (/^\d+$/.test(word)) {
+            const n = parseInt(word);
+            return [n + 1, n + 2, n > 0 ? n - 1 : n + 3].map(String);
+        }
+
+        const list = Immersion.NUMBER_WORDS;
+        const idx = list.indexOf(word.toLowerCase());
+        const others = list.filter((w, i) => i !== idx && Math.abs(i - idx) <= 3);
+
+        return this.shuffle(others).slice(0, 3).map(w =>
+            word[0] === word[0].toUpperCase() ? w.charAt(0).toUpperCase() + w.slice(1) : w
+        );
+    }
+
+    /**
+     * Check one quiz answer
+     */
+    checkAnswer(question, answer) {
+        if (question.format === 'fill_gap') {
+            const normalize = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9'\s-]/g, '').trim();
+            return normalize(answer) === normalize(question.correctAnswer);
+        }
+
+        return answer === question.correctAnswer;
+    }
+
+    /**
+     * Correct answer as displayed text
+     */
+    getCorrectText(question) {
+        if (question.format === 'true_false') return question.correctAnswer ? 'True' : 'False';
+        if (question.format === 'multiple_choice') return question.options[question.correctAnswer];
+        return question.correctAnswer;
+    }
+
+    /**
+     * Shuffle array copy
+     */
+    shuffle(array) {
+        const copy = [...array];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
     /**
      * Submit quiz answers
      */
     async submitQuiz(answers) {
+        if (!this.watchSession) return null;
+
         const questions = this.watchSession.questions || [];
         let correct = 0;
         let verificationPassed = true;
 
         const results = questions.map((q, i) => {
-            const isCorrect = answers[i] === q.correctAnswer;
+            const isCorrect = this.checkAnswer(q, answers[i]);
             if (isCorrect) correct++;
 
             // Check verification questions
@@ -302,6 +484,7 @@ class Immersion {
                 question: q.question,
                 userAnswer: answers[i],
                 correctAnswer: q.correctAnswer,
+                correctText: this.getCorrectText(q),
                 correct: isCorrect,
                 type: q.type
             };
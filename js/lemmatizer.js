@@ -0,0 +1,305 @@
+/**
+ * Offline English lemmatizer
+ * Irregular-form tables plus suffix rules; candidates are checked against a lexicon
+ * of known base forms (starter packs and vocabulary cards) when one is loaded.
+ * Also derives word-family keys (decide, decision, decisive -> "decid").
+ */
+
+class Lemmatizer {
+    constructor() {
+        this.lexicon = new Set();
+        this.irregular = Lemmatizer.buildIrregular();
+    }
+
+    // Base form -> irregular inflections
+    static IRREGULAR_VERBS = {
+        be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+        have: ['has', 'had', 'having'],
+        do: ['does', 'did', 'done'],
+        go: ['goes', 'went', 'gone'],
+        say: ['said'], make: ['made'], take: ['took', 'taken'], come: ['came'],
+        see: ['saw', 'seen'], know: ['knew', 'known'], get: ['got', 'gotten'],
+        give: ['gave', 'given'], find: ['found'], think: ['thought'], tell: ['told'],
+        become: ['became'], leave: ['left'], feel: ['felt'], bring: ['brought'],
+        begin: ['began', 'begun'], keep: ['kept'], hold: ['held'], write: ['wrote', 'written'],
+        stand: ['stood'], hear: ['heard'], mean: ['meant'], meet: ['met'], run: ['ran'],
+        pay: ['paid'], sit: ['sat'], speak: ['spoke', 'spoken'], lie: ['lay', 'lain', 'lying'],
+        lead: ['led'], grow: ['grew', 'grown'], lose: ['lost'], fall: ['fell', 'fallen'],
+        send: ['sent'], build: ['built'], understand: ['understood'], draw: ['drew', 'drawn'],
+        break: ['broke', 'broken'], spend: ['spent'], rise: ['rose', 'risen'],
+        drive: ['drove', 'driven'], buy: ['bought'], wear: ['wore', 'worn'],
+        choose: ['chose', 'chosen'], seek: ['sought'], throw: ['threw', 'thrown'],
+        catch: ['caught'], deal: ['dealt'], win: ['won'], fight: ['fought'], teach: ['taught'],
+        eat: ['ate', 'eaten'], feed: ['fed'], fly: ['flew', 'flown', 'flies'],
+        forget: ['forgot', 'forgotten'], forgive: ['forgave', 'forgiven'],
+        freeze: ['froze', 'frozen'], hide: ['hid', 'hidden'], hang: ['hung'],
+        ride: ['rode', 'ridden'], ring: ['rang', 'rung'], sing: ['sang', 'sung'],
+        sink: ['sank', 'sunk'], sleep: ['slept'], sell: ['sold'], shake: ['shook', 'shaken'],
+        shoot: ['shot'], steal: ['stole', 'stolen'], stick: ['stuck'], strike: ['struck'],
+        swim: ['swam', 'swum'], tear: ['tore', 'torn'], wake: ['woke', 'woken'],
+        drink: ['drank', 'drunk'], bite: ['bit', 'bitten'], blow: ['blew', 'blown'],
+        dig: ['dug'], flee: ['fled'], lend: ['lent'], light: ['lit'], slide: ['slid'],
+        swear: ['swore', 'sworn'], weep: ['wept'], bend: ['bent'], bleed: ['bled'],
+        creep: ['crept'], kneel: ['knelt'], leap: ['leapt'], learn: ['learnt'], burn: ['burnt'],
+        dream: ['dreamt'], smell: ['smelt'], spell: ['spelt'], spill: ['spilt'],
+        speed: ['sped'], withdraw: ['withdrew', 'withdrawn'], undertake: ['undertook', 'undertaken'],
+        overcome: ['overcame'], mistake: ['mistook', 'mistaken'], arise: ['arose', 'arisen'],
+        bear: ['bore', 'borne'], die: ['dying'], tie: ['tying'], beat: ['beaten'],
+        forbid: ['forbade', 'forbidden'], show: ['shown'], prove: ['proven'], wind: ['wound']
+    };
+
+    static IRREGULAR_NOUNS = {
+        man: ['men'], woman: ['women'], child: ['children'], foot: ['feet'], tooth: ['teeth'],
+        goose: ['geese'], mouse: ['mice'], ox: ['oxen'], person: ['persons'],
+        life: ['lives'], knife: ['knives'], wife: ['wives'], half: ['halves'], wolf: ['wolves'],
+        shelf: ['shelves'], thief: ['thieves'], self: ['selves'], leaf: ['leaves'], loaf: ['loaves'],
+        calf: ['calves'], criterion: ['criteria'], phenomenon: ['phenomena'],
+        analysis: ['analyses'], crisis: ['crises'], thesis: ['theses'], hypothesis: ['hypotheses']
+    };
+
+    static IRREGULAR_ADJECTIVES = {
+        good: ['better', 'best'], bad: ['worse', 'worst'], far: ['further', 'furthest', 'farther', 'farthest']
+    };
+
+    // Words that look inflected but are base forms
+    static INVARIANT = new Set([
+        'this', 'his', 'its', 'yes', 'us', 'bus', 'gas', 'plus', 'thus', 'always', 'perhaps',
+        'news', 'series', 'species', 'means', 'physics', 'mathematics', 'economics', 'politics',
+        'whereas', 'besides', 'sometimes', 'afterwards', 'towards', 'upstairs', 'downstairs',
+        'indoors', 'outdoors', 'overseas', 'nowadays', 'lens', 'bias', 'chaos', 'canvas', 'atlas',
+        'christmas', 'clothes', 'jeans', 'scissors', 'trousers', 'thanks', 'headquarters', 'as', 'was',
+        'thing', 'something', 'nothing', 'anything', 'everything', 'king', 'ring', 'sing', 'bring',
+        'spring', 'string', 'morning', 'evening', 'ceiling', 'during', 'wing', 'sting', 'swing',
+        'bed', 'red', 'shed', 'need', 'seed', 'speed', 'weed', 'breed', 'greed', 'deed', 'indeed',
+        'proceed', 'succeed', 'exceed', 'feed', 'bleed', 'heed', 'reed', 'steed', 'tweed',
+        'hundred', 'sacred', 'naked', 'wicked', 'kindred',
+        'forest', 'honest', 'interest', 'modest', 'protest', 'request', 'suggest', 'contest', 'invest'
+    ]);
+
+    // Stem endings that usually dropped a final e before -ing/-ed (decid-ing, realiz-ed)
+    static E_ENDINGS = /(?:[^aeiou](?:at|id|ud|iz|ys|yz|ur|ir|os|ut|ag|ul|ic|ac|as|ar|om)|v|[^aeiou]u|[rd]g|[nr]c|[^aeiou]s)$/;
+
+    // Derivational suffixes stripped for word-family keys, longest first
+    static DERIVATIONAL_SUFFIXES = [
+        'ization', 'isation', 'fulness', 'iveness', 'ousness', 'lessness', 'ability', 'ibility',
+        'ically', 'ssion', 'ation', 'ition', 'ution', 'sion', 'tion', 'sive', 'ment', 'ness',
+        'less', 'able', 'ible', 'ical', 'ally', 'ance', 'ence', 'ful', 'ive', 'ous', 'ity', 'ism',
+        'ist', 'ize', 'ise', 'ify', 'ant', 'ent', 'ary', 'ery', 'ory', 'ion', 'al', 'ic', 'ly',
+        'er', 'or', 'e', 'y'
+    ];
+
+    // Endings that are often part of the word itself (care/car, party/part, former/form)
+    static AMBIGUOUS_SUFFIXES = ['er', 'e', 'y'];
+
+    static NEGATIVE_PREFIXES = ['un', 'in', 'im', 'il', 'ir', 'dis', 'non'];
+
+    /**
+     * Invert the irregular tables into inflection -> base
+     */
+    static buildIrregular() {
+        const map = new Map();
+        const tables = [Lemmatizer.IRREGULAR_VERBS, Lemmatizer.IRREGULAR_NOUNS, Lemmatizer.IRREGULAR_ADJECTIVES];
+        for (const table of tables) {
+            for (const [base, forms] of Object.entries(table)) {
+                for (const form of forms) {
+                    if (!map.has(form)) map.set(form, []);
+                    map.get(form).push(base);
+                }
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Add base forms that rule candidates are checked against
+     */
+    addToLexicon(words) {
+        for (const word of words) {
+            const normalized = this.normalize(word);
+            if (normalized && !normalized.includes(' ')) this.lexicon.add(normalized);
+        }
+    }
+
+    /**
+     * Lowercase and strip surrounding punctuation and possessive 's
+     */
+    normalize(word) {
+        return String(word || '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/^[^a-z]+|[^a-z]+$/g, '')
+            .replace(/'s$/, '');
+    }
+
+    /**
+     * Dictionary form of a word ("went" -> "go", "studies" -> "study")
+     * Multi-word entries are returned normalized but otherwise unchanged.
+     */
+    lemmatize(word) {
+        const normalized = this.normalize(word);
+        if (!normalized || /[\s-]/.test(normalized)) return String(word || '').trim().toLowerCase();
+        return this.candidates(normalized)[0];
+    }
+
+    /**
+     * Possible lemmas, best first; the word itself is last unless it is a known base form
+     */
+    candidates(word) {
+        const normalized = this.normalize(word);
+        if (!normalized) return [''];
+
+        const irregular = this.irregular.get(normalized) || [];
+        const guesses = this.ruleCandidates(normalized).filter(c => c.form.length >= 2 && c.form !== normalized);
+        const confirmed = guesses.filter(c => this.lexicon.has(c.form)).map(c => c.form);
+
+        // A word listed as a base form ("building", "glasses", "found") stays as is
+        if (this.lexicon.has(normalized)) {
+            return [...new Set([normalized, ...irregular, ...confirmed])];
+        }
+        if (irregular.length > 0) {
+            return [...irregular, normalized];
+        }
+        if (Lemmatizer.INVARIANT.has(normalized)) {
+            return [normalized];
+        }
+        if (confirmed.length > 0) {
+            return [...new Set([...confirmed, normalized])];
+        }
+
+        // No lexicon match: trust inflectional rules, not comparatives (water, teacher)
+        const fallback = guesses.filter(c => !c.tentative).map(c => c.form);
+        return [...new Set([...fallback, normalized])];
+    }
+
+    /**
+     * Candidate base forms from suffix rules, most likely first
+     * Comparative guesses are tentative: used only when the lexicon confirms them
+     * @returns {Array} [{ form, tentative }]
+     */
+    ruleCandidates(word) {
+        const result = [];
+        const add = (form, tentative = false) => result.push({ form, tentative });
+
+        // Plurals and third person
+        if (/ies$/.test(word) && word.length > 4) add(word.slice(0, -3) + 'y');
+        if (/(ss|x|ch|sh|z|o)es$/.test(word)) add(word.slice(0, -2));
+        if (/s$/.test(word) && !/(ss|us|is)$/.test(word)) add(word.slice(0, -1));
+
+        // -ing and -ed
+        for (const suffix of ['ing', 'ed']) {
+            if (!word.endsWith(suffix) || word.length < suffix.length + 2) continue;
+            const stem = word.slice(0, -suffix.length);
+
+            if (suffix === 'ed' && stem.endsWith('i')) {
+                add(stem.slice(0, -1) + 'y');
+                continue;
+            }
+            // agreed, freed, guaranteed: the base keeps its double e
+            if (suffix === 'ed' && stem.endsWith('e')) {
+                add(stem + 'e');
+                continue;
+            }
+            for (const base of this.restoreStem(stem)) add(base);
+        }
+
+        // Comparatives and superlatives; a plain -er is too often an agent noun (teacher, worker)
+        for (const suffix of ['er', 'est']) {
+            if (!word.endsWith(suffix) || word.length < suffix.length + 3) continue;
+            const stem = word.slice(0, -suffix.length);
+            if (stem.endsWith('i')) {
+                add(stem.slice(0, -1) + 'y', true);
+            } else if (suffix === 'est' || /([^aeiou])\1$/.test(stem)) {
+                for (const base of this.restoreStem(stem)) add(base, true);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Base forms for a stem left after removing -ing/-ed/-er/-est
+     * Handles doubled consonants (running -> run) and dropped e (making -> make).
+     */
+    restoreStem(stem) {
+        const forms = [];
+        const doubled = /([^aeiouslzf])\1$/.test(stem);
+
+        if (doubled) {
+            forms.push(stem.slice(0, -1));
+            forms.push(stem);
+            return forms;
+        }
+
+        const oneVowel = (stem.match(/[aeiouy]+/g) || []).length === 1;
+        const shortCVC = oneVowel && stem.length <= 4 && /[^aeiou][aeiou][^aeiouwxy]$/.test(stem);
+        const needsE = shortCVC || stem.length <= 2 && /[^aeiou]$/.test(stem) || Lemmatizer.E_ENDINGS.test(stem);
+
+        if (needsE && !/[aeiou]$/.test(stem)) {
+            forms.push(stem + 'e', stem);
+        } else {
+            forms.push(stem, stem + 'e');
+        }
+        return forms;
+    }
+
+    /**
+     * Word-family key: lemma with derivational suffixes removed
+     * decide, decision, decisive, decisively -> "decid"; create, creation, creative -> "cre"
+     * A final e, y or er stays when both the word and the rest are known base forms (care, car).
+     */
+    familyKey(word) {
+        let stem = this.lemmatize(word);
+        if (/\s/.test(stem)) return stem;
+
+        for (let pass = 0; pass < 3; pass++) {
+            const suffix = Lemmatizer.DERIVATIONAL_SUFFIXES.find(s =>
+                stem.endsWith(s) && stem.length - s.length >= 3
+            );
+            if (!suffix) break;
+
+            const rest = stem.slice(0, -suffix.length);
+            if (Lemmatizer.AMBIGUOUS_SUFFIXES.includes(suffix) && this.lexicon.has(stem) && this.lexicon.has(rest)) {
+                break;
+            }
+            if (suffix === 'ssion') {
+                stem = rest + 'ss';                       // expression -> express
+            } else if ((suffix === 'sion' || suffix === 'sive') && rest.length >= 4) {
+                stem = rest + 'd';                        // decision -> decid, explosive -> explod
+            } else {
+                stem = rest;
+            }
+        }
+
+        // educat(e) / educat(ion) -> educ, but keep short stems (stat)
+        if (stem.endsWith('at') && stem.length >= 5) stem = stem.slice(0, -2);
+        // happi(ness) / happ(y)
+        if (stem.endsWith('i')) stem = stem.slice(0, -1);
+
+        return stem;
+    }
+
+    /**
+     * Family key candidates including the word without a negative prefix (indecisive -> decisive)
+     */
+    familyKeys(word) {
+        const lemma = this.lemmatize(word);
+        const keys = [this.familyKey(lemma)];
+        for (const prefix of Lemmatizer.NEGATIVE_PREFIXES) {
+            const rest = lemma.slice(prefix.length);
+            if (lemma.startsWith(prefix) && rest.length >= (prefix === 'dis' ? 6 : 5)) {
+                keys.push(this.familyKey(rest));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Whether two words belong to the same family
+     */
+    sameFamily(a, b) {
+        const keysA = this.familyKeys(a);
+        return this.familyKeys(b).some(key => keysA.includes(key));
+    }
+}
+
+export default new Lemmatizer();
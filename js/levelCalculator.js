@@ -7,6 +7,10 @@ import Config from './config.js';
 import Database from './database.js';
 
 class LevelCalculator {
+    // Highest vocabulary level a receptive count alone can give, before productive
+    // recall and spelling have been measured
+    static UNMEASURED_VOCABULARY_CAP = 'B1';
+
     /**
      * Calculate overall level from skill levels
      */
@@ -29,16 +33,27 @@ class LevelCalculator {
 
     /**
      * Calculate vocabulary level
+     * @param {Object} sizeTest - Latest vocabulary size test ({ estimate }), raises the receptive count
+     * Productive count and spelling accuracy of null mean "not measured yet": they are not checked,
+     * but the level is then capped at UNMEASURED_VOCABULARY_CAP.
      */
-    calculateVocabularyLevel(receptive, productive, spellingAccuracy) {
+    calculateVocabularyLevel(receptive, productive, spellingAccuracy, sizeTest = null) {
         const targets = Config.vocabularyTargets;
 
-        for (const level of ['C1', 'B2', 'B1', 'A2', 'A1']) {
+        if (sizeTest) {
+            receptive = Math.max(receptive, sizeTest.estimate);
+        }
+
+        const levels = ['A1', 'A2', 'B1', 'B2', 'C1'];
+        const unmeasured = productive === null || spellingAccuracy === null;
+        const highest = unmeasured ? levels.indexOf(LevelCalculator.UNMEASURED_VOCABULARY_CAP) : levels.length - 1;
+
+        for (const level of levels.slice(0, highest + 1).reverse()) {
             const target = targets[level];
             if (
                 receptive >= target.receptive &&
-                productive >= target.productive &&
-                spellingAccuracy >= target.spelling
+                (productive === null || productive >= target.productive) &&
+                (spellingAccuracy === null || spellingAccuracy >= target.spelling)
             ) {
                 return level;
             }
@@ -200,7 +215,8 @@ class LevelCalculator {
         const vocabLevel = this.calculateVocabularyLevel(
             profile.levels.vocabulary.receptive,
             profile.levels.vocabulary.productive,
-            profile.levels.vocabulary.spelling || 0.7
+            profile.levels.vocabulary.spelling || 0.7,
+            profile.levels.vocabulary.sizeTest
         );
         if (this.isHigherLevel(vocabLevel, profile.levels.vocabulary.level)) {
             recommendations.push({
@@ -5,11 +5,15 @@
 
 import Database from './database.js';
 import AI from './ai.js';
+import ErrorAnalysis from './errorAnalysis.js';
+import Spelling from './spelling.js';
+import Manifest from './manifest.js';
 
 class Listening {
     constructor() {
         this.currentAudio = null;
         this.session = null;
+        this.player = null;
     }
 
     // Hour requirements by level
@@ -30,6 +34,19 @@ class Listening {
         PASSIVE: { name: 'Passive Immersion', multiplier: 0.5 }
     };
 
+    // Audio sources: synthesized speech or a hosted file
+    static AUDIO_TYPES = {
+        TTS: 'tts',
+        FILE: 'file'
+    };
+
+    /**
+     * List items for level (from data/manifest.json)
+     */
+    async loadItems(level) {
+        return Manifest.getItems('listening', level);
+    }
+
     /**
      * Start listening session
      */
@@ -46,19 +63,25 @@ class Listening {
             level,
             startTime: Date.now(),
             pauseTime: 0,
+            plays: 0,
             replays: 0,
             answers: [],
-            dictationText: ''
+            dictationText: '',
+            dictationResults: {}
         };
 
         return {
             success: true,
             audio: {
-                url: audio.url,
+                source: audio.audio,
+                url: audio.audio.url || null,
                 duration: audio.duration,
                 title: audio.title,
+                segments: type === 'GUIDED' ? audio.segments : audio.segments.map(({ id, start, end }) => ({ id, start, end })),
                 transcript: type === 'GUIDED' ? audio.transcript : null
             },
+            questions: audio.questions.map(({ correctAnswer, ...q }) => q),
+            dictation: type === 'DICTATION' ? audio.dictation.map(({ id, segment }) => ({ id, segment })) : null,
             type: Listening.SESSION_TYPES[type]
         };
     }
@@ -67,17 +90,40 @@ class Listening {
      * Load audio content
      */
     async loadAudio(audioId, level) {
-        try {
-            const response = await fetch(`data/listening/${level}/${audioId}.json`);
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (e) {
-            console.warn('Loading audio failed');
-        }
+        const entry = await Manifest.findItem('listening', audioId, level);
+        const item = entry ? await Manifest.fetchItem(entry) : null;
+        if (item) return this.normalizeItem(item);
 
         // Return sample for development
-        return this.getSampleAudio(level);
+        return this.normalizeItem(this.getSampleAudio(level));
+    }
+
+    /**
+     * Fill in defaults so every item has an audio source, segments and dictation chunks
+     */
+    normalizeItem(item) {
+        const audio = item.audio || (item.url
+            ? { type: Listening.AUDIO_TYPES.FILE, url: item.url }
+            : { type: Listening.AUDIO_TYPES.TTS, rate: 1.0 });
+
+        const segments = item.segments?.length
+            ? item.segments
+            : [{ id: 1, start: 0, end: item.duration || 0, speaker: null, text: item.transcript || '' }];
+
+        const transcript = item.transcript || segments.map(s => s.text).join(' ');
+
+        const dictation = item.dictation?.length
+            ? item.dictation
+            : segments.map(s => ({ id: s.id, segment: s.id, text: s.text }));
+
+        return {
+            ...item,
+            audio,
+            segments,
+            transcript,
+            dictation,
+            questions: item.questions || []
+        };
     }
 
     /**
@@ -153,8 +199,15 @@ class Listening {
 
         // Check dictation
         if (dictationText && this.session.type === 'DICTATION') {
-            const dictationResult = this.checkDictation(dictationText, this.currentAudio.transcript);
+            // Compare against segment text, without speaker labels
+            const spoken = this.currentAudio.segments.map(s => s.text).join(' ');
+            const dictationResult = this.checkDictation(dictationText, spoken);
             accuracy = dictationResult.accuracy;
+            await this.trackDictationErrors(dictationResult.errors);
+        } else if (this.session.type === 'DICTATION' && Object.keys(this.session.dictationResults).length > 0) {
+            const summary = this.getDictationSummary();
+            accuracy = summary.accuracy;
+            results = summary.chunks;
         }
 
         // Log session
@@ -248,43 +301,209 @@ class Listening {
     }
 
     /**
-     * Check dictation accuracy
+     * Play one dictation chunk
      */
-    checkDictation(userText, transcript) {
-        const userWords = userText.toLowerCase().split(/\s+/).filter(w => w);
-        const correctWords = transcript.toLowerCase().split(/\s+/).filter(w => w);
-
-        let matches = 0;
-        const errors = [];
-
-        userWords.forEach((word, i) => {
-            if (correctWords[i] && word === correctWords[i]) {
-                matches++;
-            } else if (correctWords[i]) {
-                errors.push({
-                    position: i,
-                    typed: word,
-                    correct: correctWords[i]
-                });
+    playDictationChunk(chunkId) {
+        const chunk = this.currentAudio?.dictation.find(c => c.id === chunkId);
+        if (!chunk) return;
+
+        if (this.currentAudio.audio.type === Listening.AUDIO_TYPES.FILE) {
+            this.play(chunk.segment);
+            return;
+        }
+
+        this.stop();
+        this.speakText(chunk.text, this.currentAudio.audio.rate || 1.0, this.currentAudio.audio.voice);
+
+        if (this.session) {
+            this.onPlaybackEvent({ type: this.session.plays ? 'replay' : 'play' });
+            this.session.plays++;
+        }
+    }
+
+    /**
+     * Check one dictation chunk and track its errors
+     */
+    async checkDictationChunk(chunkId, userText) {
+        const chunk = this.currentAudio?.dictation.find(c => c.id === chunkId);
+        if (!chunk || !this.session) return null;
+
+        const result = this.checkDictation(userText, chunk.text);
+        this.session.dictationResults[chunkId] = { ...result, typed: userText };
+
+        await this.trackDictationErrors(result.errors);
+
+        return { chunkId, text: chunk.text, ...result };
+    }
+
+    /**
+     * Combine chunk results; chunks that were skipped count as omitted
+     */
+    getDictationSummary() {
+        let total = 0;
+        let score = 0;
+
+        const chunks = this.currentAudio.dictation.map(chunk => {
+            const result = this.session.dictationResults[chunk.id];
+            const words = this.tokenizeDictation(chunk.text).length;
+            total += words;
+
+            if (!result) {
+                return { chunkId: chunk.id, text: chunk.text, skipped: true, accuracy: 0 };
             }
+
+            score += result.accuracy * words;
+            return { chunkId: chunk.id, text: chunk.text, skipped: false, ...result };
         });
 
-        // Penalize missing words
-        const missingCount = Math.max(0, correctWords.length - userWords.length);
+        return {
+            chunks,
+            accuracy: total > 0 ? score / total : 0
+        };
+    }
+
+    /**
+     * Check dictation accuracy.
+     * Aligns typed words to the transcript, so a missing word doesn't shift every later word.
+     * Near-miss spellings count as half a match.
+     */
+    checkDictation(userText, transcript) {
+        const userWords = this.tokenizeDictation(userText);
+        const correctWords = this.tokenizeDictation(transcript);
+
+        const alignment = this.alignWords(correctWords, userWords);
+
+        const errors = alignment
+            .filter(op => op.type !== 'match')
+            .map(op => ({
+                type: op.type,
+                position: op.position,
+                typed: op.typed,
+                correct: op.expected
+            }));
+
+        const matches = alignment.filter(op => op.type === 'match').length;
+        const nearMisses = errors.filter(e => e.type === 'near_miss').length;
+        const missingCount = errors.filter(e => e.type === 'omission').length;
 
         const accuracy = correctWords.length > 0
-            ? matches / correctWords.length
+            ? (matches + nearMisses * 0.5) / correctWords.length
             : 0;
 
         return {
             accuracy,
             matches,
+            nearMisses,
             total: correctWords.length,
+            alignment,
             errors,
             missingCount
         };
     }
 
+    /**
+     * Split text into comparable words
+     */
+    tokenizeDictation(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/[^a-z0-9'\s-]/g, ' ')
+            .split(/\s+/)
+            .map(w => w.replace(/^['-]+|['-]+$/g, ''))
+            .filter(w => w);
+    }
+
+    /**
+     * Word-level edit-distance alignment.
+     * Returns ops: match, near_miss, substitution, insertion (extra typed word), omission (missed word)
+     */
+    alignWords(expected, typed) {
+        const n = expected.length;
+        const m = typed.length;
+
+        const substitutionCost = (a, b) => {
+            if (a === b) return 0;
+            return this.isNearMiss(a, b) ? 0.5 : 1;
+        };
+
+        // dp[i][j] = cost of aligning expected[0..i) with typed[0..j)
+        const dp = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = 1; i <= n; i++) dp[i][0] = i;
+        for (let j = 1; j <= m; j++) dp[0][j] = j;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                dp[i][j] = Math.min(
+                    dp[i - 1][j - 1] + substitutionCost(expected[i - 1], typed[j - 1]),
+                    dp[i - 1][j] + 1,
+                    dp[i][j - 1] + 1
+                );
+            }
+        }
+
+        // Walk back from the end to recover the operations
+        const ops = [];
+        let i = n;
+        let j = m;
+
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 &&
+                dp[i][j] === dp[i - 1][j - 1] + substitutionCost(expected[i - 1], typed[j - 1])) {
+                const cost = substitutionCost(expected[i - 1], typed[j - 1]);
+                ops.push({
+                    type: cost === 0 ? 'match' : cost < 1 ? 'near_miss' : 'substitution',
+                    expected: expected[i - 1],
+                    typed: typed[j - 1],
+                    position: i - 1
+                });
+                i--;
+                j--;
+            } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+                ops.push({ type: 'omission', expected: expected[i - 1], typed: null, position: i - 1 });
+                i--;
+            } else {
+                ops.push({ type: 'insertion', expected: null, typed: typed[j - 1], position: i });
+                j--;
+            }
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Misspelling of the right word rather than a different word
+     */
+    isNearMiss(a, b) {
+        if (Math.min(a.length, b.length) < 3) return false;
+
+        // Transpositions ("tlak" for "talk") count as one edit, as in spelling grading
+        const { distance } = Spelling.align(a, b);
+        const allowed = Math.max(a.length, b.length) >= 6 ? 2 : 1;
+
+        return distance > 0 && distance <= allowed;
+    }
+
+    /**
+     * Report each dictation error to ErrorAnalysis under its own type
+     */
+    async trackDictationErrors(errors) {
+        try {
+            if (!ErrorAnalysis.patterns) await ErrorAnalysis.init();
+
+            for (const error of errors) {
+                await ErrorAnalysis.trackListeningError(error.type, {
+                    source: 'dictation',
+                    audioId: this.session?.audioId,
+                    expected: error.correct,
+                    typed: error.typed
+                });
+            }
+        } catch (e) {
+            console.warn('Failed to track dictation errors:', e);
+        }
+    }
+
     /**
      * Update user's listening hours
      */
@@ -390,13 +609,62 @@ class Listening {
         };
     }
 
+    /**
+     * Play the current item, or one segment of it
+     */
+    play(segmentId = null) {
+        const item = this.currentAudio;
+        if (!item) return;
+
+        const segment = segmentId !== null
+            ? item.segments.find(s => s.id === segmentId)
+            : null;
+
+        this.stop();
+
+        if (item.audio.type === Listening.AUDIO_TYPES.FILE) {
+            this.player = new Audio(item.audio.url);
+            this.player.playbackRate = item.audio.rate || 1.0;
+            this.player.currentTime = segment ? segment.start : 0;
+
+            if (segment) {
+                this.player.addEventListener('timeupdate', () => {
+                    if (this.player && this.player.currentTime >= segment.end) this.player.pause();
+                });
+            }
+
+            this.player.play().catch(e => console.warn('Audio playback failed:', e));
+        } else {
+            this.speakText(segment ? segment.text : item.segments.map(s => s.text).join(' '),
+                item.audio.rate || 1.0, item.audio.voice);
+        }
+
+        if (this.session) {
+            this.onPlaybackEvent({ type: this.session.plays ? 'replay' : 'play' });
+            this.session.plays = (this.session.plays || 0) + 1;
+        }
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (this.player) {
+            this.player.pause();
+            this.player = null;
+        }
+        if ('speechSynthesis' in window) {
+            speechSynthesis.cancel();
+        }
+    }
+
     /**
      * Text-to-speech for dictation practice
      */
-    speakText(text, rate = 1.0) {
+    speakText(text, rate = 1.0, lang = 'en-US') {
         if ('speechSynthesis' in window) {
             const utterance = new SpeechSynthesisUtterance(text);
-            utterance.lang = 'en-US';
+            utterance.lang = lang;
             utterance.rate = rate;
             speechSynthesis.speak(utterance);
         }
@@ -0,0 +1,82 @@
+/**
+ * Content manifest
+ * Reads data/manifest.json (generated by scripts/build-manifest.mjs) so loaders
+ * know which content files exist instead of probing guessed file names
+ */
+
+class Manifest {
+    constructor() {
+        this.data = null;
+        this.loading = null;
+    }
+
+    static PATH = 'data/manifest.json';
+
+    /**
+     * Load manifest once; concurrent callers share the same request
+     */
+    async load() {
+        if (this.data) return this.data;
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            try {
+                const response = await fetch(Manifest.PATH);
+                if (response.ok) {
+                    this.data = await response.json();
+                    return this.data;
+                }
+                console.warn(`Content manifest not found (${response.status})`);
+            } catch (e) {
+                console.warn('Loading content manifest failed:', e);
+            }
+            return null;
+        })();
+
+        const result = await this.loading;
+        this.loading = null;
+        return result;
+    }
+
+    /**
+     * Get manifest entries for module and level (e.g. 'reading', 'B1')
+     * For IELTS the second argument is the section: 'listening' or 'reading'
+     */
+    async getItems(module, level) {
+        const manifest = await this.load();
+        return manifest?.modules?.[module]?.[level] || [];
+    }
+
+    /**
+     * Find a single entry by id, optionally within a level
+     */
+    async findItem(module, id, level = null) {
+        const manifest = await this.load();
+        const byLevel = manifest?.modules?.[module];
+        if (!byLevel) return null;
+
+        const groups = level ? [byLevel[level] || []] : Object.values(byLevel);
+        for (const items of groups) {
+            const item = items.find(i => i.id === id);
+            if (item) return item;
+        }
+        return null;
+    }
+
+    /**
+     * Fetch the JSON file behind a manifest entry
+     */
+    async fetchItem(entry) {
+        try {
+            const response = await fetch(entry.path);
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (e) {
+            console.warn(`Loading ${entry.path} failed:`, e);
+        }
+        return null;
+    }
+}
+
+export default new Manifest();
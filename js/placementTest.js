@@ -1,10 +1,11 @@
 /**
  * Placement Test module
  * Adaptive testing to determine initial level
- * Uses question banks from data/placement/*.json
+ * Uses question banks from data/placement/*.json (listed in data/manifest.json)
  */
 
 import Database from './database.js';
+import Manifest from './manifest.js';
 
 class PlacementTest {
     constructor() {
@@ -47,17 +48,16 @@ class PlacementTest {
     async loadQuestionBanks() {
         if (this.isLoaded) return;
 
-        const levels = ['a1', 'a2', 'b1', 'b2', 'c1'];
+        const levels = ['A1', 'A2', 'B1', 'B2', 'C1'];
 
         for (const level of levels) {
-            try {
-                const response = await fetch(`data/placement/${level}_placement.json`);
-                if (response.ok) {
-                    const data = await response.json();
-                    this.questionBanks[level.toUpperCase()] = this.processQuestionBank(data);
-                }
-            } catch (e) {
-                console.warn(`Failed to load ${level} placement questions:`, e);
+            // One bank per level: data/placement/<level>_placement.json
+            const [entry] = await Manifest.getItems('placement', level);
+            const data = entry ? await Manifest.fetchItem(entry) : null;
+            if (data) {
+                this.questionBanks[level] = this.processQuestionBank(data);
+            } else {
+                console.warn(`Failed to load ${level} placement questions`);
             }
         }
 
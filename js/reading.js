@@ -6,6 +6,9 @@
 import Database from './database.js';
 import AI from './ai.js';
 import Vocabulary from './vocabulary.js';
+import Manifest from './manifest.js';
+import Lemmatizer from './lemmatizer.js';
+import SentenceMiner from './sentenceMiner.js';
 
 class Reading {
     constructor() {
@@ -103,13 +106,10 @@ class Reading {
      * Load text from data files
      */
     async loadText(textId, level) {
-        try {
-            const response = await fetch(`data/reading/${level}/${textId}.json`);
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (e) {
-            console.warn('Loading text failed');
+        const entry = await Manifest.findItem('reading', textId, level);
+        if (entry) {
+            const text = await Manifest.fetchItem(entry);
+            if (text) return text;
         }
 
         // Return sample text for development
@@ -165,6 +165,7 @@ class Reading {
                 id: index,
                 display: escapedWord,
                 word: escapedCleanWord,
+                known: Vocabulary.isKnownWord(cleanWord),
                 tappable: true
             };
         });
@@ -178,31 +179,71 @@ class Reading {
     }
 
     /**
-     * Handle word tap
+     * Share of words in a text that are known in some inflection (0-1)
+     */
+    getKnownCoverage(text) {
+        const words = String(text || '').split(/\s+/)
+            .map(w => w.replace(/[^A-Za-z'-]/g, ''))
+            .filter(Boolean);
+        if (words.length === 0) return 0;
+        return words.filter(w => Vocabulary.isKnownWord(w)).length / words.length;
+    }
+
+    /**
+     * Handle word tap; looks up the dictionary form ("went" -> "go")
      */
     async onWordTap(word) {
-        this.readingSession.tappedWords.push({
+        const lemma = Lemmatizer.lemmatize(word);
+
+        this.readingSession?.tappedWords.push({
             word,
+            lemma,
             timestamp: Date.now()
         });
 
         // Get word info
-        const wordInfo = await AI.getWordInfo(word);
+        const wordInfo = await AI.getWordInfo(lemma);
 
         return {
             word,
+            lemma,
             info: wordInfo,
-            canAdd: !Vocabulary.cards.find(c => c.word.toLowerCase() === word.toLowerCase())
+            known: Vocabulary.isKnownWord(word),
+            family: Vocabulary.getWordFamily(lemma).map(c => c.word),
+            canAdd: !Vocabulary.findCard(word)
         };
     }
 
     /**
-     * Add tapped word to vocabulary
+     * Add tapped word to vocabulary (as its lemma)
      */
     async addWordToVocab(word) {
         const result = await Vocabulary.addWord(word);
         if (result.success) {
-            this.readingSession.addedToVocab.push(word);
+            this.readingSession?.addedToVocab.push(result.card.word);
+        }
+        return result;
+    }
+
+    /**
+     * Save a tapped word with the sentence around it as a cloze context
+     * @param {string} word - Token as it appears in the text
+     * @param {number} offset - Character position of the token in the text
+     */
+    async mineSentence(word, offset, text = this.currentText) {
+        if (!text?.text) {
+            return { success: false, message: 'No text open' };
+        }
+
+        const result = await SentenceMiner.mine(word, {
+            text: text.text,
+            offset,
+            sourceType: 'reading',
+            sourceId: text.id,
+            sourceTitle: text.title
+        });
+        if (result.created) {
+            this.readingSession?.addedToVocab.push(result.card.word);
         }
         return result;
     }
@@ -0,0 +1,168 @@
+/**
+ * Review analytics built on the vocabulary review log
+ * True retention, forgetting curves, leeches and receptive vs productive recall
+ */
+
+import Database from './database.js';
+import SM2 from './sm2.js';
+
+class ReviewAnalytics {
+    // Elapsed-days buckets for true retention
+    static INTERVAL_BUCKETS = [
+        { label: '<1d', max: 1 },
+        { label: '1-2d', max: 3 },
+        { label: '3-6d', max: 7 },
+        { label: '1-2w', max: 14 },
+        { label: '2-4w', max: 30 },
+        { label: '1-3m', max: 90 },
+        { label: '3m+', max: Infinity }
+    ];
+
+    // Lapses before a card counts as a leech (same threshold the scheduler suspends at)
+    static LEECH_THRESHOLD = SM2.leechThreshold;
+
+    static MODES = ['receptive', 'productive'];
+
+    /**
+     * Whether a log entry is a scheduled review (not a first exposure or learning step)
+     */
+    isScheduledReview(entry) {
+        return entry.state === 'review' || entry.state === 'learned';
+    }
+
+    isRecalled(entry) {
+        return entry.quality > SM2.AGAIN;
+    }
+
+    /**
+     * True retention: share of scheduled reviews answered without "Again"
+     */
+    getTrueRetention(log) {
+        const reviews = log.filter(e => this.isScheduledReview(e));
+        if (reviews.length === 0) return null;
+        return reviews.filter(e => this.isRecalled(e)).length / reviews.length;
+    }
+
+    /**
+     * True retention grouped by days since the previous review
+     */
+    getRetentionByInterval(log) {
+        const buckets = ReviewAnalytics.INTERVAL_BUCKETS.map(b => ({
+            label: b.label,
+            reviews: 0,
+            recalled: 0,
+            totalDays: 0
+        }));
+
+        for (const entry of log.filter(e => this.isScheduledReview(e))) {
+            const index = ReviewAnalytics.INTERVAL_BUCKETS.findIndex(b => entry.elapsedDays < b.max);
+            const bucket = buckets[index];
+            bucket.reviews++;
+            bucket.totalDays += entry.elapsedDays;
+            if (this.isRecalled(entry)) bucket.recalled++;
+        }
+
+        return buckets.map(b => ({
+            label: b.label,
+            reviews: b.reviews,
+            recalled: b.recalled,
+            avgDays: b.reviews > 0 ? b.totalDays / b.reviews : null,
+            retention: b.reviews > 0 ? b.recalled / b.reviews : null
+        }));
+    }
+
+    /**
+     * Observed forgetting curve with a fitted stability
+     * Fits R(t) = (1 + 19/81 * t / S) ^ -0.5 (the FSRS curve) by weighted least squares
+     */
+    getForgettingCurve(log, mode = null) {
+        const entries = mode ? log.filter(e => e.mode === mode) : log;
+        const points = this.getRetentionByInterval(entries)
+            .filter(b => b.reviews > 0)
+            .map(b => ({ days: b.avgDays, retention: b.retention, reviews: b.reviews }));
+
+        if (points.length === 0) {
+            return { points, stability: null };
+        }
+
+        const curve = (t, s) => Math.pow(1 + 19 / 81 * t / s, -0.5);
+        let best = { stability: null, error: Infinity };
+
+        // Log-spaced search from half a day to ten years
+        for (let s = 0.5; s <= 3650; s *= 1.05) {
+            const error = points.reduce((sum, p) => sum + p.reviews * (curve(p.days, s) - p.retention) ** 2, 0);
+            if (error < best.error) best = { stability: s, error };
+        }
+
+        return {
+            points,
+            stability: Math.round(best.stability * 10) / 10
+        };
+    }
+
+    /**
+     * Cards that keep lapsing in either mode
+     */
+    getLeeches(cards, threshold = ReviewAnalytics.LEECH_THRESHOLD) {
+        const leeches = [];
+        for (const card of cards) {
+            for (const mode of ReviewAnalytics.MODES) {
+                const lapses = card[mode]?.lapses || 0;
+                if (lapses >= threshold) {
+                    leeches.push({
+                        word: card.word,
+                        translation: card.translation,
+                        mode,
+                        lapses,
+                        suspended: Boolean(card[mode].suspended)
+                    });
+                }
+            }
+        }
+        return leeches.sort((a, b) => b.lapses - a.lapses);
+    }
+
+    /**
+     * Receptive vs productive recall
+     */
+    compareModes(log) {
+        const result = {};
+        for (const mode of ReviewAnalytics.MODES) {
+            const entries = log.filter(e => e.mode === mode);
+            const timed = entries.filter(e => e.responseTime > 0);
+            result[mode] = {
+                reviews: entries.length,
+                retention: this.getTrueRetention(entries),
+                againRate: entries.length > 0
+                    ? entries.filter(e => !this.isRecalled(e)).length / entries.length
+                    : null,
+                avgResponseTime: timed.length > 0
+                    ? Math.round(timed.reduce((sum, e) => sum + e.responseTime, 0) / timed.length)
+                    : null
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Full report from stored log and cards
+     */
+    async getReport() {
+        const log = await Database.getReviewLog();
+        const cards = await Database.getVocabulary();
+
+        return {
+            totalReviews: log.length,
+            trueRetention: this.getTrueRetention(log),
+            byInterval: this.getRetentionByInterval(log),
+            curves: {
+                receptive: this.getForgettingCurve(log, 'receptive'),
+                productive: this.getForgettingCurve(log, 'productive')
+            },
+            leeches: this.getLeeches(cards),
+            modes: this.compareModes(log)
+        };
+    }
+}
+
+export default new ReviewAnalytics();
@@ -0,0 +1,153 @@
+/**
+ * Sentence mining: a word tapped in a reading text or immersion transcript is
+ * saved together with the sentence it appeared in, so the card is reviewed
+ * as a cloze in real contexts instead of one dictionary example
+ */
+
+import Vocabulary from './vocabulary.js';
+
+class SentenceMiner {
+    // Abbreviations whose period does not end a sentence
+    static ABBREVIATIONS = new Set([
+        'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'jr', 'sr'
+    ]);
+
+    // Dotted abbreviations (u.s, a.m, p.m, u.k): they end a sentence only before a capital
+    static DOTTED_ABBREVIATION = /^(?:[a-z]\.)+[a-z]$/;
+
+    // Longer "sentences" are usually run-on transcript chunks; they are trimmed around the word
+    static MAX_SENTENCE_LENGTH = 300;
+
+    /**
+     * Split text into sentences with their character ranges
+     * @returns {Array<{text: string, start: number, end: number}>}
+     */
+    splitSentences(text) {
+        const source = String(text || '');
+        const sentences = [];
+        const boundary = /[.!?\u2026]+["'\u201D\u2019)\]]*(?=\s|$)/g;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(source)) !== null) {
+            const end = match.index + match[0].length;
+            const lastWord = source.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+            if (match[0] === '.' && SentenceMiner.ABBREVIATIONS.has(lastWord)) continue;
+            if (match[0] === '.' && SentenceMiner.DOTTED_ABBREVIATION.test(lastWord) &&
+                /^\s+[^A-Z\s]/.test(source.slice(end))) continue;
+
+            this.pushSentence(sentences, source, start, end);
+            start = end;
+        }
+        this.pushSentence(sentences, source, start, source.length);
+
+        return sentences;
+    }
+
+    /**
+     * Add a trimmed sentence range, skipping whitespace-only chunks
+     */
+    pushSentence(sentences, source, start, end) {
+        const raw = source.slice(start, end);
+        const text = raw.trim();
+        if (!text) return;
+
+        const offset = start + raw.indexOf(text);
+        sentences.push({ text, start: offset, end: offset + text.length });
+    }
+
+    /**
+     * Sentence containing the character at `offset`; without an offset the first
+     * sentence that contains the word is used
+     * @returns {{sentence: string, index: number, wordOffset: number, form: string}|null}
+     */
+    extractSentence(text, word, offset = null) {
+        const sentences = this.splitSentences(text);
+        const form = String(word || '').replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, '');
+        if (!form) return null;
+
+        let index = offset === null
+            ? -1
+            : sentences.findIndex(s => offset >= s.start && offset < s.end);
+        if (index === -1) {
+            index = sentences.findIndex(s => this.findForm(s.text, form) !== -1);
+        }
+        if (index === -1) return null;
+
+        const { text: sentence, start } = sentences[index];
+        // The tapped token may start with punctuation ("(went" or a quote mark)
+        let wordOffset = offset === null ? -1 : offset - start + Math.max(0, String(word).search(/[A-Za-z]/));
+        if (sentence.substr(wordOffset, form.length).toLowerCase() !== form.toLowerCase()) {
+            wordOffset = this.findForm(sentence, form);
+        }
+        if (wordOffset === -1) return null;
+
+        return { ...this.trim(sentence, wordOffset, form.length), index, form };
+    }
+
+    /**
+     * Position of a whole-word occurrence of `form` (case-insensitive), or -1
+     */
+    findForm(sentence, form) {
+        const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(^|[^A-Za-z])(${escaped})(?![A-Za-z])`, 'i').exec(sentence);
+        return match ? match.index + match[1].length : -1;
+    }
+
+    /**
+     * Cut an overly long sentence to a window of whole words around the mined word
+     */
+    trim(sentence, wordOffset, length) {
+        const max = SentenceMiner.MAX_SENTENCE_LENGTH;
+        if (sentence.length <= max) return { sentence, wordOffset };
+
+        const half = Math.floor((max - length) / 2);
+        let from = Math.max(0, wordOffset - half);
+        let to = Math.min(sentence.length, wordOffset + length + half);
+        if (from > 0) from = sentence.indexOf(' ', from) + 1;
+        if (to < sentence.length) to = sentence.lastIndexOf(' ', to);
+
+        return {
+            sentence: `${from > 0 ? '…' : ''}${sentence.slice(from, to).trim()}${to < sentence.length ? '…' : ''}`,
+            wordOffset: wordOffset - from + (from > 0 ? 1 : 0)
+        };
+    }
+
+    /**
+     * Save the tapped word with its source sentence, creating the card if needed.
+     * The card is tagged with the source type and title ("reading", "sherlock-holmes").
+     * @param {string} word - Word as it appears in the text ("went")
+     * @param {Object} source - { text, offset, sourceType: 'reading'|'immersion', sourceId, sourceTitle }
+     */
+    async mine(word, { text, offset = null, sourceType, sourceId = null, sourceTitle = null }) {
+        const extracted = this.extractSentence(text, word, offset);
+        if (!extracted) {
+            return { success: false, message: 'Sentence not found' };
+        }
+
+        let card = Vocabulary.findCard(extracted.form);
+        let created = false;
+        if (!card) {
+            const result = await Vocabulary.addWord(extracted.form);
+            if (!result.success) return result;
+            card = result.card;
+            created = true;
+        }
+
+        const context = {
+            sentence: extracted.sentence,
+            form: extracted.form,
+            wordOffset: extracted.wordOffset,
+            sourceType,
+            sourceId,
+            sentenceIndex: extracted.index,
+            addedAt: Date.now()
+        };
+        const added = await Vocabulary.addContext(card, context);
+        await Vocabulary.addTags(card, [sourceType, sourceTitle]);
+
+        return { success: true, card, context, created, added };
+    }
+}
+
+export default new SentenceMiner();
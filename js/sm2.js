@@ -1,9 +1,14 @@
 /**
  * SM-2 Spaced Repetition Algorithm
  * Based on Ebbinghaus 1885, Bahrick 1993
+ *
+ * FSRS (Free Spaced Repetition Scheduler, v4.5) is provided as an alternative
+ * with the same card interface; pick one with getScheduler()
  */
 
 const SM2 = {
+    name: 'sm2',
+
     // Learning phase steps (in minutes)
     learningSteps: [1, 10],
 
@@ -16,6 +21,9 @@ const SM2 = {
     maxEaseFactor: 3.0,
     defaultEaseFactor: 2.5,
 
+    // Lapses before a card is suspended as a leech, then every half threshold again
+    leechThreshold: 8,
+
     // Quality ratings
     AGAIN: 0,
     HARD: 1,
@@ -104,6 +112,9 @@ const SM2 = {
             card.learningStep = 0;
             card.easeFactor = Math.max(card.easeFactor - 0.2, this.minEaseFactor);
             card.nextReview = Date.now() + this.learningSteps[0] * 60 * 1000;
+            if (this.isLeechLapse(card.lapses)) {
+                card.suspended = true;
+            }
         } else {
             // Successful review
             card.repetitions++;
@@ -134,43 +145,505 @@ const SM2 = {
     },
 
     /**
-     * Get cards due for review
+     * Whether this lapse count makes the card a leech (8, 12, 16... with the default threshold)
+     */
+    isLeechLapse(lapses) {
+        const t = this.leechThreshold;
+        return lapses >= t && (lapses - t) % Math.ceil(t / 2) === 0;
+    },
+
+    /**
+     * Get cards due for review (suspended cards are skipped)
      */
     getDueCards(cards, limit = 20) {
         const now = Date.now();
         return cards
-            .filter(card => card.nextReview <= now)
+            .filter(card => !card.suspended && card.nextReview <= now)
             .sort((a, b) => a.nextReview - b.nextReview)
             .slice(0, limit);
     },
 
     /**
-     * Get new cards to introduce
+     * Get new cards to introduce, within what is left of the daily budget
+     * @param {number} introducedToday - New cards already started today
      */
-    getNewCards(cards, limit = 10) {
+    getNewCards(cards, limit = 10, introducedToday = 0) {
+        const budget = Math.max(0, Math.min(limit, this.newCardsPerDay - introducedToday));
         return cards
             .filter(card => card.status === 'new')
-            .slice(0, limit);
+            .slice(0, budget);
     },
 
     /**
-     * Calculate review forecast
+     * Calculate review forecast: reviews due on each calendar day from today
+     * (earlier days are overdue and not counted)
      */
-    getForecast(cards, days = 7) {
+    getForecast(cards, days = 7, now = Date.now()) {
         const forecast = {};
-        const now = Date.now();
-
         for (let i = 0; i < days; i++) {
-            const dayStart = now + i * 24 * 60 * 60 * 1000;
-            const dayEnd = dayStart + 24 * 60 * 60 * 1000;
+            forecast[i] = 0;
+        }
 
-            forecast[i] = cards.filter(card =>
-                card.nextReview >= dayStart && card.nextReview < dayEnd
-            ).length;
+        for (const card of cards) {
+            const day = this.dayIndex(card.nextReview, now);
+            if (day >= 0 && day < days) forecast[day]++;
         }
 
         return forecast;
+    },
+
+    // ============= Daily Load =============
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    // Defaults for the per-user limits in settings
+    newCardsPerDay: 20,
+    maxReviewsPerDay: 200,
+
+    // A break may at most stretch an interval by this factor; younger cards are reviewed before it
+    maxVacationStretch: 2,
+
+    /**
+     * Calendar day of a time relative to today (0 = today, 1 = tomorrow)
+     */
+    dayIndex(time, now = Date.now()) {
+        return Math.floor((time - new Date(now).setHours(0, 0, 0, 0)) / this.DAY_MS);
+    },
+
+    /**
+     * Set daily limits: { newCardsPerDay, maxReviewsPerDay }
+     */
+    configureLimits(limits = {}) {
+        if (limits.newCardsPerDay >= 0) this.newCardsPerDay = limits.newCardsPerDay;
+        if (limits.maxReviewsPerDay > 0) this.maxReviewsPerDay = limits.maxReviewsPerDay;
+    },
+
+    /**
+     * Days a due date may move to spread the load: none for short intervals,
+     * then about 5-15% of the interval (similar to Anki's fuzz)
+     */
+    fuzzDays(interval) {
+        if (interval < 3) return 0;
+        if (interval < 7) return 1;
+        if (interval < 30) return Math.max(2, Math.round(interval * 0.15));
+        return Math.max(4, Math.round(interval * 0.05));
+    },
+
+    /**
+     * Move a freshly scheduled review to the least busy day within its fuzz range
+     * @param {Object} card - Scheduling state (review or learned)
+     * @param {Object} load - getForecast() result covering the range
+     */
+    balance(card, load, now = Date.now()) {
+        if (!['review', 'learned'].includes(card.status)) return card;
+
+        const fuzz = this.fuzzDays(card.interval);
+        if (fuzz === 0) return card;
+
+        const due = this.dayIndex(card.nextReview, now);
+        let best = due;
+        for (let day = Math.max(1, due - fuzz); day <= due + fuzz; day++) {
+            const better = (load[day] || 0) < (load[best] || 0);
+            const closer = (load[day] || 0) === (load[best] || 0) && Math.abs(day - due) < Math.abs(best - due);
+            if (better || closer) best = day;
+        }
+
+        card.interval += best - due;
+        card.nextReview += (best - due) * this.DAY_MS;
+        return card;
+    },
+
+    /**
+     * Keep today's reviews under the cap and push the overflow to the next days
+     * with room left; the longest intervals (least harmed by waiting) move first
+     * @param {number} reviewedToday - Reviews already done today
+     * @returns {number} Reviews moved
+     */
+    capReviews(cards, reviewedToday = 0, now = Date.now()) {
+        const due = cards
+            .filter(card => !card.suspended && card.nextReview <= now && ['review', 'learned'].includes(card.status))
+            .sort((a, b) => a.interval - b.interval);
+
+        const room = Math.max(0, this.maxReviewsPerDay - reviewedToday);
+        const overflow = due.slice(room);
+        if (overflow.length === 0) return 0;
+
+        const horizon = Math.ceil(overflow.length / this.maxReviewsPerDay) + 30;
+        const load = this.getForecast(cards, horizon, now);
+        const today = new Date(now).setHours(0, 0, 0, 0);
+        let day = 1;
+
+        for (const card of overflow) {
+            while (day < horizon - 1 && load[day] >= this.maxReviewsPerDay) day++;
+            card.nextReview = today + day * this.DAY_MS;
+            load[day]++;
+        }
+
+        return overflow.length;
+    },
+
+    /**
+     * Prepare for a break from `start` to `end`: reviews falling inside it are
+     * postponed past the break (spread over the first days back) when that
+     * stretches the interval at most maxVacationStretch times; otherwise they
+     * are brought forward so the card is reviewed before leaving
+     * @param {number[]} load - Reviews per day to spread around (defaults to the cards' own forecast)
+     * @returns {{postponed: number, broughtForward: number}}
+     */
+    planBreak(cards, start, end, now = Date.now(), load = null) {
+        const result = { postponed: 0, broughtForward: 0 };
+        const horizon = this.dayIndex(end, now) + 60;
+        load = load || this.getForecast(cards, horizon, now);
+        const today = new Date(now).setHours(0, 0, 0, 0);
+        const endDay = Math.ceil((end - today) / this.DAY_MS);
+
+        for (const card of cards) {
+            if (card.suspended || !['review', 'learned'].includes(card.status)) continue;
+            if (card.nextReview < start || card.nextReview >= end) continue;
+
+            const oldDay = this.dayIndex(card.nextReview, now);
+            const lastReview = card.lastReview || now;
+            const stretched = (end - lastReview) / this.DAY_MS;
+            let day;
+
+            if (stretched <= Math.max(1, card.interval) * this.maxVacationStretch) {
+                // Least busy of the first days back
+                const spread = Math.max(1, Math.round(card.interval * 0.15));
+                day = endDay;
+                for (let d = endDay + 1; d <= endDay + spread && d < horizon; d++) {
+                    if ((load[d] || 0) < (load[day] || 0)) day = d;
+                }
+                card.nextReview = today + day * this.DAY_MS;
+                card.interval = Math.max(card.interval, Math.round((card.nextReview - lastReview) / this.DAY_MS));
+                result.postponed++;
+            } else {
+                card.nextReview = Math.min(card.nextReview, Math.max(now, start - this.DAY_MS));
+                day = this.dayIndex(card.nextReview, now);
+                result.broughtForward++;
+            }
+
+            if (load[oldDay] > 0) load[oldDay]--;
+            load[day] = (load[day] || 0) + 1;
+        }
+
+        return result;
+    }
+};
+
+/**
+ * FSRS-4.5 scheduler
+ * Tracks stability (days until recall probability drops to 90%), difficulty (1-10)
+ * and retrievability per card. Intervals are chosen to hit the target retention.
+ */
+const FSRS = {
+    name: 'fsrs',
+
+    // Default FSRS-4.5 weights
+    w: [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+        1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755],
+
+    // Forgetting curve R(t) = (1 + FACTOR * t / S) ^ DECAY
+    DECAY: -0.5,
+    FACTOR: 19 / 81,
+
+    // Target probability of recall when a card comes due
+    targetRetention: 0.9,
+    minRetention: 0.7,
+    maxRetention: 0.97,
+
+    maxInterval: 36500, // days
+
+    // Same ratings and learning steps as SM-2
+    AGAIN: SM2.AGAIN,
+    HARD: SM2.HARD,
+    GOOD: SM2.GOOD,
+    EASY: SM2.EASY,
+    learningSteps: SM2.learningSteps,
+
+    /**
+     * Apply user settings (target retention)
+     */
+    configure(settings = {}) {
+        if (typeof settings.targetRetention === 'number') {
+            this.targetRetention = Math.min(this.maxRetention,
+                Math.max(this.minRetention, settings.targetRetention));
+        }
+        return this;
+    },
+
+    /**
+     * Create a new card
+     */
+    createCard(wordId) {
+        return {
+            ...SM2.createCard(wordId),
+            scheduler: this.name,
+            stability: 0,
+            difficulty: 0
+        };
+    },
+
+    /**
+     * Process user answer
+     * @param {Object} card - Card object
+     * @param {number} quality - 0=Again, 1=Hard, 2=Good, 3=Easy
+     * @returns {Object} Updated card
+     */
+    processAnswer(card, quality, now = Date.now()) {
+        const grade = quality + 1; // FSRS grades are 1-4
+
+        if (card.status === 'new' || !card.stability) {
+            card.stability = this.initStability(grade);
+            card.difficulty = this.initDifficulty(grade);
+        } else if (card.status !== 'learning' || this.elapsedDays(card, now) >= 1) {
+            // Same-day repeats inside learning steps do not change the memory state
+            const r = this.retrievability(card, now);
+            card.difficulty = this.nextDifficulty(card.difficulty, grade);
+            card.stability = grade === 1
+                ? this.forgetStability(card.difficulty, card.stability, r)
+                : this.recallStability(card.difficulty, card.stability, r, grade);
+        }
+
+        card.lastReview = now;
+
+        if (card.status === 'new' || card.status === 'learning') {
+            return this.processLearning(card, quality, now);
+        }
+        return this.processReview(card, quality, now);
+    },
+
+    /**
+     * Learning and relearning: minute steps, then graduate with an FSRS interval
+     */
+    processLearning(card, quality, now) {
+        card.status = 'learning';
+
+        if (quality === this.AGAIN) {
+            card.learningStep = 0;
+            card.nextReview = now + this.learningSteps[0] * 60 * 1000;
+        } else if (quality === this.HARD) {
+            const stepMinutes = this.learningSteps[card.learningStep] || this.learningSteps[0];
+            card.nextReview = now + stepMinutes * 60 * 1000;
+        } else {
+            card.learningStep = quality === this.EASY ? this.learningSteps.length : card.learningStep + 1;
+            if (card.learningStep >= this.learningSteps.length) {
+                this.schedule(card, now);
+            } else {
+                card.nextReview = now + this.learningSteps[card.learningStep] * 60 * 1000;
+            }
+        }
+
+        return card;
+    },
+
+    /**
+     * Review: a lapse goes back to relearning, otherwise schedule by stability
+     */
+    processReview(card, quality, now) {
+        if (quality === this.AGAIN) {
+            card.lapses++;
+            card.status = 'learning';
+            card.learningStep = 0;
+            card.nextReview = now + this.learningSteps[0] * 60 * 1000;
+            if (SM2.isLeechLapse(card.lapses)) {
+                card.suspended = true;
+            }
+        } else {
+            card.repetitions++;
+            this.schedule(card, now);
+        }
+        return card;
+    },
+
+    /**
+     * Set interval and status from the current stability
+     */
+    schedule(card, now) {
+        card.interval = this.nextInterval(card.stability);
+        card.status = card.interval >= 21 ? 'learned' : 'review';
+        card.nextReview = now + card.interval * 24 * 60 * 60 * 1000;
+    },
+
+    // ============= Memory Model =============
+
+    /**
+     * Probability of recall now, given days since last review
+     */
+    retrievability(card, now = Date.now()) {
+        if (!card.stability || !card.lastReview) return card.status === 'new' ? 0 : 1;
+        return Math.pow(1 + this.FACTOR * this.elapsedDays(card, now) / card.stability, this.DECAY);
+    },
+
+    elapsedDays(card, now) {
+        return card.lastReview ? Math.max(0, (now - card.lastReview) / (24 * 60 * 60 * 1000)) : 0;
+    },
+
+    /**
+     * Days until retrievability falls to the target retention
+     */
+    nextInterval(stability, retention = this.targetRetention) {
+        const interval = stability / this.FACTOR * (Math.pow(retention, 1 / this.DECAY) - 1);
+        return Math.min(this.maxInterval, Math.max(1, Math.round(interval)));
+    },
+
+    initStability(grade) {
+        return Math.max(this.w[grade - 1], 0.1);
+    },
+
+    initDifficulty(grade) {
+        return this.clampDifficulty(this.w[4] - (grade - 3) * this.w[5]);
+    },
+
+    nextDifficulty(difficulty, grade) {
+        const next = difficulty - this.w[6] * (grade - 3);
+        // Mean reversion towards the initial difficulty of a "Good" answer
+        return this.clampDifficulty(this.w[7] * this.initDifficulty(3) + (1 - this.w[7]) * next);
+    },
+
+    recallStability(difficulty, stability, r, grade) {
+        const hardPenalty = grade === 2 ? this.w[15] : 1;
+        const easyBonus = grade === 4 ? this.w[16] : 1;
+        return stability * (1 + Math.exp(this.w[8]) *
+            (11 - difficulty) *
+            Math.pow(stability, -this.w[9]) *
+            (Math.exp((1 - r) * this.w[10]) - 1) *
+            hardPenalty *
+            easyBonus);
+    },
+
+    forgetStability(difficulty, stability, r) {
+        const next = this.w[11] *
+            Math.pow(difficulty, -this.w[12]) *
+            (Math.pow(stability + 1, this.w[13]) - 1) *
+            Math.exp((1 - r) * this.w[14]);
+        return Math.max(0.1, Math.min(next, stability));
+    },
+
+    clampDifficulty(difficulty) {
+        return Math.min(10, Math.max(1, difficulty));
+    },
+
+    // ============= Migration =============
+
+    /**
+     * Convert an SM-2 card to FSRS using its review history
+     * SM-2 intervals are chosen for roughly 90% recall, which is how FSRS defines
+     * stability; ease factor (lowered by lapses and hard answers) maps to difficulty.
+     * Due dates are kept so switching does not create a backlog.
+     */
+    fromSM2(card) {
+        if (card.scheduler === this.name) return card;
+
+        const migrated = { ...card, scheduler: this.name };
+        if (card.status === 'new') {
+            return { ...migrated, stability: 0, difficulty: 0 };
+        }
+
+        const ease = card.easeFactor || SM2.defaultEaseFactor;
+        const fromEase = 1 + (SM2.maxEaseFactor - ease) / (SM2.maxEaseFactor - SM2.minEaseFactor) * 9;
+        // Cards that lapsed often are harder than their ease alone suggests
+        const lapseRate = (card.lapses || 0) / Math.max(1, (card.repetitions || 0) + (card.lapses || 0));
+        migrated.difficulty = this.clampDifficulty(fromEase + lapseRate * 2);
+
+        migrated.stability = card.interval > 0
+            ? card.interval
+            : this.initStability(card.lapses > 0 ? 1 : 3);
+
+        return migrated;
+    },
+
+    /**
+     * Rebuild stability and difficulty by replaying logged reviews (oldest first)
+     * Only valid when the log starts at the card's first review; status and
+     * due date are kept from the card
+     */
+    replay(card, reviews) {
+        let state = this.createCard(card.wordId);
+        for (const review of reviews) {
+            state = this.processAnswer(state, review.quality, review.timestamp);
+        }
+        return {
+            ...card,
+            scheduler: this.name,
+            stability: state.stability,
+            difficulty: state.difficulty
+        };
+    },
+
+    /**
+     * Convert an FSRS card back to SM-2 (difficulty becomes ease factor)
+     */
+    toSM2(card) {
+        if (card.scheduler !== this.name) return card;
+
+        const { scheduler, stability, difficulty, ...rest } = card;
+        if (card.status === 'new') {
+            return { ...rest, easeFactor: SM2.defaultEaseFactor };
+        }
+
+        const ease = SM2.maxEaseFactor - ((difficulty || 5) - 1) / 9 * (SM2.maxEaseFactor - SM2.minEaseFactor);
+        return {
+            ...rest,
+            easeFactor: Math.round(ease * 100) / 100,
+            interval: card.interval || Math.max(1, Math.round(stability || 1))
+        };
+    },
+
+    // ============= Queues =============
+
+    getDueCards(cards, limit = 20) {
+        return SM2.getDueCards(cards, limit);
+    },
+
+    getNewCards(cards, limit = 10, introducedToday = 0) {
+        return SM2.getNewCards(cards, limit, introducedToday);
+    },
+
+    getForecast(cards, days = 7, now = Date.now()) {
+        return SM2.getForecast(cards, days, now);
+    },
+
+    // ============= Daily Load =============
+
+    configureLimits(limits) {
+        SM2.configureLimits(limits);
+    },
+
+    balance(card, load, now = Date.now()) {
+        return SM2.balance(card, load, now);
+    },
+
+    capReviews(cards, reviewedToday = 0, now = Date.now()) {
+        return SM2.capReviews(cards, reviewedToday, now);
+    },
+
+    planBreak(cards, start, end, now = Date.now(), load = null) {
+        return SM2.planBreak(cards, start, end, now, load);
     }
 };
 
+// Available schedulers by settings value
+const SCHEDULERS = { sm2: SM2, fsrs: FSRS };
+
+/**
+ * Get scheduler by name ('sm2' or 'fsrs'), SM-2 by default
+ */
+function getScheduler(name) {
+    return SCHEDULERS[name] || SM2;
+}
+
+/**
+ * Convert a card to the given scheduler's format
+ * @param {Array} reviews - Logged reviews of this card, oldest first (optional)
+ */
+function migrateCard(card, schedulerName, reviews = []) {
+    if (schedulerName !== FSRS.name) return FSRS.toSM2(card);
+    if (card.scheduler === FSRS.name) return card;
+
+    // A complete history (starting from the first exposure) beats estimating from SM-2 state
+    const complete = reviews.length > 0 && reviews[0].state === 'new';
+    return complete ? FSRS.replay(card, reviews) : FSRS.fromSM2(card);
+}
+
+export { FSRS, getScheduler, migrateCard };
 export default SM2;
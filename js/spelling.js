@@ -0,0 +1,350 @@
+/**
+ * Spelling grader
+ * Typo-tolerant comparison with partial credit: Damerau-Levenshtein (optimal string
+ * alignment) distance, British/American variants, and tolerance for punctuation,
+ * hyphens and articles. Classifies misspellings into patterns for error analysis.
+ */
+
+import SM2 from './sm2.js';
+
+const Spelling = {
+    // Leading words ignored in multi-word entries ("the weather", "to give up")
+    ARTICLES: ['a', 'an', 'the', 'to'],
+
+    VOWELS: 'aeiouy',
+
+    // British -> American spellings that rules below do not cover
+    VARIANTS: {
+        grey: 'gray', tyre: 'tire', programme: 'program', cheque: 'check',
+        aluminium: 'aluminum', mum: 'mom', jewellery: 'jewelry', plough: 'plow',
+        pyjamas: 'pajamas', kerb: 'curb', moustache: 'mustache', sceptical: 'skeptical',
+        manoeuvre: 'maneuver', aeroplane: 'airplane', draught: 'draft', enquiry: 'inquiry',
+        ageing: 'aging', judgement: 'judgment', fulfil: 'fulfill', enrol: 'enroll',
+        skilful: 'skillful', practise: 'practice', defence: 'defense', offence: 'offense',
+        licence: 'license', pretence: 'pretense', catalogue: 'catalog', dialogue: 'dialog',
+        analogue: 'analog', monologue: 'monolog', prologue: 'prolog', epilogue: 'epilog',
+        storey: 'story', cosy: 'cozy', doughnut: 'donut', mould: 'mold', smoulder: 'smolder'
+    },
+
+    // Stems that double the final l in British English (travelled / traveled)
+    DOUBLE_L_STEMS: ['travel', 'cancel', 'model', 'label', 'level', 'fuel', 'signal', 'total',
+        'counsel', 'marvel', 'quarrel', 'dial', 'jewel', 'tunnel', 'channel', 'equal', 'rival', 'panel'],
+
+    // -ise and -yse verbs spelled -ize and -yze in American English; listed because
+    // the endings alone also match words that are -ise everywhere (exercise, promise, sunrise)
+    ISE_WORDS: ['realise', 'organise', 'recognise', 'apologise', 'criticise', 'emphasise', 'memorise',
+        'summarise', 'specialise', 'prioritise', 'minimise', 'maximise', 'categorise', 'characterise',
+        'civilise', 'finalise', 'generalise', 'harmonise', 'authorise', 'legalise', 'modernise',
+        'normalise', 'publicise', 'standardise', 'sympathise', 'symbolise', 'utilise', 'visualise',
+        'globalise', 'hospitalise', 'capitalise', 'customise', 'energise', 'familiarise', 'fertilise',
+        'idolise', 'immunise', 'jeopardise', 'localise', 'mobilise', 'monopolise', 'nationalise',
+        'neutralise', 'optimise', 'patronise', 'penalise', 'personalise', 'polarise', 'popularise',
+        'privatise', 'rationalise', 'revolutionise', 'scrutinise', 'socialise', 'stabilise',
+        'sterilise', 'subsidise', 'terrorise', 'theorise', 'trivialise', 'vandalise', 'victimise',
+        'agonise', 'antagonise', 'baptise', 'colonise', 'dramatise', 'economise', 'fantasise',
+        'hypnotise', 'itemise', 'mesmerise', 'naturalise', 'ostracise', 'pasteurise', 'sanitise',
+        'synchronise', 'synthesise', 'digitise', 'computerise', 'crystallise', 'equalise', 'glamorise',
+        'magnetise', 'marginalise', 'materialise', 'pressurise', 'randomise', 'regularise', 'tantalise',
+        'vaporise', 'conceptualise', 'contextualise', 'decentralise', 'destabilise', 'formalise',
+        'galvanise', 'idealise', 'immobilise', 'industrialise', 'initialise', 'internalise',
+        'legitimise', 'liberalise', 'mechanise', 'militarise', 'monetise', 'oxidise', 'plagiarise',
+        'politicise', 'radicalise', 'sensitise', 'stigmatise', 'strategise', 'systematise',
+        'traumatise', 'unionise', 'evangelise', 'urbanise', 'westernise', 'demoralise', 'deodorise',
+        'analyse', 'paralyse', 'catalyse', 'breathalyse', 'dialyse', 'electrolyse', 'hydrolyse',
+        'psychoanalyse'],
+
+    // -our and -re words spelled -or and -er in American English; listed because the
+    // endings alone also match ordinary words (hour, detour, hundred, hatred)
+    OUR_WORDS: ['colour', 'favour', 'flavour', 'honour', 'humour', 'labour', 'neighbour', 'behaviour',
+        'harbour', 'rumour', 'vapour', 'vigour', 'odour', 'armour', 'saviour', 'tumour', 'endeavour',
+        'parlour', 'splendour', 'clamour', 'candour', 'valour', 'rigour', 'fervour', 'ardour',
+        'demeanour', 'savour', 'succour', 'arbour'],
+
+    RE_WORDS: ['centre', 'theatre', 'metre', 'litre', 'fibre', 'calibre', 'sombre', 'spectre', 'sabre',
+        'lustre', 'meagre', 'sceptre', 'mitre', 'goitre', 'kilometre', 'centimetre', 'millimetre',
+        'reconnoitre', 'saltpetre'],
+
+    // Letters that are often silent, with the context they are silent in
+    SILENT_LETTERS: [
+        { letter: 'k', pattern: /^kn/ },
+        { letter: 'w', pattern: /^wr|^who|sword|answer|two/ },
+        { letter: 'b', pattern: /mb$|mb[^aeiou]|bt/ },
+        { letter: 'h', pattern: /^h(our|onest|onou?r|eir)|wh|gh|rh|ch[^aeiou]/ },
+        { letter: 'g', pattern: /^gn|gn$|gn[^aeiou]|igh|gh/ },
+        { letter: 'l', pattern: /alk|alf|alm|ould/ },
+        { letter: 't', pattern: /stle|sten|ften|tch/ },
+        { letter: 'p', pattern: /^ps|^pn|pt|mpb/ },
+        { letter: 'u', pattern: /gu[aeiy]|build|biscuit/ },
+        { letter: 'n', pattern: /mn$/ },
+        { letter: 'c', pattern: /sc[eiy]|scle/ },
+        { letter: 'd', pattern: /dg|wednes|handk|handsome/ },
+        { letter: 's', pattern: /isl|aisle/ },
+        { letter: 'e', pattern: /e$/ }
+    ],
+
+    /**
+     * Grade typed input against the expected word or phrase
+     * @returns {Object} { correct, score, quality, distance, errors, patterns, variant, feedback }
+     */
+    grade(input, expected) {
+        const typed = this.normalize(input);
+        const target = this.normalize(expected);
+
+        const result = {
+            input: typed,
+            expected: target,
+            correct: false,
+            score: 0,
+            quality: SM2.AGAIN,
+            distance: 0,
+            errors: [],
+            patterns: [],
+            variant: null,
+            feedback: ''
+        };
+
+        if (!typed) {
+            result.distance = target.length;
+            result.feedback = 'No answer';
+            return result;
+        }
+
+        if (typed === target) {
+            return this.accept(result, null);
+        }
+
+        const typedCore = this.stripArticles(typed, target);
+        const targetCore = this.stripArticles(target, typed);
+
+        if (typedCore === targetCore) {
+            return this.accept(result, null, 'Article or punctuation difference ignored');
+        }
+        if (typedCore.replace(/ /g, '') === targetCore.replace(/ /g, '')) {
+            return this.accept(result, null, 'Spacing or hyphen difference ignored');
+        }
+
+        const variant = this.variantOf(typedCore, targetCore);
+        if (variant) {
+            return this.accept(result, variant, `${variant === 'american' ? 'American' : 'British'} spelling accepted`);
+        }
+
+        const { distance, operations } = this.align(targetCore, typedCore);
+        const errors = operations.filter(op => op.type !== 'match');
+
+        result.distance = distance;
+        result.errors = errors;
+        result.patterns = [...new Set(errors.map(op => this.classify(op, targetCore)))];
+        result.score = this.partialCredit(distance, targetCore.length);
+        result.quality = result.score >= 0.75 ? SM2.HARD : SM2.AGAIN;
+        result.feedback = errors.slice(0, 3).map(op => this.describe(op)).join('; ');
+
+        return result;
+    },
+
+    /**
+     * Mark result as fully correct
+     */
+    accept(result, variant, feedback = '') {
+        return {
+            ...result,
+            correct: true,
+            score: 1,
+            quality: SM2.GOOD,
+            variant,
+            feedback
+        };
+    },
+
+    /**
+     * Lowercase, unify quotes and dashes, drop punctuation, collapse whitespace
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019\u02bc`]/g, "'")
+            .replace(/[\u2010-\u2015-]/g, ' ')
+            .replace(/[.,!?;:"()\[\]{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Remove a leading article from multi-word text, unless the other side starts with it too
+     */
+    stripArticles(text, other) {
+        const [first, ...rest] = text.split(' ');
+        if (rest.length === 0 || !this.ARTICLES.includes(first)) return text;
+        if (other.split(' ')[0] === first) return text;
+        return rest.join(' ');
+    },
+
+    /**
+     * 'american' or 'british' if typed is the other regional spelling of target, else null
+     */
+    variantOf(typed, target) {
+        const typedWords = typed.split(' ');
+        const targetWords = target.split(' ');
+        if (typedWords.length !== targetWords.length) return null;
+
+        let variant = null;
+        for (let i = 0; i < typedWords.length; i++) {
+            if (typedWords[i] === targetWords[i]) continue;
+            if (this.americanize(typedWords[i]) !== this.americanize(targetWords[i])) return null;
+            variant = this.americanize(typedWords[i]) === typedWords[i] ? 'american' : 'british';
+        }
+        return variant;
+    },
+
+    /**
+     * American spelling of a (possibly British) word
+     */
+    americanize(word) {
+        if (this.VARIANTS[word]) return this.VARIANTS[word];
+
+        // Inflected dictionary forms: programmes, cheques, defences
+        for (const suffix of ['s', 'es', 'd', 'ed', 'ing']) {
+            const stem = word.slice(0, -suffix.length);
+            if (word.endsWith(suffix) && this.VARIANTS[stem]) return this.VARIANTS[stem] + suffix;
+            if (word.endsWith(suffix) && this.VARIANTS[stem + 'e']) return this.VARIANTS[stem + 'e'].replace(/e$/, '') + suffix;
+        }
+
+        // colour, favourite, neighbours
+        let match = /^([a-z]+)our(s|ed|ing|er|ers|ful|ite|ites|able|hood)?$/.exec(word);
+        if (match && this.OUR_WORDS.includes(`${match[1]}our`)) return `${match[1]}or${match[2] || ''}`;
+
+        // realise, organisation, analyse, paralysed
+        match = /^([a-z]+)([iy])s(e|es|ed|ing|ation|ations|er|ers)$/.exec(word);
+        if (match && this.ISE_WORDS.includes(`${match[1]}${match[2]}se`)) {
+            return `${match[1]}${match[2]}z${match[3]}`;
+        }
+
+        // centre, theatres, metre
+        match = /^([a-z]+)re(s|d)?$/.exec(word);
+        if (match && this.RE_WORDS.includes(`${match[1]}re`)) {
+            return `${match[1]}er${match[2] === 'd' ? 'ed' : match[2] || ''}`;
+        }
+
+        // travelled, cancelling, modeller
+        match = /^([a-z]+)ll(ed|ing|er|ers)$/.exec(word);
+        if (match && this.DOUBLE_L_STEMS.includes(`${match[1]}l`)) return `${match[1]}l${match[2]}`;
+
+        return word;
+    },
+
+    /**
+     * Optimal string alignment distance with the edit script from expected to typed
+     */
+    align(expected, typed) {
+        const m = expected.length;
+        const n = typed.length;
+        const d = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+
+        for (let i = 0; i <= m; i++) d[i][0] = i;
+        for (let j = 0; j <= n; j++) d[0][j] = j;
+
+        for (let i = 1; i <= m; i++) {
+            for (let j = 1; j <= n; j++) {
+                const cost = expected[i - 1] === typed[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && expected[i - 1] === typed[j - 2] && expected[i - 2] === typed[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        // Walk back to recover operations (positions are in the expected word)
+        const operations = [];
+        let i = m;
+        let j = n;
+        while (i > 0 || j > 0) {
+            if (i > 1 && j > 1 && expected[i - 1] === typed[j - 2] && expected[i - 2] === typed[j - 1] &&
+                expected[i - 1] !== expected[i - 2] && d[i][j] === d[i - 2][j - 2] + 1) {
+                operations.unshift({ type: 'transposition', position: i - 2, expected: expected.slice(i - 2, i), typed: typed.slice(j - 2, j) });
+                i -= 2;
+                j -= 2;
+            } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (expected[i - 1] === typed[j - 1] ? 0 : 1)) {
+                const type = expected[i - 1] === typed[j - 1] ? 'match' : 'substitution';
+                operations.unshift({ type, position: i - 1, expected: expected[i - 1], typed: typed[j - 1] });
+                i--;
+                j--;
+            } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+                operations.unshift({ type: 'omission', position: i - 1, expected: expected[i - 1], typed: '' });
+                i--;
+            } else {
+                operations.unshift({ type: 'insertion', position: i, expected: '', typed: typed[j - 1] });
+                j--;
+            }
+        }
+
+        return { distance: d[m][n], operations };
+    },
+
+    /**
+     * Partial credit: up to 1 error for short words, 2 for medium, 3 for long
+     */
+    partialCredit(distance, length) {
+        const allowed = length <= 4 ? 1 : length <= 8 ? 2 : 3;
+        if (distance > allowed) return 0;
+        return Math.max(0, 1 - 0.25 * distance);
+    },
+
+    isVowel(ch) {
+        return Boolean(ch) && this.VOWELS.includes(ch);
+    },
+
+    /**
+     * Misspelling pattern for one edit: doubled_consonant, silent_letter, vowel_swap,
+     * transposition, missing_letter, extra_letter or wrong_letter
+     */
+    classify(op, expected) {
+        const prev = expected[op.position - 1];
+        const next = expected[op.position + 1];
+        const letter = op.expected || op.typed;
+
+        if (op.type === 'transposition') {
+            return [...op.expected].every(ch => this.isVowel(ch)) ? 'vowel_swap' : 'transposition';
+        }
+
+        if (op.type === 'substitution') {
+            return this.isVowel(op.expected) && this.isVowel(op.typed) ? 'vowel_swap' : 'wrong_letter';
+        }
+
+        // Dropping one of a double consonant, or doubling a single one
+        if (!this.isVowel(letter) && /[a-z]/.test(letter)) {
+            const neighbour = op.type === 'omission' ? [prev, next] : [prev, expected[op.position]];
+            if (neighbour.includes(letter)) return 'doubled_consonant';
+        }
+
+        if (op.type === 'omission') {
+            const silent = this.SILENT_LETTERS.find(s => s.letter === op.expected && s.pattern.test(expected));
+            return silent ? 'silent_letter' : 'missing_letter';
+        }
+
+        return 'extra_letter';
+    },
+
+    /**
+     * Human-readable description of one edit
+     */
+    describe(op) {
+        const at = `letter ${op.position + 1}`;
+        switch (op.type) {
+            case 'substitution':
+                return `"${op.typed}" instead of "${op.expected}" at ${at}`;
+            case 'transposition':
+                return `"${op.typed}" instead of "${op.expected}" (letters swapped) at ${at}`;
+            case 'omission':
+                return `missing "${op.expected}" at ${at}`;
+            case 'insertion':
+                return `extra "${op.typed}" before ${at}`;
+            default:
+                return '';
+        }
+    }
+};
+
+export default Spelling;
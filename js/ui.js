@@ -10,7 +10,14 @@ import Vocabulary from './vocabulary.js';
 import Reading from './reading.js';
 import Immersion from './immersion.js';
 import PlacementTest from './placementTest.js';
+import IELTS from './ielts.js';
+import Listening from './listening.js';
+import ErrorAnalysis from './errorAnalysis.js';
 import Database from './database.js';
+import Manifest from './manifest.js';
+import ReviewAnalytics from './reviewAnalytics.js';
+import VocabularyIO from './vocabularyIO.js';
+import VocabularySizeTest from './vocabularySizeTest.js';
 
 class UI {
     constructor() {
@@ -19,6 +26,9 @@ class UI {
         this.isInitialized = false;
         this.tg = window.Telegram?.WebApp;
         this.profile = null;
+        this.selectedChoice = null; // Option tapped on an expression card
+        this.recallTimer = null;    // Countdown interval on a timed card
+        this.grammarReview = null;  // { cards, index } of the grammar card review in progress
     }
 
     /**
@@ -54,6 +64,7 @@ class UI {
                 this.showScreen('placement-screen', false);
             } else {
                 await this.loadDashboard();
+                await this.offerIELTSResume();
             }
 
             this.isInitialized = true;
@@ -75,6 +86,13 @@ class UI {
             // Continue without vocabulary - non-critical
         }
 
+        // Error patterns are needed before any module tracks mistakes
+        try {
+            await ErrorAnalysis.init();
+        } catch (e) {
+            console.warn('ErrorAnalysis init warning:', e);
+        }
+
         // These modules load data dynamically, no init needed
         // Grammar, Reading, Immersion - load on demand
     }
@@ -111,10 +129,188 @@ class UI {
         const goalSelect = document.getElementById('setting-daily-goal');
         if (goalSelect) goalSelect.value = settings.dailyGoalMinutes || 30;
 
+        // Review scheduler
+        const schedulerSelect = document.getElementById('setting-scheduler');
+        if (schedulerSelect) schedulerSelect.value = settings.scheduler || 'sm2';
+        const retentionSelect = document.getElementById('setting-retention');
+        if (retentionSelect) retentionSelect.value = String(settings.targetRetention || 0.9);
+        this.toggleRetentionSetting(settings.scheduler);
+
+        // Daily limits and planned break
+        const newCardsSelect = document.getElementById('setting-new-cards');
+        if (newCardsSelect) newCardsSelect.value = String(settings.newCardsPerDay ?? 20);
+        const maxReviewsSelect = document.getElementById('setting-max-reviews');
+        if (maxReviewsSelect) maxReviewsSelect.value = String(settings.maxReviewsPerDay ?? 200);
+        this.updateVacationStatus();
+
+        // Timed recall mode and its deadline
+        const timedToggle = document.getElementById('setting-timed-recall');
+        if (timedToggle) timedToggle.checked = Boolean(settings.timedRecallEnabled);
+        const deadlineSelect = document.getElementById('setting-timed-deadline');
+        if (deadlineSelect) deadlineSelect.value = String(settings.timedDeadline || 5);
+        this.toggleTimedMode(settings.timedRecallEnabled);
+
         // Update all UI text with current language
         this.updateUIText();
     }
 
+    /**
+     * Target retention only applies to FSRS
+     */
+    toggleRetentionSetting(scheduler) {
+        document.getElementById('setting-retention-item')?.classList.toggle('hidden', scheduler !== 'fsrs');
+    }
+
+    /**
+     * Trigger a browser download of text content
+     */
+    downloadFile(content, filename, mime) {
+        const blob = new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import words from CSV/TSV/Anki text after confirming the detected columns
+     */
+    async importVocabulary(text) {
+        const preview = VocabularyIO.preview(text);
+        if (preview.mapping.word === undefined || preview.entries.length === 0) {
+            this.showToast(i18n.t('profile.importEmpty'));
+            return;
+        }
+
+        const columns = Object.entries(preview.mapping)
+            .sort((a, b) => a[1] - b[1])
+            .map(([field, index]) => `${index + 1}: ${field}`)
+            .join(', ');
+
+        const proceed = confirm(i18n.t('profile.importConfirm', {
+            count: preview.entries.length - preview.invalid.length,
+            duplicates: preview.duplicates.length,
+            columns
+        }));
+        if (!proceed) return;
+
+        const carryScheduling = preview.hasScheduling && confirm(i18n.t('profile.importScheduling'));
+        const result = await VocabularyIO.importCards(text, { carryScheduling, level: this.profile?.levels?.overall || 'B1' });
+
+        this.showToast(result.message);
+        this.updateVocabStats();
+    }
+
+    /**
+     * Save scheduler settings and convert vocabulary cards to the chosen algorithm
+     */
+    async saveSchedulerSettings(changes) {
+        if (!this.profile.settings) {
+            this.profile.settings = {};
+        }
+        Object.assign(this.profile.settings, changes);
+        await Database.saveProfile(this.profile);
+
+        const { scheduler, targetRetention } = this.profile.settings;
+        this.toggleRetentionSetting(scheduler);
+
+        const migrated = await Vocabulary.setScheduler(scheduler, targetRetention);
+        this.showToast(migrated > 0
+            ? i18n.t('profile.schedulerMigrated', { count: migrated })
+            : i18n.t('common.saved'));
+    }
+
+    /**
+     * Save daily new-card and review limits
+     */
+    async saveLimitSettings(changes) {
+        if (!this.profile.settings) {
+            this.profile.settings = {};
+        }
+        Object.assign(this.profile.settings, changes);
+        await Database.saveProfile(this.profile);
+        Vocabulary.setLimits(this.profile.settings);
+        this.showToast(i18n.t('common.saved'));
+    }
+
+    /**
+     * Save timed recall settings: whether the mode is offered and its deadline
+     */
+    async saveTimingSettings(changes) {
+        if (!this.profile.settings) {
+            this.profile.settings = {};
+        }
+        Object.assign(this.profile.settings, changes);
+        await Database.saveProfile(this.profile);
+        Vocabulary.setTiming(this.profile.settings);
+        this.toggleTimedMode(this.profile.settings.timedRecallEnabled);
+        this.showToast(i18n.t('common.saved'));
+    }
+
+    /**
+     * The Timed Recall button is only offered when enabled in settings
+     */
+    toggleTimedMode(enabled) {
+        document.querySelector('#vocabulary-screen [data-mode="timed"]')?.classList.toggle('hidden', !enabled);
+        document.getElementById('setting-timed-deadline')?.closest('.settings-item')?.classList.toggle('hidden', !enabled);
+    }
+
+    /**
+     * Plan a break from the chosen dates, or cancel the planned one
+     */
+    async toggleVacation() {
+        const settings = this.profile.settings || (this.profile.settings = {});
+
+        if (settings.vacation) {
+            settings.vacation = null;
+            await Database.saveProfile(this.profile);
+            Vocabulary.setLimits(settings);
+            this.updateVacationStatus();
+            this.showToast(i18n.t('profile.vacationCancelled'));
+            return;
+        }
+
+        const startValue = document.getElementById('setting-vacation-start')?.value;
+        const endValue = document.getElementById('setting-vacation-end')?.value;
+        const start = startValue ? new Date(`${startValue}T00:00`).getTime() : NaN;
+        const end = endValue ? new Date(`${endValue}T00:00`).getTime() + 24 * 60 * 60 * 1000 : NaN;
+        if (!(end > start) || end <= Date.now()) {
+            this.showToast(i18n.t('profile.vacationInvalid'));
+            return;
+        }
+
+        settings.vacation = { start, end };
+        await Database.saveProfile(this.profile);
+        Vocabulary.setLimits(settings);
+
+        const result = await Vocabulary.planVacation(start, end);
+        this.updateVacationStatus();
+        this.showToast(i18n.t('profile.vacationPlanned', result));
+    }
+
+    /**
+     * Show the planned break and switch the button between plan and cancel
+     */
+    updateVacationStatus() {
+        const vacation = this.profile?.settings?.vacation;
+        const status = document.getElementById('vacation-status');
+        const button = document.getElementById('plan-vacation');
+        const locale = i18n.getLocale() === 'ru' ? 'ru-RU' : 'en-US';
+
+        if (status) {
+            status.classList.toggle('hidden', !vacation);
+            status.textContent = vacation ? i18n.t('profile.vacationStatus', {
+                start: Utils.formatDate(vacation.start, locale),
+                end: Utils.formatDate(vacation.end - 1, locale)
+            }) : '';
+        }
+        if (button) {
+            button.textContent = i18n.t(vacation ? 'profile.vacationCancel' : 'profile.vacationPlan');
+        }
+    }
+
     /**
      * Apply dark mode with proper color overrides
      */
@@ -180,6 +376,51 @@ class UI {
         if (profileLevel) {
             profileLevel.textContent = i18n.t('profile.level', { level: this.profile?.levels?.overall || 'A1' });
         }
+        const schedulerLabel = document.getElementById('setting-scheduler-label');
+        if (schedulerLabel) schedulerLabel.textContent = i18n.t('profile.scheduler');
+        const retentionLabel = document.getElementById('setting-retention-label');
+        if (retentionLabel) retentionLabel.textContent = i18n.t('profile.targetRetention');
+        const limitLabels = {
+            'setting-new-cards-label': 'profile.newCardsPerDay',
+            'setting-max-reviews-label': 'profile.maxReviewsPerDay',
+            'setting-vacation-label': 'profile.vacation',
+            'setting-timed-recall-label': 'profile.timedRecall',
+            'setting-timed-deadline-label': 'profile.timedDeadline'
+        };
+        for (const [id, key] of Object.entries(limitLabels)) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = i18n.t(key);
+        }
+        this.updateVacationStatus();
+
+        const sizeTestButton = document.getElementById('start-size-test');
+        if (sizeTestButton) sizeTestButton.textContent = i18n.t('vocab.sizeTestButton');
+
+        // Decks and filtered sessions
+        const deckLabels = {
+            'vocab-decks-title': 'vocab.decks',
+            'create-deck': 'vocab.createDeck',
+            'vocab-filter-title': 'vocab.filteredSession',
+            'start-filtered': 'vocab.studyFiltered'
+        };
+        for (const [id, key] of Object.entries(deckLabels)) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = i18n.t(key);
+        }
+        document.getElementById('new-deck-name')?.setAttribute('placeholder', i18n.t('vocab.newDeck'));
+        document.getElementById('card-tags')?.setAttribute('placeholder', i18n.t('vocab.tags'));
+        this.renderFilterOptions();
+
+        // Vocabulary import/export buttons
+        const vocabIOButtons = {
+            'import-vocab': 'profile.importVocab',
+            'export-vocab-csv': 'profile.exportVocabCsv',
+            'export-vocab-anki': 'profile.exportVocabAnki'
+        };
+        for (const [id, key] of Object.entries(vocabIOButtons)) {
+            const button = document.getElementById(id);
+            if (button) button.textContent = i18n.t(key);
+        }
 
         // Update module names on dashboard
         const moduleNames = {
@@ -213,6 +454,10 @@ class UI {
                 if (mode === 'receptive') btn.textContent = i18n.t('vocab.receptiveMode');
                 if (mode === 'productive') btn.textContent = i18n.t('vocab.productiveMode');
                 if (mode === 'spelling') btn.textContent = i18n.t('vocab.spellingMode');
+                if (mode === 'sentence') btn.textContent = i18n.t('vocab.sentenceMode');
+                if (mode === 'collocation') btn.textContent = i18n.t('vocab.collocationMode');
+                if (mode === 'particle') btn.textContent = i18n.t('vocab.particleMode');
+                if (mode === 'idiom') btn.textContent = i18n.t('vocab.idiomMode');
                 if (mode === 'timed') btn.textContent = i18n.t('vocab.timedMode');
             });
         }
@@ -266,6 +511,11 @@ class UI {
             if (fullTestBtn) fullTestBtn.textContent = i18n.t('ielts.fullTest');
             const sectionTestBtn = document.getElementById('ielts-section-test');
             if (sectionTestBtn) sectionTestBtn.textContent = i18n.t('ielts.sectionTest');
+            document.getElementById('ielts-resume-title').textContent = i18n.t('ielts.resumeTitle');
+            document.getElementById('ielts-resume-text').textContent = i18n.t('ielts.resumeText');
+            document.getElementById('ielts-resume-test').textContent = i18n.t('ielts.resume');
+            document.getElementById('ielts-abandon-test').textContent = i18n.t('ielts.abandon');
+            document.getElementById('ielts-exit-test').textContent = i18n.t('ielts.exit');
         }
 
         // Update grammar screen
@@ -534,6 +784,10 @@ class UI {
                 if (screenMap[nav]) {
                     this.showScreen(screenMap[nav], false);
                 }
+
+                if (nav === 'progress') {
+                    this.loadReviewAnalytics();
+                }
             });
         });
     }
@@ -585,6 +839,16 @@ class UI {
             });
         }
 
+        document.getElementById('start-grammar-review')?.addEventListener('click', () => {
+            this.startGrammarReview();
+        });
+
+        document.getElementById('grammar-path-toggle')?.addEventListener('click', () => {
+            const path = document.getElementById('grammar-path');
+            path?.classList.toggle('hidden');
+            this.renderGrammarPath(document.getElementById('grammar-level-select')?.value || 'A1');
+        });
+
         // Reading level selector
         const readingLevelSelect = document.getElementById('reading-level-select');
         if (readingLevelSelect) {
@@ -593,6 +857,14 @@ class UI {
             });
         }
 
+        // Listening level selector
+        const listeningLevelSelect = document.getElementById('listening-level-select');
+        if (listeningLevelSelect) {
+            listeningLevelSelect.addEventListener('change', (e) => {
+                this.loadListeningItems(e.target.value);
+            });
+        }
+
         // Immersion level selector
         const immersionLevelSelect = document.getElementById('immersion-level-select');
         if (immersionLevelSelect) {
@@ -624,6 +896,32 @@ class UI {
             });
         });
 
+        // Leech remediation
+        document.getElementById('start-remediation')?.addEventListener('click', () => {
+            this.startRemediationSession();
+        });
+
+        // Vocabulary size test
+        document.getElementById('start-size-test')?.addEventListener('click', () => {
+            this.startSizeTest();
+        });
+        document.getElementById('size-test-yes')?.addEventListener('click', () => this.answerSizeTest(true));
+
+        // Decks, tags and filtered sessions
+        document.getElementById('create-deck')?.addEventListener('click', () => this.createDeck());
+        document.getElementById('start-filtered')?.addEventListener('click', () => {
+            this.startFilteredSession(this.readFilter());
+        });
+        document.getElementById('card-tags')?.addEventListener('change', async (e) => {
+            const card = Vocabulary.getCurrentCard();
+            if (card) await Vocabulary.setTags(card, e.target.value.split(','));
+        });
+        document.getElementById('card-deck')?.addEventListener('change', async (e) => {
+            const card = Vocabulary.getCurrentCard();
+            if (card) await Vocabulary.moveToDeck(card, e.target.value || null);
+        });
+        document.getElementById('size-test-no')?.addEventListener('click', () => this.answerSizeTest(false));
+
         // Show answer button
         const showAnswerBtn = document.getElementById('show-answer-btn');
         if (showAnswerBtn) {
@@ -643,6 +941,11 @@ class UI {
             checkReadingBtn.addEventListener('click', () => this.checkReadingAnswers());
         }
 
+        // Listening session controls
+        document.getElementById('listening-play')?.addEventListener('click', () => Listening.play());
+        document.getElementById('listening-stop')?.addEventListener('click', () => Listening.stop());
+        document.getElementById('check-listening')?.addEventListener('click', () => this.checkListeningSession());
+
         // Immersion controls
         const showTranscriptBtn = document.getElementById('show-transcript');
         if (showTranscriptBtn) {
@@ -693,6 +996,31 @@ class UI {
             this.showToast(i18n.t('common.saved'));
         });
 
+        // Review scheduler and target retention
+        document.getElementById('setting-scheduler')?.addEventListener('change', async (e) => {
+            await this.saveSchedulerSettings({ scheduler: e.target.value });
+        });
+        document.getElementById('setting-retention')?.addEventListener('change', async (e) => {
+            await this.saveSchedulerSettings({ targetRetention: parseFloat(e.target.value) });
+        });
+
+        // Daily limits and planned break
+        document.getElementById('setting-new-cards')?.addEventListener('change', async (e) => {
+            await this.saveLimitSettings({ newCardsPerDay: parseInt(e.target.value) });
+        });
+        document.getElementById('setting-max-reviews')?.addEventListener('change', async (e) => {
+            await this.saveLimitSettings({ maxReviewsPerDay: parseInt(e.target.value) });
+        });
+        document.getElementById('plan-vacation')?.addEventListener('click', () => this.toggleVacation());
+
+        // Timed recall
+        document.getElementById('setting-timed-recall')?.addEventListener('change', async (e) => {
+            await this.saveTimingSettings({ timedRecallEnabled: e.target.checked });
+        });
+        document.getElementById('setting-timed-deadline')?.addEventListener('change', async (e) => {
+            await this.saveTimingSettings({ timedDeadline: parseInt(e.target.value) });
+        });
+
         // Retake placement test
         document.getElementById('retake-placement')?.addEventListener('click', () => {
             this.showScreen('placement-screen');
@@ -701,16 +1029,36 @@ class UI {
         // Export progress
         document.getElementById('export-progress')?.addEventListener('click', async () => {
             const data = await Database.exportData();
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `englishmaster-progress-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+            this.downloadFile(
+                JSON.stringify(data, null, 2),
+                `englishmaster-progress-${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
             this.showToast(i18n.t('profile.exportSuccess'));
         });
 
+        // Vocabulary import (CSV, TSV, Anki text export)
+        document.getElementById('import-vocab')?.addEventListener('click', () => {
+            document.getElementById('import-vocab-file')?.click();
+        });
+        document.getElementById('import-vocab-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.importVocabulary(await file.text());
+        });
+
+        // Vocabulary export
+        document.getElementById('export-vocab-csv')?.addEventListener('click', () => {
+            const { content, filename, mime } = VocabularyIO.exportCards(Vocabulary.cards, 'csv');
+            this.downloadFile(content, filename, mime);
+            this.showToast(i18n.t('profile.vocabExported', { count: Vocabulary.cards.length }));
+        });
+        document.getElementById('export-vocab-anki')?.addEventListener('click', () => {
+            const { content, filename, mime } = VocabularyIO.exportCards(Vocabulary.cards, 'anki');
+            this.downloadFile(content, filename, mime);
+            this.showToast(i18n.t('profile.vocabExported', { count: Vocabulary.cards.length }));
+        });
+
         // Reset progress
         document.getElementById('reset-progress')?.addEventListener('click', async () => {
             if (confirm(i18n.t('profile.resetConfirm'))) {
@@ -744,6 +1092,22 @@ class UI {
             this.startIELTSTest('section');
         });
 
+        document.getElementById('ielts-submit-section')?.addEventListener('click', () => {
+            this.submitIELTSSection();
+        });
+
+        document.getElementById('ielts-exit-test')?.addEventListener('click', () => {
+            this.exitIELTSTest();
+        });
+
+        document.getElementById('ielts-resume-test')?.addEventListener('click', () => {
+            this.resumeIELTSTest();
+        });
+
+        document.getElementById('ielts-abandon-test')?.addEventListener('click', () => {
+            this.abandonIELTSTest();
+        });
+
         // IELTS section cards
         document.querySelectorAll('[data-ielts]').forEach(card => {
             card.addEventListener('click', () => {
@@ -885,8 +1249,13 @@ class UI {
                 await this.loadReadingTexts(readingLevel);
                 break;
 
+            case 'listening':
+                const listeningLevel = document.getElementById('listening-level-select')?.value || 'A1';
+                await this.loadListeningItems(listeningLevel);
+                break;
+
             case 'immersion':
-                // Immersion section is not implemented per TZ - show placeholder
+                // Transcript library plus AI-generated recommendations
                 this.showImmersionPlaceholder();
                 break;
 
@@ -894,6 +1263,10 @@ class UI {
                 await Vocabulary.init();
                 this.updateVocabStats();
                 break;
+
+            case 'ielts':
+                await this.renderIELTSResumeCard();
+                break;
         }
     }
 
@@ -905,8 +1278,11 @@ class UI {
     async loadGrammarTopics(level) {
         await Grammar.init();
         const topics = Grammar.getTopicsForLevel(level);
+        const weakTopics = Grammar.getWeakTopics();
         const container = document.getElementById('grammar-topics-list');
 
+        this.renderGrammarReviewCard();
+        this.renderGrammarPath(level);
         if (!container) return;
 
         container.innerHTML = '';
@@ -917,27 +1293,37 @@ class UI {
             const statusIcon = {
                 'completed': '✓',
                 'in_progress': '◐',
-                'new': '○'
+                'new': '○',
+                'locked': '🔒'
             };
 
             const statusClass = {
                 'completed': 'completed',
                 'in_progress': 'in-progress',
-                'new': 'locked'
+                'new': 'locked',
+                'locked': 'locked'
             };
 
+            const missing = topic.status === 'locked' ? Grammar.getMissingPrerequisites(topic.id) : [];
+
             const topicItem = Utils.createElement('div', {
-                className: 'topic-item',
+                className: `topic-item ${topic.status === 'locked' ? 'locked' : ''}`,
                 dataset: { topicId: topic.id, level: level },
                 onClick: () => this.openGrammarTopic(topic.id, level)
             }, [
                 Utils.createElement('div', { className: 'topic-info' }, [
-                    Utils.createElement('div', { className: 'topic-title', textContent: i18n.getLocale() === 'ru' ? topic.name_ru : topic.name }),
-                    Utils.createElement('div', { className: 'topic-subtitle', textContent: level })
+                    Utils.createElement('div', { className: 'topic-title', textContent: this.getGrammarTopicName(topic.id) }),
+                    Utils.createElement('div', {
+                        className: 'topic-subtitle',
+                        textContent: missing.length > 0
+                            ? `${level} • ${i18n.t('grammar.requires', { topics: missing.map(id => this.getGrammarTopicName(id)).join(', ') })}`
+                            : level
+                    })
                 ]),
                 Utils.createElement('div', {
                     className: `topic-status ${statusClass[topic.status]}`,
-                    textContent: statusIcon[topic.status]
+                    // Failed review cards send the topic back for revision
+                    textContent: weakTopics.includes(topic.id) ? '↺' : statusIcon[topic.status]
                 })
             ]);
 
@@ -947,12 +1333,157 @@ class UI {
         container.appendChild(topicList);
     }
 
+    /**
+     * Topic name in the interface language
+     */
+    getGrammarTopicName(topicId) {
+        const topic = Grammar.findTopicInfo(topicId, Grammar.getTopicLevel(topicId));
+        if (!topic) return topicId;
+        return i18n.getLocale() === 'ru' ? topic.name_ru : topic.name;
+    }
+
+    /**
+     * Level topics grouped into steps, each step after the prerequisites it builds on
+     */
+    renderGrammarPath(level) {
+        const container = document.getElementById('grammar-path');
+        const toggle = document.getElementById('grammar-path-toggle');
+        if (!container) return;
+
+        const hidden = container.classList.contains('hidden');
+        if (toggle) toggle.textContent = i18n.t(hidden ? 'grammar.path' : 'grammar.hidePath');
+        container.innerHTML = '';
+        if (hidden) return;
+
+        const statusIcon = { completed: '✓', in_progress: '◐', new: '○', locked: '🔒' };
+        const steps = {};
+        for (const topic of Grammar.getPath(level)) {
+            (steps[topic.step] = steps[topic.step] || []).push(topic);
+        }
+
+        for (const [step, topics] of Object.entries(steps)) {
+            container.appendChild(Utils.createElement('div', { className: 'mb-md' }, [
+                Utils.createElement('div', { className: 'text-hint mb-sm', textContent: i18n.t('grammar.step', { step }) }),
+                ...topics.map(topic => Utils.createElement('div', {
+                    className: `topic-item ${topic.status === 'locked' ? 'locked' : ''}`,
+                    onClick: () => this.openGrammarTopic(topic.id, level)
+                }, [
+                    Utils.createElement('div', { className: 'topic-info' }, [
+                        Utils.createElement('div', { className: 'topic-title', textContent: this.getGrammarTopicName(topic.id) }),
+                        topic.prerequisites.length > 0
+                            ? Utils.createElement('div', {
+                                className: 'topic-subtitle',
+                                textContent: '← ' + topic.prerequisites.map(id => this.getGrammarTopicName(id)).join(', ')
+                            })
+                            : null
+                    ]),
+                    Utils.createElement('span', { textContent: statusIcon[topic.status] })
+                ]))
+            ]));
+        }
+    }
+
+    /**
+     * Show how many grammar review cards are due; hidden until a topic has cards
+     */
+    renderGrammarReviewCard() {
+        const card = document.getElementById('grammar-review-card');
+        if (!card) return;
+
+        card.classList.toggle('hidden', Grammar.cards.length === 0);
+        const { due } = Grammar.getDueCounts();
+
+        document.getElementById('grammar-review-title').textContent = i18n.t('grammar.reviewTitle');
+        document.getElementById('grammar-review-due').textContent = i18n.t('grammar.reviewDue', { count: due });
+
+        const startBtn = document.getElementById('start-grammar-review');
+        startBtn.textContent = i18n.t('grammar.startReview');
+        startBtn.disabled = Grammar.getDueCards().length === 0;
+        startBtn.classList.toggle('hidden', this.grammarReview !== null);
+    }
+
+    /**
+     * Review the grammar cards due now
+     */
+    startGrammarReview() {
+        const cards = Grammar.getDueCards();
+        if (cards.length === 0) {
+            this.showToast('No cards to review');
+            return;
+        }
+
+        this.grammarReview = { cards, index: 0 };
+        this.renderGrammarReviewCard();
+        this.renderGrammarReviewItem();
+    }
+
+    /**
+     * Front of the current grammar card; the back and rating buttons follow "Show Answer"
+     */
+    renderGrammarReviewItem(showBack = false) {
+        const area = document.getElementById('grammar-review-area');
+        if (!area || !this.grammarReview) return;
+
+        area.innerHTML = '';
+        const { cards, index } = this.grammarReview;
+
+        if (index >= cards.length) {
+            this.grammarReview = null;
+            this.showToast(i18n.t('grammar.reviewDone'));
+            this.renderGrammarReviewCard();
+            return;
+        }
+
+        const card = cards[index];
+        area.appendChild(Utils.createElement('div', { className: 'text-hint mb-sm', textContent: `${index + 1} / ${cards.length}` }));
+        area.appendChild(Utils.createElement('p', { className: 'mb-md', style: 'white-space: pre-line;', textContent: card.front }));
+
+        if (!showBack) {
+            area.appendChild(Utils.createElement('button', {
+                className: 'btn btn-secondary btn-block',
+                textContent: i18n.t('vocab.showAnswer'),
+                onClick: () => this.renderGrammarReviewItem(true)
+            }));
+            return;
+        }
+
+        area.appendChild(Utils.createElement('p', { className: 'mb-md text-success', style: 'white-space: pre-line;', textContent: card.back }));
+        area.appendChild(Utils.createElement('div', { className: 'answer-buttons' },
+            ['again', 'hard', 'good', 'easy'].map((label, quality) => Utils.createElement('button', {
+                className: `answer-btn ${label}`,
+                textContent: i18n.t(`vocab.${label}`),
+                onClick: () => this.answerGrammarCard(card, quality)
+            }))
+        ));
+    }
+
+    /**
+     * Grade a grammar card and move on
+     */
+    async answerGrammarCard(card, quality) {
+        const result = await Grammar.reviewCard(card.id, quality);
+        if (result.leech) {
+            this.showToast(i18n.t('grammar.topicLeech', { topic: this.getGrammarTopicName(card.topicId) }));
+        } else if (result.failed) {
+            this.showToast(i18n.t('grammar.topicBack', { topic: this.getGrammarTopicName(card.topicId) }));
+        }
+
+        this.grammarReview.index++;
+        this.renderGrammarReviewItem();
+    }
+
     /**
      * Open grammar topic
      */
     async openGrammarTopic(topicId, level) {
         const result = await Grammar.startTopic(topicId, level);
 
+        if (result.locked) {
+            this.showToast(i18n.t('grammar.locked', {
+                topics: result.missing.map(id => this.getGrammarTopicName(id)).join(', ')
+            }));
+            return;
+        }
         if (!result.success) {
             this.showToast(result.message);
             return;
@@ -1183,8 +1714,8 @@ class UI {
     /**
      * Render Practice phase
      */
-    renderPracticePhase(container, content, locale) {
-        const session = Grammar.getPracticeSession();
+    async renderPracticePhase(container, content, locale) {
+        const session = await Grammar.preparePracticeSession();
         if (!session || session.exercises.length === 0) {
             container.innerHTML = `<div class="card"><p class="text-hint">No exercises available</p></div>`;
             return;
@@ -1342,9 +1873,11 @@ class UI {
             }),
             Utils.createElement('button', {
                 className: 'btn btn-primary btn-block mt-md',
+                id: 'produce-submit',
                 textContent: i18n.t('common.submit'),
                 onClick: () => this.submitProducePhase()
-            })
+            }),
+            Utils.createElement('div', { className: 'mt-md', id: 'produce-feedback' })
         ]);
 
         if (content.example) {
@@ -1361,10 +1894,11 @@ class UI {
     }
 
     /**
-     * Submit produce phase
+     * Submit produce phase: check every sentence, then record the attempt
      */
-    submitProducePhase() {
+    async submitProducePhase() {
         const input = document.getElementById('produce-input');
+        const submitBtn = document.getElementById('produce-submit');
         const text = input?.value || '';
 
         if (text.trim().length < 20) {
@@ -1372,7 +1906,69 @@ class UI {
             return;
         }
 
-        this.completeGrammarPhase('produce', { text, feedback: 'Good effort!' });
+        submitBtn.disabled = true;
+        submitBtn.textContent = i18n.t('grammar.checking');
+        const result = await Grammar.evaluateProduction(text);
+        submitBtn.classList.add('hidden');
+
+        if (!result.success) {
+            this.showToast(result.message);
+            submitBtn.disabled = false;
+            submitBtn.textContent = i18n.t('common.submit');
+            submitBtn.classList.remove('hidden');
+            return;
+        }
+
+        this.renderProduceFeedback(result);
+
+        const percent = Math.round(result.score * 100);
+        const container = document.getElementById('produce-feedback');
+        container.appendChild(Utils.createElement('button', {
+            className: 'btn btn-primary btn-block mt-md',
+            textContent: result.passed ? i18n.t('common.next') : i18n.t('grammar.tryAgain'),
+            onClick: () => this.completeGrammarPhase('produce', {
+                text,
+                score: result.score,
+                feedback: i18n.t('grammar.produceScore', { score: percent })
+            })
+        }));
+    }
+
+    /**
+     * Per-sentence feedback of the produce phase
+     */
+    renderProduceFeedback(result) {
+        const container = document.getElementById('produce-feedback');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const threshold = Math.round(result.threshold * 100);
+
+        container.appendChild(Utils.createElement('p', {
+            className: `mb-md ${result.passed ? 'text-success' : ''}`,
+            textContent: `${i18n.t('grammar.produceScore', { score: Math.round(result.score * 100) })} • ${
+                result.passed ? i18n.t('grammar.producePassed') : i18n.t('grammar.produceFailed', { threshold })}`
+        }));
+        if (!result.aiChecked) {
+            container.appendChild(Utils.createElement('p', { className: 'text-hint mb-md', textContent: i18n.t('grammar.aiUnavailable') }));
+        }
+
+        for (const item of result.sentences) {
+            const notes = [];
+            if (!item.verified) notes.push(i18n.t('grammar.targetUnverified'));
+            else if (!item.usesTarget) notes.push(i18n.t('grammar.noTarget'));
+            else if (!item.targetCorrect) notes.push(i18n.t('grammar.targetWrong'));
+            if (item.feedback) notes.push(item.feedback);
+            notes.push(...item.errors.map(e => e.message));
+
+            container.appendChild(Utils.createElement('div', { className: 'mb-md' }, [
+                Utils.createElement('p', { textContent: `${item.score === 1 ? '✓' : item.score > 0 ? '◐' : '✗'} ${item.sentence}` }),
+                ...notes.map(note => Utils.createElement('p', { className: 'text-hint', textContent: note })),
+                item.correction
+                    ? Utils.createElement('p', { className: 'text-success', textContent: i18n.t('grammar.correction', { text: item.correction }) })
+                    : null
+            ]));
+        }
     }
 
     /**
@@ -1463,15 +2059,24 @@ class UI {
             'receptive': Vocabulary.MODES.RECEPTIVE,
             'productive': Vocabulary.MODES.PRODUCTIVE,
             'spelling': Vocabulary.MODES.SPELLING,
-            'timed': Vocabulary.MODES.TIMED
+            'sentence': Vocabulary.MODES.SENTENCE,
+            'timed': Vocabulary.MODES.TIMED,
+            'collocation': Vocabulary.MODES.COLLOCATION,
+            'particle': Vocabulary.MODES.PARTICLE,
+            'idiom': Vocabulary.MODES.IDIOM
         };
 
+        // Reviews over the daily cap move to the next days
+        const postponed = await Vocabulary.applyDailyLimits();
         const session = Vocabulary.startSession(modeMap[mode] || Vocabulary.MODES.RECEPTIVE);
 
         if (session.cards.length === 0) {
             this.showToast('No cards to review');
             return;
         }
+        if (postponed > 0) {
+            this.showToast(i18n.t('vocab.reviewsPostponed', { count: postponed }));
+        }
 
         document.getElementById('flashcard-area')?.classList.remove('hidden');
         this.renderVocabCard();
@@ -1487,11 +2092,31 @@ class UI {
             return;
         }
 
+        if (Vocabulary.currentSession.remediation) {
+            this.renderRemediationCard(card);
+            return;
+        }
+
         const mode = Vocabulary.currentSession.mode;
         const rendered = Vocabulary.renderCard(card, mode, false);
 
         const flashcard = document.getElementById('flashcard');
         flashcard?.classList.remove('flipped');
+        document.getElementById('card-organize')?.classList.add('hidden');
+
+        // Timed recall shows the seconds left
+        this.startRecallTimer(rendered.timed ? rendered.front.timeLimit : null);
+
+        // Expression modes are answered by tapping an option
+        this.selectedChoice = null;
+        this.renderCardOptions(rendered.choiceRequired ? rendered.front.options : null);
+
+        // Productive, spelling and cloze cards are typed and graded
+        const input = document.getElementById('card-input');
+        if (input) {
+            input.value = '';
+            input.classList.toggle('hidden', !Vocabulary.TYPED_MODES.includes(mode));
+        }
 
         const frontWord = document.getElementById('card-front-word');
         const frontTranscription = document.getElementById('card-front-transcription');
@@ -1501,6 +2126,17 @@ class UI {
             if (frontWord) frontWord.textContent = rendered.front.word;
             if (frontTranscription) frontTranscription.textContent = rendered.front.transcription;
             if (frontPrompt) frontPrompt.textContent = rendered.front.prompt;
+        } else if (rendered.choiceRequired) {
+            if (frontWord) frontWord.textContent = rendered.front.text;
+            if (frontTranscription) frontTranscription.textContent = rendered.front.sentence;
+            if (frontPrompt) frontPrompt.textContent = rendered.front.prompt;
+        } else if (mode === Vocabulary.MODES.SENTENCE) {
+            if (frontWord) frontWord.textContent = rendered.front.sentence;
+            if (frontTranscription) frontTranscription.textContent = rendered.front.translation;
+            if (frontPrompt) {
+                const source = rendered.front.source ? i18n.t(`vocab.contextSource.${rendered.front.source}`) : '';
+                frontPrompt.textContent = [rendered.front.prompt, source].filter(Boolean).join(' • ');
+            }
         } else {
             if (frontWord) frontWord.textContent = rendered.front.translation;
             if (frontTranscription) frontTranscription.textContent = '';
@@ -1518,64 +2154,320 @@ class UI {
      */
     showVocabAnswer() {
         const card = Vocabulary.getCurrentCard();
+        if (Vocabulary.currentSession.remediation) {
+            this.showRemediationAnswer(card);
+            return;
+        }
+
         const mode = Vocabulary.currentSession.mode;
         const rendered = Vocabulary.renderCard(card, mode, true);
 
         const flashcard = document.getElementById('flashcard');
         flashcard?.classList.add('flipped');
 
+        const responseTime = Vocabulary.revealAnswer();
+        this.startRecallTimer(null);
+
         const backWord = document.getElementById('card-back-word');
         const backTranslation = document.getElementById('card-back-translation');
 
+        // An empty field leaves the card to self-rating
+        const input = document.getElementById('card-input');
+        const typed = input && !input.classList.contains('hidden') ? input.value.trim() || null : null;
+
         if (mode === Vocabulary.MODES.RECEPTIVE) {
             if (backWord) backWord.textContent = rendered.back.translation;
             if (backTranslation) backTranslation.textContent = rendered.back.definition || '';
+        } else if (rendered.choiceRequired) {
+            const choice = this.selectedChoice === null ? null : Vocabulary.checkChoice(card, mode, this.selectedChoice);
+            const mark = !choice ? '' : (choice.correct ? '✓ ' : `✗ ${choice.selected} → `);
+            if (backWord) backWord.textContent = `${mark}${rendered.back.word}`;
+            if (backTranslation) {
+                backTranslation.textContent = [
+                    rendered.back.phrase,
+                    rendered.back.translation,
+                    rendered.back.fullSentence
+                ].filter(Boolean).join(' • ');
+            }
+            this.markCardOptions(rendered.back.word);
+        } else if (typed !== null) {
+            const grade = Vocabulary.gradeSpelling(typed, rendered.back.word);
+            const confusion = Vocabulary.CONFUSION_MODES.includes(mode) ? Vocabulary.detectConfusion(card, typed) : null;
+            const mark = grade.correct ? '✓ ' : `✗ ${typed} → `;
+            if (backWord) backWord.textContent = `${mark}${rendered.back.word}`;
+            if (backTranslation) {
+                backTranslation.textContent = confusion
+                    ? i18n.t('vocab.confusedWith', { typed: confusion.confusedWith, word: confusion.word })
+                    : [
+                        grade.feedback,
+                        grade.correct ? '' : `${Math.round(grade.score * 100)}%`
+                    ].filter(Boolean).join(' • ') || rendered.back.transcription || '';
+            }
         } else {
             if (backWord) backWord.textContent = rendered.back.word;
             if (backTranslation) backTranslation.textContent = rendered.back.transcription || '';
         }
 
+        // The cloze answer may be an inflection; show the sentence it came from
+        if (mode === Vocabulary.MODES.SENTENCE && backTranslation) {
+            backTranslation.textContent = [backTranslation.textContent, rendered.back.fullSentence].filter(Boolean).join(' • ');
+        }
+
+        // Timed recall: how long it took and whether it beat the deadline
+        if (mode === Vocabulary.MODES.TIMED && backTranslation) {
+            const seconds = (responseTime / 1000).toFixed(1);
+            const timing = responseTime > Vocabulary.timedDeadline * 1000
+                ? i18n.t('vocab.tooSlow', { seconds, deadline: Vocabulary.timedDeadline })
+                : i18n.t('vocab.responseTime', { seconds });
+            backTranslation.textContent = [backTranslation.textContent, timing].filter(Boolean).join(' • ');
+        }
+
+        // Related cards the learner already has (decide -> decision, decisive)
+        const family = Vocabulary.getWordFamily(card).map(c => c.word);
+        if (backTranslation && family.length > 0) {
+            const familyText = i18n.t('vocab.family', { words: family.slice(0, 5).join(', ') });
+            backTranslation.textContent = [backTranslation.textContent, familyText].filter(Boolean).join(' • ');
+        }
+
         document.getElementById('show-answer-btn')?.classList.add('hidden');
         document.getElementById('answer-buttons')?.classList.remove('hidden');
+        this.showCardOrganizer(card);
     }
 
     /**
-     * Submit vocabulary answer
+     * Tags and deck of the card just answered, editable before rating it
      */
-    async submitVocabAnswer(quality) {
-        const result = await Vocabulary.processAnswer(quality);
-
-        if (result.finished) {
-            this.showVocabSessionSummary();
-        } else {
-            this.renderVocabCard();
+    showCardOrganizer(card) {
+        const tags = document.getElementById('card-tags');
+        if (tags) tags.value = (card.tags || []).join(', ');
+
+        const deck = document.getElementById('card-deck');
+        if (deck) {
+            deck.innerHTML = '';
+            deck.appendChild(Utils.createElement('option', { value: '', textContent: i18n.t('vocab.noDeck') }));
+            for (const d of Vocabulary.decks) {
+                deck.appendChild(Utils.createElement('option', { value: d.id, textContent: d.name }));
+            }
+            deck.value = card.deck || '';
         }
+
+        document.getElementById('card-organize')?.classList.remove('hidden');
     }
 
     /**
-     * Update vocabulary progress display
+     * Count down the seconds left for a timed card (null stops and hides the timer)
      */
-    updateVocabProgress() {
-        const session = Vocabulary.currentSession;
-        if (!session) return;
-
-        const progress = session.currentIndex / session.cards.length;
-        const progressBar = document.getElementById('session-progress');
-        if (progressBar) progressBar.style.width = `${progress * 100}%`;
-
-        const counter = document.getElementById('session-counter');
-        if (counter) counter.textContent = `${session.currentIndex} / ${session.cards.length}`;
+    startRecallTimer(seconds) {
+        clearInterval(this.recallTimer);
+        this.recallTimer = null;
+
+        const timer = document.getElementById('card-timer');
+        if (!timer) return;
+        timer.classList.toggle('hidden', seconds === null);
+        if (seconds === null) return;
+
+        const deadline = Date.now() + seconds * 1000;
+        const tick = () => {
+            const left = Math.max(0, deadline - Date.now());
+            timer.textContent = left > 0 ? `⏱ ${(left / 1000).toFixed(1)}` : i18n.t('vocab.timeUp');
+            if (left === 0) {
+                clearInterval(this.recallTimer);
+                this.recallTimer = null;
+            }
+        };
+        tick();
+        this.recallTimer = setInterval(tick, 100);
     }
 
     /**
-     * Show vocabulary session summary
+     * Show tappable options under the flashcard (null hides them)
      */
-    showVocabSessionSummary() {
-        const summary = Vocabulary.getSessionSummary();
+    renderCardOptions(options) {
+        const container = document.getElementById('card-options');
+        if (!container) return;
 
-        document.getElementById('flashcard-area')?.classList.add('hidden');
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !options);
+        if (!options) return;
 
-        this.showToast(`Session complete! ${summary.correct}/${summary.total} correct (${Math.round(summary.accuracy * 100)}%)`);
+        for (const option of options) {
+            container.appendChild(Utils.createElement('div', {
+                className: 'option-item',
+                dataset: { value: option },
+                onClick: (e) => {
+                    if (this.selectedChoice !== null) return;
+                    this.selectedChoice = option;
+                    e.currentTarget.classList.add('selected');
+                    this.showVocabAnswer();
+                }
+            }, [
+                Utils.createElement('div', { className: 'option-radio' }),
+                Utils.createElement('span', { textContent: option })
+            ]));
+        }
+    }
+
+    /**
+     * Highlight the right option and a wrong pick after answering
+     */
+    markCardOptions(answer) {
+        document.querySelectorAll('#card-options .option-item').forEach(item => {
+            const isAnswer = item.dataset.value.toLowerCase() === String(answer).toLowerCase();
+            item.classList.toggle('correct', isAnswer);
+            item.classList.toggle('incorrect', !isAnswer && item.classList.contains('selected'));
+        });
+    }
+
+    /**
+     * Submit vocabulary answer
+     */
+    async submitVocabAnswer(quality) {
+        if (Vocabulary.currentSession.remediation) {
+            const input = document.getElementById('card-input');
+            const typed = input && !input.classList.contains('hidden') ? input.value : null;
+            const result = await Vocabulary.processRemediationAnswer(quality, typed);
+            if (!result || result.finished) {
+                this.showRemediationSummary();
+            } else {
+                this.renderVocabCard();
+            }
+            return;
+        }
+
+        const input = document.getElementById('card-input');
+        const typed = input && !input.classList.contains('hidden') ? input.value : null;
+        const result = await Vocabulary.processAnswer(quality, typed ?? this.selectedChoice);
+
+        if (result.finished) {
+            this.showVocabSessionSummary();
+        } else {
+            this.renderVocabCard();
+        }
+    }
+
+    /**
+     * Start a remediation session for suspended leeches
+     */
+    async startRemediationSession() {
+        const session = await Vocabulary.startRemediationSession();
+        if (session.cards.length === 0) {
+            this.showToast(i18n.t('vocab.noLeeches'));
+            return;
+        }
+
+        document.getElementById('flashcard-area')?.classList.remove('hidden');
+        this.renderVocabCard();
+    }
+
+    /**
+     * Render a leech in its current remediation step (definition, sentence or spelling)
+     */
+    renderRemediationCard(card) {
+        const mode = Vocabulary.getRemediationMode(card);
+        const rendered = Vocabulary.renderCard(card, mode, false);
+        this.renderCardOptions(null);
+
+        document.getElementById('flashcard')?.classList.remove('flipped');
+
+        const frontWord = document.getElementById('card-front-word');
+        const frontTranscription = document.getElementById('card-front-transcription');
+        const frontPrompt = document.getElementById('card-front-prompt');
+        const step = i18n.t('vocab.remediationStep', {
+            step: card.remediation.step + 1,
+            total: Vocabulary.REMEDIATION_STEPS.length
+        });
+
+        if (mode === Vocabulary.MODES.DEFINITION) {
+            if (frontWord) frontWord.textContent = rendered.front.definition || card.translation;
+            if (frontTranscription) frontTranscription.textContent = rendered.front.hint;
+        } else if (mode === Vocabulary.MODES.SENTENCE) {
+            if (frontWord) frontWord.textContent = rendered.front.sentence;
+            if (frontTranscription) frontTranscription.textContent = rendered.front.translation;
+        } else {
+            if (frontWord) frontWord.textContent = card.translation;
+            if (frontTranscription) frontTranscription.textContent = rendered.front.transcription;
+        }
+        if (frontPrompt) frontPrompt.textContent = `${step} • ${rendered.front.prompt}`;
+
+        const input = document.getElementById('card-input');
+        if (input) {
+            input.value = '';
+            input.classList.toggle('hidden', !rendered.inputRequired);
+        }
+
+        document.getElementById('show-answer-btn')?.classList.remove('hidden');
+        document.getElementById('answer-buttons')?.classList.add('hidden');
+
+        this.updateVocabProgress();
+    }
+
+    /**
+     * Reveal a remediation card with the mnemonic or fresh example
+     */
+    showRemediationAnswer(card) {
+        document.getElementById('flashcard')?.classList.add('flipped');
+
+        const input = document.getElementById('card-input');
+        const typed = input && !input.classList.contains('hidden') ? input.value.trim() : null;
+        const expected = Vocabulary.getExpectedAnswer(card, Vocabulary.getRemediationMode(card));
+        const grade = typed === null ? null : Vocabulary.gradeSpelling(typed, expected);
+        const mark = !grade ? '' : (grade.correct ? '✓ ' : `✗ ${typed} → `);
+
+        const backWord = document.getElementById('card-back-word');
+        if (backWord) backWord.textContent = `${mark}${expected}`;
+
+        const backTranslation = document.getElementById('card-back-translation');
+        if (backTranslation) {
+            const hint = card.remediation.mnemonic || card.remediation.example || card.translation;
+            backTranslation.textContent = grade && !grade.correct && grade.feedback ? `${grade.feedback} • ${hint}` : hint;
+        }
+
+        document.getElementById('show-answer-btn')?.classList.add('hidden');
+        document.getElementById('answer-buttons')?.classList.remove('hidden');
+    }
+
+    /**
+     * Summarize remediation: which words went back into review
+     */
+    showRemediationSummary() {
+        const released = Vocabulary.currentSession.results.filter(r => r.released).map(r => r.word);
+
+        document.getElementById('flashcard-area')?.classList.add('hidden');
+        document.getElementById('card-input')?.classList.add('hidden');
+
+        this.showToast(released.length > 0
+            ? i18n.t('vocab.remediationDone', { words: released.join(', ') })
+            : `Session complete! ${Vocabulary.currentSession.results.filter(r => r.quality > 0).length}/${Vocabulary.currentSession.results.length}`);
+        this.updateVocabStats();
+    }
+
+    /**
+     * Update vocabulary progress display
+     */
+    updateVocabProgress() {
+        const session = Vocabulary.currentSession;
+        if (!session) return;
+
+        const progress = session.currentIndex / session.cards.length;
+        const progressBar = document.getElementById('session-progress');
+        if (progressBar) progressBar.style.width = `${progress * 100}%`;
+
+        const counter = document.getElementById('session-counter');
+        if (counter) counter.textContent = `${session.currentIndex} / ${session.cards.length}`;
+    }
+
+    /**
+     * Show vocabulary session summary
+     */
+    showVocabSessionSummary() {
+        const summary = Vocabulary.getSessionSummary();
+
+        document.getElementById('flashcard-area')?.classList.add('hidden');
+        document.getElementById('card-organize')?.classList.add('hidden');
+        this.startRecallTimer(null);
+
+        this.showToast(`Session complete! ${summary.correct}/${summary.total} correct (${Math.round(summary.accuracy * 100)}%)`);
+        this.updateVocabStats();
     }
 
     /**
@@ -1592,6 +2484,479 @@ class UI {
 
         const productiveCount = document.getElementById('productive-count');
         if (productiveCount) productiveCount.textContent = stats.productive.learned;
+
+        const leeches = Vocabulary.getLeeches().length;
+        const remediationBtn = document.getElementById('start-remediation');
+        if (remediationBtn) {
+            remediationBtn.textContent = i18n.t('vocab.fixLeeches', { count: leeches });
+            remediationBtn.classList.toggle('hidden', leeches === 0);
+        }
+
+        this.renderDecks();
+        this.renderFilterOptions();
+    }
+
+    /**
+     * List decks with their size and today's due count; tapping one studies it
+     */
+    renderDecks() {
+        const list = document.getElementById('vocab-deck-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (Vocabulary.decks.length === 0) {
+            list.appendChild(Utils.createElement('p', { className: 'text-hint', textContent: i18n.t('vocab.noDecks') }));
+            return;
+        }
+
+        for (const deck of Vocabulary.decks) {
+            const stats = Vocabulary.getDeckStats(deck.id);
+            list.appendChild(Utils.createElement('div', {
+                className: 'topic-item',
+                onClick: () => this.startFilteredSession({ deck: deck.id, mode: this.readFilter().mode })
+            }, [
+                Utils.createElement('div', { className: 'topic-info' }, [
+                    Utils.createElement('div', { className: 'topic-title', textContent: deck.name }),
+                    Utils.createElement('div', {
+                        className: 'topic-subtitle',
+                        textContent: i18n.t('vocab.deckStats', {
+                            total: stats.total,
+                            due: stats.due.receptive + stats.due.productive + stats.due.newCards
+                        })
+                    })
+                ]),
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary',
+                    textContent: '✕',
+                    onClick: async (e) => {
+                        e.stopPropagation();
+                        if (!confirm(i18n.t('vocab.deleteDeckConfirm', { name: deck.name }))) return;
+                        await Vocabulary.deleteDeck(deck.id);
+                        this.updateVocabStats();
+                    }
+                })
+            ]));
+        }
+    }
+
+    /**
+     * Create a deck from the name field
+     */
+    async createDeck() {
+        const input = document.getElementById('new-deck-name');
+        const result = await Vocabulary.createDeck(input?.value);
+        if (!result.success) {
+            this.showToast(result.message);
+            return;
+        }
+
+        if (input) input.value = '';
+        this.showToast(i18n.t('common.saved'));
+        this.updateVocabStats();
+    }
+
+    /**
+     * Fill the filter selects, keeping the current choices
+     */
+    renderFilterOptions() {
+        const fill = (id, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const current = select.value;
+            select.innerHTML = '';
+            for (const [value, label] of options) {
+                select.appendChild(Utils.createElement('option', { value, textContent: label }));
+            }
+            if (options.some(([value]) => value === current)) select.value = current;
+        };
+
+        fill('filter-deck', [
+            ['', i18n.t('vocab.filter.anyDeck')],
+            ...Vocabulary.decks.map(d => [d.id, d.name])
+        ]);
+        fill('filter-tag', [
+            ['', i18n.t('vocab.filter.anyTag')],
+            ...Vocabulary.getTags().map(({ tag, count }) => [tag, `${tag} (${count})`])
+        ]);
+        fill('filter-level', [
+            ['', i18n.t('vocab.filter.anyLevel')],
+            ...['A1', 'A2', 'B1', 'B2', 'C1'].map(level => [level, level])
+        ]);
+        fill('filter-status', [
+            ['', i18n.t('vocab.filter.anyStatus')],
+            ...['new', 'learning', 'review', 'learned', 'suspended'].map(s => [s, i18n.t(`vocab.status.${s}`)])
+        ]);
+        fill('filter-failed', [
+            ['', i18n.t('vocab.filter.anyTime')],
+            ['1', i18n.t('vocab.filter.failedToday')],
+            ['7', i18n.t('vocab.filter.failedWeek')],
+            ['30', i18n.t('vocab.filter.failedMonth')]
+        ]);
+        fill('filter-mode', ['receptive', 'productive', 'spelling', 'sentence', 'timed', 'collocation', 'particle', 'idiom']
+            .map(mode => [mode, i18n.t(`vocab.${mode}Mode`)]));
+    }
+
+    /**
+     * Current filter from the selects; empty selects are left out
+     */
+    readFilter() {
+        const value = id => document.getElementById(id)?.value || '';
+        const filter = { mode: value('filter-mode') || Vocabulary.MODES.RECEPTIVE };
+
+        if (value('filter-deck')) filter.deck = value('filter-deck');
+        if (value('filter-tag')) filter.tags = [value('filter-tag')];
+        if (value('filter-level')) filter.level = value('filter-level');
+        if (value('filter-status')) filter.status = value('filter-status');
+        if (value('filter-failed')) filter.failedWithin = parseInt(value('filter-failed'));
+
+        return filter;
+    }
+
+    /**
+     * Study the cards matching a filter (a deck, a tag, recent failures...)
+     */
+    async startFilteredSession(filter) {
+        const session = await Vocabulary.startFilteredSession(filter);
+        if (session.cards.length === 0) {
+            this.showToast(i18n.t('vocab.noMatches'));
+            return;
+        }
+
+        document.getElementById('size-test-area')?.classList.add('hidden');
+        document.getElementById('flashcard-area')?.classList.remove('hidden');
+        this.renderVocabCard();
+    }
+
+    // ==================== VOCABULARY SIZE TEST ====================
+
+    /**
+     * Start the Yes/No vocabulary size test
+     */
+    async startSizeTest() {
+        const started = await VocabularySizeTest.start();
+        if (!started.success) {
+            this.showToast(started.message);
+            return;
+        }
+
+        document.getElementById('flashcard-area')?.classList.add('hidden');
+        document.getElementById('size-test-result')?.classList.add('hidden');
+        document.getElementById('size-test-area')?.classList.remove('hidden');
+
+        const prompt = document.getElementById('size-test-prompt');
+        if (prompt) prompt.textContent = i18n.t('vocab.sizeTest.prompt');
+        const yes = document.getElementById('size-test-yes');
+        if (yes) yes.textContent = i18n.t('vocab.sizeTest.yes');
+        const no = document.getElementById('size-test-no');
+        if (no) no.textContent = i18n.t('vocab.sizeTest.no');
+
+        this.renderSizeTestItem();
+    }
+
+    /**
+     * Show the current test word and progress
+     */
+    renderSizeTestItem() {
+        const item = VocabularySizeTest.getCurrentItem();
+        const session = VocabularySizeTest.session;
+        if (!item || !session) return;
+
+        const word = document.getElementById('size-test-word');
+        if (word) word.textContent = item.word;
+
+        const progressBar = document.getElementById('size-test-progress');
+        if (progressBar) progressBar.style.width = `${session.currentIndex / session.items.length * 100}%`;
+
+        const counter = document.getElementById('size-test-counter');
+        if (counter) counter.textContent = `${session.currentIndex + 1} / ${session.items.length}`;
+    }
+
+    /**
+     * Record an answer and move on, or show the result after the last word
+     */
+    async answerSizeTest(known) {
+        const progress = VocabularySizeTest.answer(known);
+        if (!progress) return;
+
+        if (!progress.finished) {
+            this.renderSizeTestItem();
+            return;
+        }
+
+        const result = await VocabularySizeTest.finish();
+        document.getElementById('size-test-area')?.classList.add('hidden');
+        this.showSizeTestResult(result);
+    }
+
+    /**
+     * Show estimate, interval, per-band knowledge and the option to skip known words
+     */
+    showSizeTestResult(result) {
+        const container = document.getElementById('size-test-result');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.remove('hidden');
+
+        container.appendChild(Utils.createElement('h3', {
+            className: 'card-title mb-md',
+            textContent: i18n.t('vocab.sizeTest.result', { estimate: result.estimate.toLocaleString() })
+        }));
+        container.appendChild(Utils.createElement('p', {
+            className: 'text-hint mb-sm',
+            textContent: i18n.t('vocab.sizeTest.interval', { low: result.low.toLocaleString(), high: result.high.toLocaleString() })
+        }));
+
+        if (!result.reliable) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mb-sm',
+                textContent: i18n.t('vocab.sizeTest.unreliable', { percent: Math.round(result.falseAlarmRate * 100) })
+            }));
+        } else if (result.level) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mb-sm',
+                textContent: i18n.t('vocab.sizeTest.level', { level: result.level })
+            }));
+        }
+
+        const bands = Utils.createElement('div', { className: 'skill-progress' });
+        for (const band of result.bands) {
+            bands.appendChild(Utils.createElement('div', { className: 'skill-item' }, [
+                Utils.createElement('span', { className: 'skill-label', textContent: `${band.band}k` }),
+                Utils.createElement('div', { className: 'progress flex-1 mx-sm' }, [
+                    Utils.createElement('div', {
+                        className: 'progress-bar',
+                        style: `width: ${Math.round(band.known * 100)}%`
+                    })
+                ]),
+                Utils.createElement('span', { className: 'skill-level', textContent: `${Math.round(band.known * 100)}%` })
+            ]));
+        }
+        container.appendChild(bands);
+
+        const candidates = VocabularySizeTest.countKnownCandidates(result);
+        if (candidates > 0) {
+            container.appendChild(Utils.createElement('button', {
+                className: 'btn btn-secondary btn-block mt-md',
+                textContent: i18n.t('vocab.sizeTest.markKnown', { count: candidates, rank: result.masteredRank.toLocaleString() }),
+                onClick: async (e) => {
+                    const button = e.currentTarget;
+                    const marked = await VocabularySizeTest.markKnownWords(result);
+                    button.remove();
+                    this.showToast(i18n.t('vocab.sizeTest.marked', { count: marked }));
+                    this.updateVocabStats();
+                }
+            }));
+        }
+    }
+
+    /**
+     * Render review analytics on the progress screen
+     */
+    async loadReviewAnalytics() {
+        const container = document.getElementById('review-analytics');
+        if (!container) return;
+
+        const title = document.getElementById('review-analytics-title');
+        if (title) title.textContent = i18n.t('progress.reviewAnalytics');
+
+        const report = await ReviewAnalytics.getReport();
+        container.innerHTML = '';
+
+        if (report.totalReviews === 0) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint',
+                textContent: i18n.t('progress.noReviews')
+            }));
+            return;
+        }
+
+        const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+        const days = value => value === null ? '—' : `${value}d`;
+
+        const stat = (value, label) => Utils.createElement('div', { className: 'stat-item' }, [
+            Utils.createElement('div', { className: 'stat-value', textContent: value }),
+            Utils.createElement('div', { className: 'stat-label', textContent: label })
+        ]);
+
+        container.appendChild(Utils.createElement('div', { className: 'stats-grid' }, [
+            stat(percent(report.trueRetention), i18n.t('progress.trueRetention')),
+            stat(String(report.totalReviews), i18n.t('progress.reviews')),
+            stat(percent(report.modes.receptive.retention), i18n.t('progress.receptiveRecall')),
+            stat(percent(report.modes.productive.retention), i18n.t('progress.productiveRecall'))
+        ]));
+
+        container.appendChild(Utils.createElement('p', {
+            className: 'text-hint mt-md mb-sm',
+            textContent: i18n.t('progress.retentionByInterval')
+        }));
+
+        const buckets = Utils.createElement('div', { className: 'skill-progress' });
+        for (const bucket of report.byInterval.filter(b => b.reviews > 0)) {
+            buckets.appendChild(Utils.createElement('div', { className: 'skill-item' }, [
+                Utils.createElement('span', { className: 'skill-label', textContent: bucket.label }),
+                Utils.createElement('div', { className: 'progress flex-1 mx-sm' }, [
+                    Utils.createElement('div', {
+                        className: 'progress-bar',
+                        style: `width: ${Math.round(bucket.retention * 100)}%`
+                    })
+                ]),
+                Utils.createElement('span', {
+                    className: 'skill-level',
+                    textContent: `${percent(bucket.retention)} · ${bucket.reviews}`
+                })
+            ]));
+        }
+        container.appendChild(buckets);
+
+        container.appendChild(Utils.createElement('p', {
+            className: 'text-hint mt-md',
+            textContent: i18n.t('progress.stability', {
+                receptive: days(report.curves.receptive.stability),
+                productive: days(report.curves.productive.stability)
+            })
+        }));
+
+        const forecast = Object.values(Vocabulary.getForecast(7));
+        container.appendChild(Utils.createElement('p', {
+            className: 'text-hint mt-md',
+            textContent: i18n.t('progress.forecast', { counts: forecast.join(' · ') })
+        }));
+
+        if (report.leeches.length > 0) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mt-md mb-sm',
+                textContent: i18n.t('progress.leeches', { count: report.leeches.length })
+            }));
+            const list = Utils.createElement('div', { className: 'topic-list' });
+            for (const leech of report.leeches.slice(0, 10)) {
+                list.appendChild(Utils.createElement('div', { className: 'topic-item' }, [
+                    Utils.createElement('div', { className: 'topic-info' }, [
+                        Utils.createElement('div', { className: 'topic-title', textContent: leech.word }),
+                        Utils.createElement('div', {
+                            className: 'topic-subtitle',
+                            textContent: `${leech.translation} • ${leech.mode} • ${i18n.t('progress.lapses', { count: leech.lapses })}`
+                        })
+                    ])
+                ]));
+            }
+            container.appendChild(list);
+        }
+
+        // Words in review that still take long to recall: fluency practice in timed mode
+        const slow = Vocabulary.getSlowWords('productive', 10);
+        if (slow.length > 0) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mt-md mb-sm',
+                textContent: i18n.t('progress.slowWords', { count: slow.length })
+            }));
+            const list = Utils.createElement('div', { className: 'topic-list' });
+            for (const card of slow) {
+                list.appendChild(Utils.createElement('div', { className: 'topic-item' }, [
+                    Utils.createElement('div', { className: 'topic-info' }, [
+                        Utils.createElement('div', { className: 'topic-title', textContent: card.word }),
+                        Utils.createElement('div', {
+                            className: 'topic-subtitle',
+                            textContent: `${card.translation} • ${i18n.t('progress.avgLatency', {
+                                seconds: (Vocabulary.getLatency(card) / 1000).toFixed(1)
+                            })}`
+                        })
+                    ])
+                ]));
+            }
+            container.appendChild(list);
+        }
+
+        // Recurring misspelling patterns from typed answers
+        const spelling = ErrorAnalysis.patterns ? ErrorAnalysis.getTopErrors(5).spelling : [];
+        if (spelling.length > 0) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mt-md mb-sm',
+                textContent: i18n.t('progress.spellingPatterns')
+            }));
+            const list = Utils.createElement('div', { className: 'topic-list' });
+            for (const error of spelling) {
+                list.appendChild(Utils.createElement('div', { className: 'topic-item' }, [
+                    Utils.createElement('div', { className: 'topic-info' }, [
+                        Utils.createElement('div', {
+                            className: 'topic-title',
+                            textContent: `${i18n.t(`progress.spellingPattern.${error.pattern}`)} (${error.count})`
+                        }),
+                        Utils.createElement('div', {
+                            className: 'topic-subtitle',
+                            textContent: error.examples.slice(-3).map(e => `${e.typed} → ${e.word}`).join(', ')
+                        })
+                    ])
+                ]));
+            }
+            container.appendChild(list);
+        }
+
+        // Words typed for each other, with contrastive gap fills from both words' sentences
+        const confused = ErrorAnalysis.patterns ? ErrorAnalysis.getTopErrors(5).vocabulary : [];
+        if (confused.length > 0) {
+            container.appendChild(Utils.createElement('p', {
+                className: 'text-hint mt-md mb-sm',
+                textContent: i18n.t('progress.confusedPairs')
+            }));
+            const list = Utils.createElement('div', { className: 'topic-list' });
+            for (const pair of confused) {
+                const drills = Utils.createElement('div', { className: 'hidden' });
+                list.appendChild(Utils.createElement('div', {
+                    className: 'topic-item',
+                    onClick: () => {
+                        if (!drills.hasChildNodes()) {
+                            this.renderContrastiveDrills(drills, ErrorAnalysis.getVocabExercises(pair.words, pair.examples));
+                        }
+                        drills.classList.toggle('hidden');
+                    }
+                }, [
+                    Utils.createElement('div', { className: 'topic-info' }, [
+                        Utils.createElement('div', { className: 'topic-title', textContent: pair.words.join(' / ') }),
+                        Utils.createElement('div', {
+                            className: 'topic-subtitle',
+                            textContent: i18n.t('progress.confusedCount', { count: pair.mistakes })
+                        })
+                    ])
+                ]));
+                list.appendChild(drills);
+            }
+            container.appendChild(list);
+        }
+    }
+
+    /**
+     * Gap fills for a confused pair: tap the word that fits each sentence
+     */
+    renderContrastiveDrills(container, exercises) {
+        const items = exercises.find(e => e.type === 'sentence_completion')?.items || [];
+        if (items.length === 0) {
+            container.appendChild(Utils.createElement('p', { className: 'text-hint', textContent: i18n.t('progress.noDrills') }));
+            return;
+        }
+
+        for (const item of items) {
+            const options = Utils.createElement('div', { className: 'options-list' });
+            for (const option of item.options) {
+                options.appendChild(Utils.createElement('div', {
+                    className: 'option-item',
+                    onClick: (e) => {
+                        if (options.dataset.answered) return;
+                        options.dataset.answered = 'true';
+                        e.currentTarget.classList.add(option === item.answer ? 'correct' : 'incorrect');
+                        options.querySelectorAll('.option-item')[item.options.indexOf(item.answer)]?.classList.add('correct');
+                    }
+                }, [
+                    Utils.createElement('div', { className: 'option-radio' }),
+                    Utils.createElement('span', { textContent: option })
+                ]));
+            }
+            container.appendChild(Utils.createElement('div', { className: 'card mb-sm' }, [
+                Utils.createElement('p', { className: 'mb-sm', textContent: item.blanked }),
+                options
+            ]));
+        }
     }
 
     // ==================== READING ====================
@@ -1606,20 +2971,8 @@ class UI {
         container.innerHTML = `<div class="card"><p class="text-hint">${i18n.t('common.loading')}</p></div>`;
 
         try {
-            // Load reading texts from data files
-            const texts = [];
-            for (let i = 1; i <= 20; i++) {
-                const id = `${level.toLowerCase()}_reading_${i.toString().padStart(2, '0')}`;
-                try {
-                    const response = await fetch(`data/reading/${level}/${id}.json`);
-                    if (response.ok) {
-                        texts.push(await response.json());
-                    }
-                } catch (e) {
-                    // Skip missing files
-                }
-            }
-
+            // List entries come from the manifest; the text itself is fetched on open
+            const texts = await Manifest.getItems('reading', level);
             this.renderReadingList(container, texts, level);
         } catch (e) {
             container.innerHTML = `<div class="card"><p class="text-hint">Error loading texts</p></div>`;
@@ -1666,6 +3019,10 @@ class UI {
      * Open reading text
      */
     async openReadingText(text, level) {
+        if (!text.text) {
+            text = await Reading.loadText(text.id, level);
+        }
+
         this.currentReadingText = text;
         this.readingAnswers = {};
 
@@ -1673,10 +3030,13 @@ class UI {
         if (titleEl) titleEl.textContent = i18n.getLocale() === 'ru' ? text.title_ru || text.title : text.title;
 
         const infoEl = document.getElementById('reading-info');
-        if (infoEl) infoEl.textContent = `${level} • ${text.word_count} words • ${text.topic || ''}`;
+        if (infoEl) {
+            const known = i18n.t('reading.knownWords', { percent: Math.round(Reading.getKnownCoverage(text.text) * 100) });
+            infoEl.textContent = `${level} • ${text.word_count} words • ${text.topic || ''} • ${known}`;
+        }
 
         const contentEl = document.getElementById('reading-content');
-        if (contentEl) contentEl.textContent = text.text;
+        if (contentEl) this.renderTappableText(contentEl, text.text, (token, offset, el) => this.mineReadingWord(token, offset, el));
 
         // Render questions
         this.renderReadingQuestions(text.questions);
@@ -1684,6 +3044,43 @@ class UI {
         this.showScreen('reading-text-screen');
     }
 
+    /**
+     * Render text as tappable words; whitespace is kept as plain text nodes
+     */
+    renderTappableText(container, text, onTap) {
+        container.innerHTML = '';
+        let offset = 0;
+
+        for (const part of String(text || '').split(/(\s+)/)) {
+            if (/[A-Za-z]/.test(part)) {
+                const start = offset;
+                container.appendChild(Utils.createElement('span', {
+                    className: 'tappable-word',
+                    textContent: part,
+                    onClick: (e) => onTap(part, start, e.currentTarget)
+                }));
+            } else if (part) {
+                container.appendChild(document.createTextNode(part));
+            }
+            offset += part.length;
+        }
+    }
+
+    /**
+     * Save a tapped reading word with its sentence for cloze review
+     */
+    async mineReadingWord(token, offset, el) {
+        const result = await Reading.mineSentence(token, offset, this.currentReadingText);
+        if (!result.success) {
+            this.showToast(result.message);
+            return;
+        }
+
+        el.classList.add('mined');
+        const key = result.created ? 'reading.wordMined' : (result.added ? 'reading.contextAdded' : 'reading.contextExists');
+        this.showToast(i18n.t(key, { word: result.card.word }));
+    }
+
     /**
      * Render reading questions
      */
@@ -1810,6 +3207,7 @@ class UI {
         const level = this.profile.levels?.overall || 'A1';
 
         container.innerHTML = `
+            <div id="immersion-library" class="mb-md"></div>
             <div class="card">
                 <p class="text-hint mb-md">
                     ${isRu
@@ -1829,8 +3227,261 @@ class UI {
             this.generateImmersionRecommendations(level);
         });
 
-        // Auto-load recommendations on first visit
-        this.generateImmersionRecommendations(level);
+        this.loadImmersionQuizzes(level);
+
+        // Auto-load recommendations on first visit
+        this.generateImmersionRecommendations(level);
+    }
+
+    /**
+     * Load transcript items for level into the immersion library
+     */
+    async loadImmersionQuizzes(level) {
+        const container = document.getElementById('immersion-library');
+        if (!container) return;
+
+        container.innerHTML = `<div class="card"><p class="text-hint">${i18n.t('common.loading')}</p></div>`;
+
+        try {
+            const items = await Immersion.getRecommendations(level);
+            this.renderImmersionLibrary(container, items, level);
+        } catch (e) {
+            container.innerHTML = `<div class="card"><p class="text-hint">${i18n.t('immersion.loadFailed')}</p></div>`;
+        }
+    }
+
+    /**
+     * Render immersion library list
+     */
+    renderImmersionLibrary(container, items, level) {
+        container.innerHTML = '';
+        if (items.length === 0) return;
+
+        const list = Utils.createElement('div', { className: 'topic-list' });
+
+        for (const item of items) {
+            list.appendChild(Utils.createElement('div', {
+                className: 'topic-item',
+                onClick: () => this.openImmersionItem(item.id, level)
+            }, [
+                Utils.createElement('div', { className: 'topic-info' }, [
+                    Utils.createElement('div', {
+                        className: 'topic-title',
+                        textContent: i18n.getLocale() === 'ru' ? item.title_ru || item.title : item.title
+                    }),
+                    Utils.createElement('div', {
+                        className: 'topic-subtitle',
+                        textContent: i18n.t('immersion.itemInfo', { level, minutes: item.duration, type: item.type })
+                    })
+                ]),
+                Utils.createElement('div', { className: 'topic-status new', textContent: '○' })
+            ]));
+        }
+
+        container.appendChild(Utils.createElement('div', { className: 'card' }, [
+            Utils.createElement('h3', { className: 'card-title mb-md', textContent: i18n.t('immersion.library') }),
+            list
+        ]));
+    }
+
+    /**
+     * Start a watch session and show its transcript as tappable words
+     */
+    async openImmersionItem(contentId, level) {
+        const session = await Immersion.startWatchSession(contentId, level);
+        if (!session.success) {
+            this.showToast(session.message);
+            return;
+        }
+
+        const content = session.content;
+        this.immersionQuiz = null;
+        this.immersionAnswers = {};
+        Listening.stop();
+
+        const titleEl = document.getElementById('immersion-title');
+        if (titleEl) titleEl.textContent = i18n.getLocale() === 'ru' ? content.title_ru || content.title : content.title;
+
+        const infoEl = document.getElementById('immersion-info');
+        if (infoEl) {
+            infoEl.textContent = i18n.t('immersion.itemInfo', { level, minutes: Math.ceil(content.duration / 60), type: content.type });
+        }
+
+        const transcriptEl = document.getElementById('immersion-transcript');
+        if (transcriptEl) {
+            this.renderTappableText(transcriptEl, Immersion.currentContent.transcript,
+                (token, offset, el) => this.mineImmersionWord(token, offset, el));
+        }
+        this.setTranscriptVisible(false);
+
+        const questionsEl = document.getElementById('immersion-questions');
+        if (questionsEl) {
+            questionsEl.innerHTML = `<p class="text-hint">${i18n.t('immersion.watchFirst')}</p>`;
+        }
+
+        const checkBtn = document.getElementById('check-immersion-answers');
+        if (checkBtn) {
+            checkBtn.disabled = false;
+            checkBtn.textContent = i18n.t('immersion.startQuiz');
+        }
+
+        this.showScreen('immersion-quiz-screen');
+    }
+
+    /**
+     * Save a tapped transcript word with its sentence for cloze review
+     */
+    async mineImmersionWord(token, offset, el) {
+        const result = await Immersion.mineSentence(token, offset);
+        if (!result.success) {
+            this.showToast(result.message);
+            return;
+        }
+
+        el.classList.add('mined');
+        const key = result.created ? 'reading.wordMined' : (result.added ? 'reading.contextAdded' : 'reading.contextExists');
+        this.showToast(i18n.t(key, { word: result.card.word }));
+    }
+
+    /**
+     * Show or hide the transcript card
+     */
+    toggleTranscript() {
+        const card = document.getElementById('immersion-transcript-card');
+        if (card) this.setTranscriptVisible(card.style.display === 'none');
+    }
+
+    setTranscriptVisible(visible) {
+        const card = document.getElementById('immersion-transcript-card');
+        if (card) card.style.display = visible ? '' : 'none';
+
+        const button = document.getElementById('show-transcript');
+        if (button) button.textContent = i18n.t(visible ? 'immersion.hideTranscript' : 'immersion.showTranscript');
+    }
+
+    /**
+     * Read the transcript aloud; pauses are tracked so they don't count as watch time
+     */
+    playMedia() {
+        const transcript = Immersion.currentContent?.transcript;
+        if (!transcript) return;
+
+        if ('speechSynthesis' in window && speechSynthesis.paused) {
+            speechSynthesis.resume();
+        } else if (!('speechSynthesis' in window) || !speechSynthesis.speaking) {
+            Listening.speakText(transcript);
+        }
+        Immersion.trackPause(false);
+    }
+
+    pauseMedia() {
+        if ('speechSynthesis' in window) speechSynthesis.pause();
+        Immersion.trackPause(true);
+    }
+
+    replayMedia() {
+        Listening.stop();
+        Immersion.trackPause(false);
+        this.playMedia();
+    }
+
+    /**
+     * First press ends watching and shows the quiz; the second grades it
+     */
+    async checkImmersionAnswers() {
+        if (!Immersion.watchSession) return;
+
+        const container = document.getElementById('immersion-questions');
+        const checkBtn = document.getElementById('check-immersion-answers');
+
+        if (!this.immersionQuiz) {
+            Listening.stop();
+            Immersion.trackPause(false);
+            this.immersionQuiz = await Immersion.completeWatching();
+            if (this.immersionQuiz.status === 'suspicious') {
+                this.showToast(i18n.t('immersion.partialWatch'));
+            }
+            this.renderImmersionQuestions(container, this.immersionQuiz.questions);
+            if (checkBtn) checkBtn.textContent = i18n.t('immersion.checkAnswers');
+            return;
+        }
+
+        const questions = this.immersionQuiz.questions;
+        const answers = questions.map((q, idx) => this.immersionAnswers[idx]);
+        const result = await Immersion.submitQuiz(answers);
+        if (!result) return;
+
+        result.results.forEach((r, idx) => {
+            container.querySelectorAll(`.option-item[data-question="${idx}"]`).forEach(item => {
+                const optVal = item.dataset.option;
+                const value = optVal === 'true' || optVal === 'false' ? optVal === 'true' : parseInt(optVal);
+                if (value === r.correctAnswer) {
+                    item.classList.add('correct');
+                } else if (item.classList.contains('selected')) {
+                    item.classList.add('incorrect');
+                }
+            });
+
+            const input = container.querySelector(`input[data-question="${idx}"]`);
+            if (input && !r.correct) {
+                input.parentElement.appendChild(Utils.createElement('p', {
+                    className: 'text-hint mt-sm',
+                    textContent: i18n.t('immersion.correctAnswer', { answer: r.correctText })
+                }));
+            }
+        });
+
+        if (checkBtn) checkBtn.disabled = true;
+        Immersion.watchSession = null;
+
+        const correct = result.results.filter(r => r.correct).length;
+        this.showToast(`Score: ${correct}/${result.results.length} (${Math.round(result.accuracy * 100)}%) • ${result.feedback.message}`);
+    }
+
+    /**
+     * Render immersion quiz questions (quiz format from Immersion.completeWatching)
+     */
+    renderImmersionQuestions(container, questions) {
+        if (!container) return;
+        container.innerHTML = '';
+
+        questions.forEach((q, idx) => {
+            const questionEl = Utils.createElement('div', { className: 'question-item' }, [
+                Utils.createElement('p', { className: 'question-text', textContent: `${idx + 1}. ${q.question}` })
+            ]);
+
+            if (q.format === 'fill_gap') {
+                questionEl.appendChild(Utils.createElement('input', {
+                    type: 'text',
+                    className: 'input mt-sm',
+                    placeholder: 'Type your answer...',
+                    dataset: { question: idx },
+                    onInput: (e) => {
+                        this.immersionAnswers[idx] = e.target.value;
+                    }
+                }));
+            } else {
+                const optionsList = Utils.createElement('div', { className: 'options-list' });
+                q.options.forEach((opt, optIdx) => {
+                    const value = q.format === 'true_false' ? optIdx === 0 : optIdx;
+                    optionsList.appendChild(Utils.createElement('div', {
+                        className: 'option-item',
+                        dataset: { question: idx, option: value },
+                        onClick: (e) => {
+                            optionsList.querySelectorAll('.option-item').forEach(item => item.classList.remove('selected'));
+                            e.currentTarget.classList.add('selected');
+                            this.immersionAnswers[idx] = value;
+                        }
+                    }, [
+                        Utils.createElement('div', { className: 'option-radio' }),
+                        Utils.createElement('span', { textContent: opt })
+                    ]));
+                });
+                questionEl.appendChild(optionsList);
+            }
+
+            container.appendChild(questionEl);
+        });
     }
 
     /**
@@ -2295,8 +3946,241 @@ Return ONLY the JSON array, no other text.`;
      * Start listening session
      */
     startListeningSession(mode) {
-        this.showToast(i18n.t('common.comingSoon') + ' - ' + mode);
-        // TODO: Implement full listening functionality with audio playback
+        this.listeningMode = mode;
+        this.showToast('Выберите аудио из списка');
+        document.getElementById('listening-list')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Load listening items for level
+     */
+    async loadListeningItems(level) {
+        const container = document.getElementById('listening-list');
+        if (!container) return;
+
+        container.innerHTML = `<div class="card"><p class="text-hint">${i18n.t('common.loading')}</p></div>`;
+
+        const items = await Listening.loadItems(level);
+        container.innerHTML = '';
+
+        if (items.length === 0) {
+            container.innerHTML = `<div class="card"><p class="text-hint">No audio available for this level</p></div>`;
+            return;
+        }
+
+        const list = Utils.createElement('div', { className: 'topic-list' });
+
+        for (const item of items) {
+            list.appendChild(Utils.createElement('div', {
+                className: 'topic-item',
+                onClick: () => this.openListeningItem(item, level)
+            }, [
+                Utils.createElement('div', { className: 'topic-info' }, [
+                    Utils.createElement('div', {
+                        className: 'topic-title',
+                        textContent: i18n.getLocale() === 'ru' ? item.title_ru || item.title : item.title
+                    }),
+                    Utils.createElement('div', {
+                        className: 'topic-subtitle',
+                        textContent: `${Math.ceil(item.duration / 60)} min • ${item.topic || level}`
+                    })
+                ]),
+                Utils.createElement('div', { className: 'topic-status new', textContent: '○' })
+            ]));
+        }
+
+        container.appendChild(list);
+    }
+
+    /**
+     * Open listening item in the selected practice mode
+     */
+    async openListeningItem(item, level) {
+        const types = { dictation: 'DICTATION', comprehension: 'COMPREHENSION', transcription: 'DICTATION' };
+        const type = types[this.listeningMode] || 'COMPREHENSION';
+
+        const session = await Listening.startSession(item.id, type, level);
+        if (!session.success) {
+            this.showToast(session.message);
+            return;
+        }
+
+        this.currentListening = session;
+        this.listeningAnswers = [];
+
+        const titleEl = document.getElementById('listening-title');
+        if (titleEl) titleEl.textContent = i18n.getLocale() === 'ru' ? item.title_ru || item.title : item.title;
+
+        const infoEl = document.getElementById('listening-info');
+        if (infoEl) infoEl.textContent = `${level} • ${Math.ceil(session.audio.duration / 60)} min • ${session.type.name}`;
+
+        const transcriptCard = document.getElementById('listening-transcript-card');
+        const transcriptEl = document.getElementById('listening-transcript');
+        if (transcriptEl) transcriptEl.textContent = session.audio.transcript || '';
+        if (transcriptCard) transcriptCard.style.display = session.audio.transcript ? 'block' : 'none';
+
+        const container = document.getElementById('listening-exercise');
+        if (container) {
+            container.innerHTML = '';
+            if (session.dictation && this.listeningMode === 'dictation') {
+                this.renderDictationChunks(container, session.dictation);
+            } else if (type === 'DICTATION') {
+                container.appendChild(Utils.createElement('textarea', {
+                    className: 'input textarea',
+                    id: 'listening-dictation-input',
+                    rows: 6,
+                    placeholder: 'Type what you hear...'
+                }));
+            } else {
+                this.renderListeningQuestions(container, session.questions);
+            }
+        }
+
+        this.showScreen('listening-session-screen');
+    }
+
+    /**
+     * Render segment-by-segment dictation: replay a chunk, type it, check it
+     */
+    renderDictationChunks(container, chunks) {
+        container.appendChild(Utils.createElement('p', {
+            className: 'text-hint mb-md',
+            textContent: 'Play each part as many times as you need, then type what you hear.'
+        }));
+
+        chunks.forEach((chunk, idx) => {
+            const input = Utils.createElement('input', {
+                type: 'text',
+                className: 'input',
+                placeholder: `Part ${idx + 1}...`
+            });
+            const feedback = Utils.createElement('div', { className: 'mt-sm' });
+
+            container.appendChild(Utils.createElement('div', { className: 'question-item' }, [
+                Utils.createElement('div', { className: 'flex gap-sm' }, [
+                    Utils.createElement('button', {
+                        className: 'btn btn-sm',
+                        textContent: `▶ ${idx + 1}`,
+                        onClick: () => Listening.playDictationChunk(chunk.id)
+                    }),
+                    input,
+                    Utils.createElement('button', {
+                        className: 'btn btn-sm btn-primary',
+                        textContent: '✓',
+                        onClick: async () => {
+                            const result = await Listening.checkDictationChunk(chunk.id, input.value);
+                            if (result) this.renderDictationDiff(feedback, result);
+                        }
+                    })
+                ]),
+                feedback
+            ]));
+        });
+    }
+
+    /**
+     * Show aligned dictation result word by word
+     */
+    renderDictationDiff(container, result) {
+        container.innerHTML = '';
+
+        for (const op of result.alignment) {
+            let word;
+            switch (op.type) {
+                case 'match':
+                    word = Utils.createElement('span', { className: 'text-success', textContent: op.expected });
+                    break;
+                case 'near_miss':
+                    word = Utils.createElement('span', { className: 'text-warning', textContent: `${op.typed} → ${op.expected}` });
+                    break;
+                case 'substitution':
+                    word = Utils.createElement('span', { className: 'text-error', textContent: `${op.typed} → ${op.expected}` });
+                    break;
+                case 'omission':
+                    word = Utils.createElement('span', { className: 'text-error', textContent: `(${op.expected})` });
+                    break;
+                case 'insertion':
+                    word = Utils.createElement('s', { className: 'text-hint', textContent: op.typed });
+                    break;
+            }
+            container.appendChild(word);
+            container.appendChild(document.createTextNode(' '));
+        }
+
+        container.appendChild(Utils.createElement('div', {
+            className: 'text-hint',
+            textContent: `${Math.round(result.accuracy * 100)}%`
+        }));
+    }
+
+    /**
+     * Render listening comprehension questions
+     */
+    renderListeningQuestions(container, questions) {
+        questions.forEach((q, idx) => {
+            const optionsList = Utils.createElement('div', { className: 'options-list' });
+
+            q.options.forEach(opt => {
+                optionsList.appendChild(Utils.createElement('div', {
+                    className: 'option-item',
+                    dataset: { listeningQuestion: idx, option: opt },
+                    onClick: (e) => {
+                        document.querySelectorAll(`.option-item[data-listening-question="${idx}"]`)
+                            .forEach(item => item.classList.remove('selected'));
+                        e.currentTarget.classList.add('selected');
+                        this.listeningAnswers[idx] = opt;
+                    }
+                }, [
+                    Utils.createElement('div', { className: 'option-radio' }),
+                    Utils.createElement('span', { textContent: opt })
+                ]));
+            });
+
+            container.appendChild(Utils.createElement('div', { className: 'question-item' }, [
+                Utils.createElement('p', { className: 'question-text', textContent: `${idx + 1}. ${q.question}` }),
+                optionsList
+            ]));
+        });
+    }
+
+    /**
+     * Check listening answers and show transcript
+     */
+    async checkListeningSession() {
+        if (!this.currentListening) return;
+
+        Listening.stop();
+
+        const dictationInput = document.getElementById('listening-dictation-input');
+        let result;
+        if (dictationInput) {
+            result = await Listening.completeSession(null, dictationInput.value);
+        } else if (this.currentListening.dictation && this.listeningMode === 'dictation') {
+            // Chunks were already checked one by one
+            result = await Listening.completeSession();
+        } else {
+            result = await Listening.completeSession(this.listeningAnswers);
+        }
+
+        if (!result) return;
+
+        result.results.forEach((r, idx) => {
+            document.querySelectorAll(`.option-item[data-listening-question="${idx}"]`).forEach(item => {
+                if (item.dataset.option === r.correctAnswer) {
+                    item.classList.add('correct');
+                } else if (item.classList.contains('selected')) {
+                    item.classList.add('incorrect');
+                }
+            });
+        });
+
+        const transcriptCard = document.getElementById('listening-transcript-card');
+        const transcriptEl = document.getElementById('listening-transcript');
+        if (transcriptEl) transcriptEl.textContent = Listening.currentAudio?.transcript || '';
+        if (transcriptCard) transcriptCard.style.display = 'block';
+
+        this.currentListening = null;
+        this.showToast(`${Math.round(result.accuracy * 100)}% • ${result.feedback.message}`);
     }
 
     // ==================== IELTS ====================
@@ -2304,20 +4188,394 @@ Return ONLY the JSON array, no other text.`;
     /**
      * Start IELTS test
      */
-    startIELTSTest(type) {
-        if (type === 'full') {
-            this.showToast('Полный тест IELTS - в разработке');
-        } else {
+    async startIELTSTest(type) {
+        if (type !== 'full') {
             this.showToast('Выберите секцию для теста');
+            return;
+        }
+
+        if (await IELTS.hasActiveTest()) {
+            await this.resumeIELTSTest();
+            return;
+        }
+
+        const test = await IELTS.startFullTest();
+        if (!test.current?.success) {
+            this.showToast(test.current?.message || 'Не удалось загрузить тест');
+            return;
+        }
+
+        this.renderIELTSSection(test.current);
+    }
+
+    /**
+     * Offer to resume an unfinished full test; declining keeps it for later
+     */
+    async offerIELTSResume() {
+        if (!(await IELTS.hasActiveTest())) return;
+        if (confirm(i18n.t('ielts.resumeConfirm'))) {
+            await this.resumeIELTSTest();
+        }
+    }
+
+    /**
+     * Show the resume/abandon card while a full test is unfinished
+     */
+    async renderIELTSResumeCard() {
+        const card = document.getElementById('ielts-resume-card');
+        if (card) card.classList.toggle('hidden', !(await IELTS.hasActiveTest()));
+    }
+
+    /**
+     * Abandon the unfinished full test after confirmation
+     */
+    async abandonIELTSTest() {
+        if (!confirm(i18n.t('ielts.abandonConfirm'))) return;
+
+        await IELTS.abandonFullTest();
+        await this.renderIELTSResumeCard();
+        this.showToast(i18n.t('ielts.abandoned'));
+    }
+
+    /**
+     * Leave the test screen; an unsubmitted section or full test is dropped after confirmation
+     */
+    async exitIELTSTest() {
+        const fullTest = await IELTS.hasActiveTest();
+        const inSection = IELTS.currentTest && !IELTS.currentTest.completed;
+
+        if (fullTest || inSection) {
+            if (!confirm(i18n.t(fullTest ? 'ielts.abandonConfirm' : 'ielts.exitConfirm'))) return;
+            await IELTS.abandonFullTest();
+        }
+
+        this.showScreen('ielts-screen');
+        await this.renderIELTSResumeCard();
+    }
+
+    /**
+     * Resume an unfinished full test (e.g. after the app was reloaded)
+     */
+    async resumeIELTSTest() {
+        try {
+            const view = await IELTS.resumeFullTest();
+            if (!view) return;
+
+            if (view.finished) {
+                this.showScreen('ielts-test-screen');
+                this.renderIELTSAttempt(view.attempt);
+                return;
+            }
+
+            if (!view.success) {
+                this.showToast(i18n.t('ielts.resumeFailed'));
+                await this.renderIELTSResumeCard();
+                return;
+            }
+
+            this.showToast(i18n.t('ielts.resuming'));
+            this.renderIELTSSection(view);
+        } catch (e) {
+            console.warn('Failed to resume IELTS test:', e);
         }
     }
 
     /**
      * Open IELTS section
      */
-    openIELTSSection(section) {
-        this.showToast(`IELTS ${section} - в разработке`);
-        // TODO: Implement IELTS section practice
+    async openIELTSSection(section) {
+        if (await IELTS.hasActiveTest()) {
+            this.showToast(i18n.t('ielts.finishFullTest'));
+            await this.renderIELTSResumeCard();
+            return;
+        }
+
+        const view = await IELTS.startSection(section);
+        if (!view.success) {
+            this.showToast(view.message);
+            return;
+        }
+
+        this.renderIELTSSection(view);
+    }
+
+    /**
+     * Render current IELTS section and start its timer
+     */
+    renderIELTSSection(view) {
+        const titleEl = document.getElementById('ielts-test-title');
+        if (titleEl) titleEl.textContent = `IELTS ${view.section.charAt(0).toUpperCase()}${view.section.slice(1)}`;
+
+        const infoEl = document.getElementById('ielts-test-info');
+        if (infoEl) infoEl.textContent = view.test?.title || `${view.timeLimit} min`;
+
+        const container = document.getElementById('ielts-test-content');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (view.test) {
+            this.renderIELTSQuestions(container, view.test, view.section, view.answers, view.audioPlayed);
+        } else if (view.tasks) {
+            this.renderIELTSWriting(container, view.tasks, view.writingTexts);
+        } else if (view.parts) {
+            this.renderIELTSSpeaking(container, view.parts);
+        }
+
+        const submitBtn = document.getElementById('ielts-submit-section');
+        if (submitBtn) submitBtn.classList.remove('hidden');
+
+        this.showScreen('ielts-test-screen');
+
+        IELTS.startTimer(
+            (time) => this.updateIELTSTimer(time),
+            (result) => {
+                if (!result) {
+                    this.showToast(i18n.t('ielts.submitFailed'));
+                    return;
+                }
+                this.showToast(i18n.t('ielts.timeUp'));
+                this.showIELTSSectionResult(result);
+            }
+        );
+        this.updateIELTSTimer(IELTS.getRemainingTime());
+    }
+
+    /**
+     * Update IELTS timer display
+     */
+    updateIELTSTimer(time) {
+        const timerEl = document.getElementById('ielts-timer');
+        if (!timerEl || !time) return;
+
+        timerEl.textContent = `${time.minutes}:${time.seconds.toString().padStart(2, '0')}`;
+        timerEl.classList.toggle('text-error', time.remaining < 5 * 60 * 1000);
+    }
+
+    /**
+     * Render listening/reading questions
+     */
+    renderIELTSQuestions(container, test, section, answers = {}, audioPlayed = []) {
+        const judgements = {
+            true_false_not_given: ['TRUE', 'FALSE', 'NOT GIVEN'],
+            yes_no_not_given: ['YES', 'NO', 'NOT GIVEN']
+        };
+
+        for (const part of test.sections) {
+            const card = Utils.createElement('div', { className: 'card mb-md' }, [
+                Utils.createElement('h3', {
+                    className: 'card-title mb-sm',
+                    textContent: `${section === 'listening' ? 'Part' : 'Passage'} ${part.number}: ${part.title}`
+                })
+            ]);
+
+            if (section === 'listening') {
+                // Audio plays once, as in the real test
+                const playBtn = Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-block mb-md',
+                    textContent: i18n.t('ielts.playAudio'),
+                    onClick: (e) => {
+                        e.currentTarget.disabled = true;
+                        IELTS.markAudioPlayed(part.number);
+                        Listening.speakText(part.transcript, 0.95);
+                    }
+                });
+                playBtn.disabled = audioPlayed.includes(part.number);
+                card.appendChild(playBtn);
+            } else {
+                card.appendChild(Utils.createElement('div', { className: 'reading-text mb-md', textContent: part.passage }));
+            }
+
+            for (const group of part.question_groups) {
+                card.appendChild(Utils.createElement('p', { className: 'text-hint mb-sm', textContent: group.instruction }));
+
+                if (group.type === 'matching' && group.options) {
+                    for (const [key, text] of Object.entries(group.options)) {
+                        card.appendChild(Utils.createElement('p', { className: 'text-hint', textContent: `${key} — ${text}` }));
+                    }
+                }
+
+                for (const q of group.questions) {
+                    const questionEl = Utils.createElement('div', { className: 'question-item' }, [
+                        Utils.createElement('p', { className: 'question-text', textContent: `${q.number}. ${q.prompt}` })
+                    ]);
+
+                    if (group.type === 'completion') {
+                        questionEl.appendChild(Utils.createElement('input', {
+                            type: 'text',
+                            className: 'input mt-sm',
+                            value: answers[q.number] || '',
+                            placeholder: 'Type your answer...',
+                            onInput: (e) => IELTS.saveAnswer(q.number, e.target.value)
+                        }));
+                    } else {
+                        const options = judgements[group.type]
+                            ? judgements[group.type].map(label => [label, label])
+                            : Object.entries(q.options || group.options || {});
+
+                        const optionsList = Utils.createElement('div', { className: 'options-list' });
+                        for (const [value, text] of options) {
+                            optionsList.appendChild(Utils.createElement('div', {
+                                className: `option-item${answers[q.number] === value ? ' selected' : ''}`,
+                                dataset: { ieltsQuestion: q.number },
+                                onClick: (e) => this.selectIELTSOption(e.currentTarget, q.number, value)
+                            }, [
+                                Utils.createElement('div', { className: 'option-radio' }),
+                                Utils.createElement('span', { textContent: value === text ? text : `${value}. ${text}` })
+                            ]));
+                        }
+                        questionEl.appendChild(optionsList);
+                    }
+
+                    card.appendChild(questionEl);
+                }
+            }
+
+            container.appendChild(card);
+        }
+    }
+
+    /**
+     * Select IELTS option
+     */
+    selectIELTSOption(element, questionNumber, value) {
+        document.querySelectorAll(`.option-item[data-ielts-question="${questionNumber}"]`)
+            .forEach(item => item.classList.remove('selected'));
+        element.classList.add('selected');
+
+        IELTS.saveAnswer(questionNumber, value);
+    }
+
+    /**
+     * Render writing tasks
+     */
+    renderIELTSWriting(container, tasks, texts = {}) {
+        for (const [task, config] of Object.entries(tasks)) {
+            const saveText = Utils.debounce((value) => IELTS.saveWritingText(task, value), 1000);
+
+            container.appendChild(Utils.createElement('div', { className: 'card mb-md' }, [
+                Utils.createElement('h3', {
+                    className: 'card-title mb-sm',
+                    textContent: `${task === 'task1' ? 'Task 1' : 'Task 2'} (~${config.minutes} min)`
+                }),
+                Utils.createElement('p', { className: 'mb-md', textContent: config.prompt }),
+                Utils.createElement('textarea', {
+                    className: 'input textarea',
+                    rows: 10,
+                    textContent: texts?.[task] || '',
+                    onInput: (e) => saveText(e.target.value)
+                })
+            ]));
+        }
+    }
+
+    /**
+     * Render speaking parts
+     */
+    renderIELTSSpeaking(container, parts) {
+        const card = Utils.createElement('div', { className: 'card' }, [
+            Utils.createElement('p', { className: 'text-hint mb-md', textContent: 'Answer each question aloud, then submit the section.' }),
+            Utils.createElement('h3', { className: 'card-title mb-sm', textContent: 'Part 1' }),
+            ...parts.part1.map(q => Utils.createElement('p', { className: 'mb-sm', textContent: `• ${q}` })),
+            Utils.createElement('h3', { className: 'card-title mb-sm mt-md', textContent: 'Part 2' }),
+            Utils.createElement('p', { className: 'mb-sm', textContent: parts.part2 }),
+            Utils.createElement('h3', { className: 'card-title mb-sm mt-md', textContent: 'Part 3' }),
+            ...parts.part3.map(q => Utils.createElement('p', { className: 'mb-sm', textContent: `• ${q}` }))
+        ]);
+        container.appendChild(card);
+    }
+
+    /**
+     * Submit current IELTS section
+     */
+    async submitIELTSSection() {
+        // Flush the writing texts that are still waiting for the debounce
+        document.querySelectorAll('#ielts-test-content textarea').forEach((textarea, idx) => {
+            IELTS.saveWritingText(idx === 0 ? 'task1' : 'task2', textarea.value);
+        });
+
+        try {
+            const result = await IELTS.submitCurrentSection();
+            if (result) this.showIELTSSectionResult(result);
+        } catch (e) {
+            console.warn('Failed to submit IELTS section:', e);
+            this.showToast(i18n.t('ielts.submitFailed'));
+        }
+    }
+
+    /**
+     * Show section result with per-question marking
+     */
+    showIELTSSectionResult(result) {
+        if (!result) return;
+
+        const container = document.getElementById('ielts-test-content');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const submitBtn = document.getElementById('ielts-submit-section');
+        if (submitBtn) submitBtn.classList.add('hidden');
+
+        const summary = Utils.createElement('div', { className: 'card mb-md' }, [
+            Utils.createElement('h3', {
+                className: 'card-title mb-sm',
+                textContent: result.unscored ? i18n.t('ielts.notScored') : `Band ${result.band}`
+            }),
+            Utils.createElement('p', {
+                className: 'text-hint',
+                textContent: result.rawScore !== undefined
+                    ? `${result.rawScore}/${result.total} correct`
+                    : result.disclaimer || ''
+            })
+        ]);
+        container.appendChild(summary);
+
+        const missed = (result.results || []).filter(r => !r.correct);
+        if (missed.length > 0) {
+            const list = Utils.createElement('div', { className: 'card mb-md' }, [
+                Utils.createElement('h3', { className: 'card-title mb-sm', textContent: i18n.t('ielts.missed') })
+            ]);
+            for (const r of missed) {
+                const note = r.reason === 'word_limit' ? ' (word limit)' : '';
+                list.appendChild(Utils.createElement('p', {
+                    className: 'mb-sm',
+                    textContent: `${r.number}. ${r.userAnswer || '—'} → ${r.correctAnswer}${note}`
+                }));
+            }
+            container.appendChild(list);
+        }
+
+        if (result.attempt) {
+            this.renderIELTSAttempt(result.attempt);
+        } else if (result.nextSection) {
+            container.appendChild(Utils.createElement('button', {
+                className: 'btn btn-primary btn-block',
+                textContent: `Continue: ${result.nextSection}`,
+                onClick: async () => {
+                    const view = await IELTS.startNextSection();
+                    if (view?.success) this.renderIELTSSection(view);
+                }
+            }));
+        }
+    }
+
+    /**
+     * Render finished full test bands
+     */
+    renderIELTSAttempt(attempt) {
+        const container = document.getElementById('ielts-test-content');
+        if (!container) return;
+
+        const submitBtn = document.getElementById('ielts-submit-section');
+        if (submitBtn) submitBtn.classList.add('hidden');
+
+        const rows = Object.entries(attempt.bands).map(([section, band]) =>
+            Utils.createElement('p', { className: 'mb-sm', textContent: `${section}: ${band ?? '—'}` })
+        );
+
+        container.appendChild(Utils.createElement('div', { className: 'card' }, [
+            Utils.createElement('h3', { className: 'card-title mb-sm', textContent: `Overall band ${attempt.overall ?? '—'}` }),
+            ...rows
+        ]));
     }
 
     // ==================== QUICK ACTIONS ====================
@@ -4,13 +4,22 @@
  */
 
 import Database from './database.js';
-import SM2 from './sm2.js';
+import SM2, { FSRS, getScheduler, migrateCard } from './sm2.js';
 import AI from './ai.js';
+import Manifest from './manifest.js';
+import Spelling from './spelling.js';
+import Lemmatizer from './lemmatizer.js';
+import Expressions from './expressions.js';
+import ErrorAnalysis from './errorAnalysis.js';
 
 class Vocabulary {
     constructor() {
         this.cards = [];
+        this.decks = [];         // User decks { id, name, createdAt }; cards point to one by `deck`
         this.starterPacks = {};  // Loaded starter pack data by level
+        this.scheduler = SM2;    // SM2 or FSRS, chosen in settings
+        this.vacation = null;    // Planned break { start, end }: no new cards meanwhile
+        this.timedDeadline = Vocabulary.DEFAULT_DEADLINE; // Seconds per timed recall card
         this.currentSession = {
             mode: null,
             cards: [],
@@ -26,35 +35,175 @@ class Vocabulary {
         DEFINITION: 'definition',    // Definition → Word
         SENTENCE: 'sentence',        // Fill in blank
         TIMED: 'timed',             // Timed recall
-        SPELLING: 'spelling'         // Audio → Write
+        SPELLING: 'spelling',        // Audio → Write
+        COLLOCATION: 'collocation',  // Pick the collocate / binomial order
+        PARTICLE: 'particle',        // Phrasal verb particle gap fill
+        IDIOM: 'idiom'               // Idiom meaning in context
     };
 
+    // Multiple-choice modes for multi-word expressions
+    static CHOICE_MODES = ['collocation', 'particle', 'idiom'];
+
+    // Modes scheduled on the receptive (recognition) state; the rest use productive
+    static RECEPTIVE_MODES = ['receptive', 'idiom'];
+
+    // Modes answered by typing the word; typing another real word there is a confusion
+    static TYPED_MODES = ['productive', 'sentence', 'spelling', 'timed'];
+    static CONFUSION_MODES = ['productive', 'spelling', 'timed'];
+
+    // Pairs learners mix up even when neither word is in the deck
+    // (Russian speakers: учить = learn / teach, одолжить = borrow / lend)
+    static CONFUSABLES = [
+        ['affect', 'effect'], ['borrow', 'lend'], ['say', 'tell'], ['make', 'do'],
+        ['learn', 'teach'], ['lose', 'loose'], ['advice', 'advise'], ['accept', 'except'],
+        ['rise', 'raise'], ['lie', 'lay'], ['bring', 'take'], ['remember', 'remind'],
+        ['hear', 'listen'], ['see', 'watch'], ['rob', 'steal'], ['win', 'earn'],
+        ['quite', 'quiet'], ['then', 'than'], ['principal', 'principle'], ['complement', 'compliment'],
+        ['economic', 'economical'], ['sensible', 'sensitive'], ['actual', 'current'], ['fun', 'funny']
+    ];
+    static MAX_CONFUSION_EXAMPLES = 3;
+
     // CEFR Levels
     static LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
 
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Interval (days) given to words marked known by the vocabulary size test
+    static KNOWN_INTERVAL = 30;
+
+    // Leech remediation: suspended cards work through these modes before returning to review
+    static REMEDIATION_STEPS = ['definition', 'sentence', 'spelling'];
+    static LEECH_TAG = 'leech';
+
+    // Mined sentences kept per card; the oldest is dropped first
+    static MAX_CONTEXTS = 10;
+
+    // Response timing: the timed mode deadline (seconds) also marks a known word as slow.
+    // Longer pauses mean the learner looked away and are left out of the average.
+    static DEFAULT_DEADLINE = 5;
+    static MAX_LATENCY = 60 * 1000;
+    static LATENCY_HISTORY = 10;
+
+    // The UI only holds the instance, so it reads these tables through getters
+    get MODES() { return Vocabulary.MODES; }
+    get REMEDIATION_STEPS() { return Vocabulary.REMEDIATION_STEPS; }
+    get TYPED_MODES() { return Vocabulary.TYPED_MODES; }
+    get CONFUSION_MODES() { return Vocabulary.CONFUSION_MODES; }
+
     /**
      * Initialize vocabulary module
      */
     async init() {
         this.cards = await Database.getVocabulary();
+        this.decks = await Database.getDecks();
+        const profile = await Database.getProfile();
+        await this.setScheduler(profile.settings?.scheduler, profile.settings?.targetRetention);
+        this.setLimits(profile.settings);
+        this.setTiming(profile.settings);
         await this.loadStarterPacks();
+
+        // Card words are base forms too; lemmatize cards saved before lemmas existed
+        Lemmatizer.addToLexicon(this.cards.map(c => c.lemma || c.word));
+        for (const card of this.cards) {
+            card.lemma = this.getLemma(card);
+            card.type = card.type || Expressions.classify(card.word);
+        }
+    }
+
+    /**
+     * Switch scheduling algorithm and migrate existing cards to it
+     * @param {string} name - 'sm2' or 'fsrs'
+     * @param {number} targetRetention - FSRS only: desired recall probability (0.7-0.97)
+     * @returns {number} Number of cards migrated
+     */
+    async setScheduler(name, targetRetention) {
+        this.scheduler = getScheduler(name);
+        if (this.scheduler === FSRS) {
+            FSRS.configure({ targetRetention });
+        }
+
+        const target = this.scheduler.name;
+        const log = target === FSRS.name ? await Database.getReviewLog() : [];
+        let migrated = 0;
+
+        for (const card of this.cards) {
+            let changed = false;
+            for (const key of ['receptive', 'productive']) {
+                const isFSRS = card[key].scheduler === FSRS.name;
+                if (isFSRS !== (target === FSRS.name)) {
+                    const reviews = log.filter(r => r.word === card.word && r.mode === key);
+                    card[key] = migrateCard(card[key], target, reviews);
+                    changed = true;
+                }
+            }
+            if (changed) {
+                await Database.saveVocabularyCard(card);
+                migrated++;
+            }
+        }
+
+        return migrated;
     }
 
     /**
-     * Load starter pack vocabulary from JSON files
+     * Load starter pack vocabulary from JSON files listed in the manifest
+     * All packs for a level are merged into one categorised pack
      */
     async loadStarterPacks() {
         for (const level of Vocabulary.LEVELS) {
-            try {
-                const response = await fetch(`data/vocabulary/${level}.json`);
-                if (response.ok) {
-                    const data = await response.json();
-                    this.starterPacks[level] = data;
+            const entries = await Manifest.getItems('vocabulary', level);
+            const packs = (await Promise.all(entries.map(e => Manifest.fetchItem(e)))).filter(Boolean);
+            if (packs.length > 0) {
+                this.starterPacks[level] = this.mergePacks(level, packs);
+                Lemmatizer.addToLexicon(this.starterPacks[level].categories.flatMap(c => c.words.map(w => w.word)));
+            }
+        }
+    }
+
+    /**
+     * Merge packs into { level, total_words, categories }, converting flat word lists
+     * to a category and dropping words already present earlier
+     */
+    mergePacks(level, packs) {
+        const categories = [];
+        const seen = new Set();
+
+        // Categorised packs first, so legacy flat lists only add words they are missing
+        const ordered = [...packs].sort((a, b) => Boolean(b.categories) - Boolean(a.categories));
+
+        for (const pack of ordered) {
+            const packCategories = pack.categories || [{
+                name: 'Essentials',
+                name_ru: 'Основные слова',
+                words: (pack.words || []).map(w => ({
+                    word: w.word,
+                    translation: w.translation,
+                    example: w.example || w.examples?.[0] || '',
+                    phonetic: w.phonetic || w.transcription,
+                    frequency: w.frequency,
+                    type: w.type
+                }))
+            }];
+
+            for (const category of packCategories) {
+                const words = (category.words || []).filter(w => {
+                    const key = w.word.toLowerCase();
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                });
+                if (words.length === 0) continue;
+
+                const existing = categories.find(c => c.name === category.name);
+                if (existing) {
+                    existing.words.push(...words);
+                } else {
+                    categories.push({ name: category.name, name_ru: category.name_ru, words });
                 }
-            } catch (error) {
-                console.warn(`Failed to load vocabulary pack for ${level}:`, error);
             }
         }
+
+        return { level, total_words: seen.size, categories };
     }
 
     /**
@@ -101,7 +250,7 @@ class Vocabulary {
 
         for (const wordData of wordsToAdd) {
             // Check if already exists
-            if (this.cards.find(c => c.word.toLowerCase() === wordData.word.toLowerCase())) {
+            if (this.findCard(wordData.word)) {
                 skipped++;
                 continue;
             }
@@ -111,6 +260,8 @@ class Vocabulary {
                 translation_ru: wordData.translation,
                 phonetic: wordData.phonetic,
                 examples: wordData.example ? [wordData.example] : [],
+                frequency: wordData.frequency,
+                type: wordData.type,
                 level: level
             });
 
@@ -162,18 +313,25 @@ class Vocabulary {
     createCard(wordData) {
         return {
             word: wordData.word,
+            lemma: Lemmatizer.lemmatize(wordData.word),
+            type: Expressions.classify(wordData.word, wordData.type),
             transcription: wordData.phonetic || '',
             translation: wordData.translation_ru || '',
             definition: wordData.definition || '',
             examples: wordData.examples || [],
+            contexts: [],       // Sentences mined from reading and immersion
+            contextIndex: 0,    // Next context shown in sentence mode
+            latency: {},        // Recall speed per mode: { productive: { times, average } }
+            deck: null,         // User deck id
+            tags: [],
             collocations: wordData.collocations || [],
             level: wordData.level || 'B1',
-            frequency: wordData.frequency || 5000,
+            frequency: wordData.frequency || null,  // Only some packs have frequency ranks
             audio: wordData.audio || '',
 
-            // SM-2 data for each mode
-            receptive: SM2.createCard(wordData.word + '_receptive'),
-            productive: SM2.createCard(wordData.word + '_productive'),
+            // Scheduling data (SM-2 or FSRS) for each mode
+            receptive: this.scheduler.createCard(wordData.word + '_receptive'),
+            productive: this.scheduler.createCard(wordData.word + '_productive'),
 
             // Spelling tracking
             spelling: {
@@ -196,37 +354,126 @@ class Vocabulary {
      * Add word to vocabulary
      */
     async addWord(word) {
+        // "went", "going" and "goes" all become a card for "go"
+        const lemma = Lemmatizer.lemmatize(word);
+
         // Check if already exists
-        if (this.cards.find(c => c.word.toLowerCase() === word.toLowerCase())) {
+        if (this.findCard(lemma)) {
             return { success: false, message: 'Word already in vocabulary' };
         }
 
         // Get word info from AI/Dictionary
-        const wordInfo = await AI.getWordInfo(word);
+        const wordInfo = await AI.getWordInfo(lemma);
         if (!wordInfo) {
             return { success: false, message: 'Word not found' };
         }
 
         const card = this.createCard(wordInfo);
         this.cards.push(card);
+        Lemmatizer.addToLexicon([card.lemma]);
         await Database.saveVocabularyCard(card);
 
         return { success: true, card };
     }
 
+    // ============= Lemmas & Word Families =============
+
+    /**
+     * Lemma of a card (cards saved before lemmatization only have the word)
+     */
+    getLemma(card) {
+        return card.lemma || Lemmatizer.lemmatize(card.word);
+    }
+
+    /**
+     * Card for a word or any of its inflections
+     */
+    findCard(word) {
+        const lowered = String(word || '').trim().toLowerCase();
+        const lemmas = Lemmatizer.candidates(lowered);
+        return this.cards.find(c =>
+            c.word.toLowerCase() === lowered || lemmas.includes(this.getLemma(c))
+        ) || null;
+    }
+
+    /**
+     * Other cards in the same word family (decide -> decision, decisive)
+     */
+    getWordFamily(cardOrWord) {
+        const word = typeof cardOrWord === 'string' ? cardOrWord : this.getLemma(cardOrWord);
+        const lemma = Lemmatizer.lemmatize(word);
+
+        return this.cards.filter(c => {
+            const other = this.getLemma(c);
+            return other !== lemma && Lemmatizer.sameFamily(other, lemma);
+        });
+    }
+
+    /**
+     * Move new cards for frequent words straight to review with a long interval
+     * (after a vocabulary size test shows these frequency bands are known)
+     * @param {number} maxRank - Highest frequency rank considered known
+     * @param {Function} rankOf - Frequency rank of a card, or null if unknown
+     * @returns {number} Cards marked as known
+     */
+    async markKnownByFrequency(maxRank, rankOf = card => card.frequency) {
+        const now = Date.now();
+        let marked = 0;
+
+        for (const card of this.cards) {
+            const rank = rankOf(card);
+            if (card.receptive.status !== 'new' || !rank || rank > maxRank) continue;
+
+            card.receptive = migrateCard({
+                ...SM2.createCard(card.receptive.wordId),
+                status: 'review',
+                interval: Vocabulary.KNOWN_INTERVAL,
+                repetitions: 1,
+                lastReview: now,
+                nextReview: now + Vocabulary.KNOWN_INTERVAL * Vocabulary.DAY_MS
+            }, this.scheduler.name);
+            card.knownFromTest = true;
+
+            await Database.saveVocabularyCard(card);
+            marked++;
+        }
+
+        // Every marked card would otherwise come due on the same day
+        if (marked > 0) await this.smoothLoad();
+
+        return marked;
+    }
+
+    /**
+     * Whether a word (in any inflection) belongs to a card already in review
+     */
+    isKnownWord(word) {
+        const card = this.findCard(word);
+        return Boolean(card) && ['review', 'learned'].includes(card.receptive.status);
+    }
+
     /**
      * Start learning session
      */
     startSession(mode, limit = 20) {
         const dueCards = this.getDueCards(mode);
-        const newCards = this.getNewCards(limit - Math.min(dueCards.length, limit));
+        const newCards = this.getNewCards(limit - Math.min(dueCards.length, limit), mode);
+
+        // Timed recall is fluency practice: known words that are still slow come before new ones
+        const slowCards = mode === Vocabulary.MODES.TIMED
+            ? this.getSlowWords('productive', limit).filter(card => !dueCards.includes(card))
+            : [];
 
         this.currentSession = {
             mode,
-            cards: [...dueCards.slice(0, limit), ...newCards].slice(0, limit),
+            cards: [...dueCards.slice(0, limit), ...slowCards, ...newCards].slice(0, limit),
+            // Slow cards that are not due are drilled for speed only, without rescheduling
+            practiceOnly: new Set(slowCards.map(card => card.word)),
             currentIndex: 0,
             results: [],
-            startTime: Date.now()
+            startTime: Date.now(),
+            cardStartTime: Date.now(),
+            responseTime: null
         };
 
         // Shuffle cards
@@ -240,20 +487,35 @@ class Vocabulary {
      */
     getDueCards(mode) {
         const now = Date.now();
-        const modeKey = mode === Vocabulary.MODES.RECEPTIVE ? 'receptive' : 'productive';
+        const modeKey = this.getModeKey(mode);
 
         return this.cards
-            .filter(card => card[modeKey].nextReview <= now)
+            .filter(card => !this.isNewCard(card) && this.fitsMode(card, mode))
+            .filter(card => !card[modeKey].suspended && card[modeKey].nextReview <= now)
             .sort((a, b) => a[modeKey].nextReview - b[modeKey].nextReview);
     }
 
     /**
-     * Get new cards
+     * Get new cards, within what is left of today's new-card budget
      */
-    getNewCards(limit) {
+    getNewCards(limit, mode = null) {
         return this.cards
-            .filter(card => card.receptive.status === 'new')
-            .slice(0, limit);
+            .filter(card => this.isNewCard(card) && this.fitsMode(card, mode))
+            .slice(0, Math.min(limit, this.getNewCardBudget()));
+    }
+
+    /**
+     * Scheduling state a study mode updates: 'receptive' or 'productive'
+     */
+    getModeKey(mode) {
+        return Vocabulary.RECEPTIVE_MODES.includes(mode) ? 'receptive' : 'productive';
+    }
+
+    /**
+     * Whether a card can be studied in a mode (expression modes need an exercise)
+     */
+    fitsMode(card, mode) {
+        return !Vocabulary.CHOICE_MODES.includes(mode) || this.getExercise(card, mode) !== null;
     }
 
     /**
@@ -281,6 +543,10 @@ class Vocabulary {
                 return this.renderTimedCard(card, showAnswer);
             case Vocabulary.MODES.SPELLING:
                 return this.renderSpellingCard(card, showAnswer);
+            case Vocabulary.MODES.COLLOCATION:
+            case Vocabulary.MODES.PARTICLE:
+            case Vocabulary.MODES.IDIOM:
+                return this.renderExpressionCard(card, mode, showAnswer);
             default:
                 return this.renderReceptiveCard(card, showAnswer);
         }
@@ -343,24 +609,22 @@ class Vocabulary {
     }
 
     /**
-     * Sentence completion mode
+     * Sentence completion mode; rotates through the card's mined contexts
      */
     renderSentenceCard(card, showAnswer) {
-        const example = card.examples[0] || `Use the word "${card.word}" in a sentence.`;
-        const blankedSentence = example.replace(
-            new RegExp(card.word, 'gi'),
-            '_'.repeat(card.word.length)
-        );
+        const cloze = this.getCloze(card);
 
         return {
             front: {
-                sentence: blankedSentence,
+                sentence: cloze.blanked,
                 translation: card.translation,
+                source: cloze.context?.sourceType || null,
                 prompt: 'Fill in the blank'
             },
             back: showAnswer ? {
-                word: card.word,
-                fullSentence: example
+                word: cloze.answer,
+                lemma: card.word,
+                fullSentence: cloze.sentence
             } : null,
             inputRequired: true
         };
@@ -373,7 +637,7 @@ class Vocabulary {
         return {
             front: {
                 translation: card.translation,
-                timeLimit: 5, // seconds
+                timeLimit: this.timedDeadline, // seconds
                 prompt: 'Quick! Type the English word'
             },
             back: showAnswer ? {
@@ -404,6 +668,29 @@ class Vocabulary {
         };
     }
 
+    /**
+     * Multi-word expression modes: collocate choice, particle gap fill, idiom meaning
+     */
+    renderExpressionCard(card, mode, showAnswer) {
+        const exercise = this.getExercise(card, mode);
+
+        return {
+            front: {
+                text: exercise.text,
+                sentence: mode === Vocabulary.MODES.IDIOM ? exercise.sentence : '',
+                options: exercise.options,
+                prompt: exercise.prompt
+            },
+            back: showAnswer ? {
+                word: exercise.answer,
+                phrase: card.word,
+                translation: card.translation,
+                fullSentence: exercise.sentence
+            } : null,
+            choiceRequired: true
+        };
+    }
+
     /**
      * Process answer
      */
@@ -412,17 +699,94 @@ class Vocabulary {
         if (!card) return null;
 
         const mode = this.currentSession.mode;
-        const modeKey = mode === Vocabulary.MODES.RECEPTIVE ? 'receptive' : 'productive';
+        const modeKey = this.getModeKey(mode);
+
+        // A wrong choice is a lapse whatever the rating; a right one defaults to Good
+        const choice = userInput !== null && Vocabulary.CHOICE_MODES.includes(mode)
+            ? this.checkChoice(card, mode, userInput)
+            : null;
+        if (choice && (quality === null || !choice.correct)) {
+            quality = choice.correct ? SM2.GOOD : SM2.AGAIN;
+        }
+
+        // Another real word typed instead ("effect" for "affect") is a lapse, not a misspelling
+        const confusion = userInput && Vocabulary.CONFUSION_MODES.includes(mode)
+            ? this.detectConfusion(card, userInput)
+            : null;
+        if (confusion) {
+            quality = SM2.AGAIN;
+        }
+
+        // Typed answers are graded; without an explicit rating the grade suggests one
+        const spelling = userInput && !confusion && Vocabulary.TYPED_MODES.includes(mode)
+            ? this.gradeSpelling(userInput, this.getExpectedAnswer(card, mode))
+            : null;
+        if (quality === null && spelling) {
+            quality = spelling.quality;
+        }
+
+        // A correct timed answer after the deadline only counts as Hard
+        const now = Date.now();
+        const responseTime = this.getResponseTime(now);
+        if (mode === Vocabulary.MODES.TIMED && quality !== null) {
+            quality = this.gradeTimed(quality, responseTime);
+        }
+
+        // Update scheduling data, remembering the state before the review for the log
+        const before = card[modeKey];
+        const review = {
+            word: card.word,
+            mode: modeKey,
+            studyMode: mode,
+            quality,
+            timestamp: now,
+            state: before.status,
+            elapsedDays: before.lastReview ? (now - before.lastReview) / Vocabulary.DAY_MS : 0,
+            lastInterval: before.interval,
+            responseTime,
+            scheduler: this.scheduler.name
+        };
+
+        // The first answer spends a slot of the daily new-card budget
+        if (this.isNewCard(card)) {
+            card.introducedAt = now;
+        }
 
-        // Update SM-2 data
-        card[modeKey] = SM2.processAnswer(card[modeKey], quality);
+        const practiceOnly = this.currentSession.practiceOnly?.has(card.word) && before.nextReview > now;
+        if (!practiceOnly) {
+            card[modeKey] = this.scheduler.processAnswer(card[modeKey], quality);
+            this.balanceLoad(card[modeKey], now);
+            review.interval = (card[modeKey].nextReview - now) / Vocabulary.DAY_MS;
+            await Database.logReview(review);
 
-        // Track spelling if input provided
-        if (userInput && (mode === Vocabulary.MODES.SPELLING || mode === Vocabulary.MODES.SENTENCE)) {
-            const isCorrect = this.checkSpelling(userInput, card.word);
-            card.spelling.attempts.push(isCorrect);
+            // Scheduler suspended the card as a leech
+            if (card[modeKey].suspended) {
+                this.startRemediation(card, modeKey);
+            }
+        }
+
+        // Track spelling if input provided; near misses earn partial credit
+        if (spelling) {
+            card.spelling.attempts.push(spelling.score);
             card.spelling.attempts = card.spelling.attempts.slice(-10); // Keep last 10
-            card.spelling.accuracy = card.spelling.attempts.filter(Boolean).length / card.spelling.attempts.length;
+            card.spelling.accuracy = card.spelling.attempts.reduce((sum, a) => sum + Number(a), 0) / card.spelling.attempts.length;
+            card.spelling.lastScore = spelling.score;
+
+            if (spelling.patterns.length > 0) {
+                if (!ErrorAnalysis.patterns) await ErrorAnalysis.init();
+                await ErrorAnalysis.trackSpellingError(card.word, spelling.input, spelling.patterns);
+            }
+        }
+
+        if (confusion) {
+            await this.trackConfusion(confusion);
+        }
+
+        this.recordLatency(card, modeKey, responseTime, quality);
+
+        // Next sentence review shows the word in another context
+        if (mode === Vocabulary.MODES.SENTENCE) {
+            card.contextIndex = (card.contextIndex || 0) + 1;
         }
 
         // Save card
@@ -433,13 +797,726 @@ class Vocabulary {
             word: card.word,
             quality,
             mode,
+            responseTime,
             timestamp: Date.now()
         });
 
         // Move to next card
         this.currentSession.currentIndex++;
+        this.currentSession.cardStartTime = Date.now();
+        this.currentSession.responseTime = null;
+
+        return {
+            finished: this.currentSession.currentIndex >= this.currentSession.cards.length,
+            progress: this.currentSession.currentIndex / this.currentSession.cards.length,
+            nextCard: this.getCurrentCard(),
+            spelling,
+            choice,
+            confusion,
+            responseTime
+        };
+    }
+
+    // ============= Response Timing =============
+
+    /**
+     * Deadline for timed recall, in seconds, from profile settings
+     */
+    setTiming(settings = {}) {
+        this.timedDeadline = settings.timedDeadline || Vocabulary.DEFAULT_DEADLINE;
+    }
+
+    /**
+     * Stop the clock when the answer is revealed; rating the card afterwards is not recall time
+     */
+    revealAnswer() {
+        this.currentSession.responseTime = this.getResponseTime();
+        return this.currentSession.responseTime;
+    }
+
+    /**
+     * Milliseconds from showing the current card to revealing (or answering) it
+     */
+    getResponseTime(now = Date.now()) {
+        return this.currentSession.responseTime ?? now - (this.currentSession.cardStartTime || now);
+    }
+
+    /**
+     * Timed recall: a correct answer after the deadline counts as Hard
+     */
+    gradeTimed(quality, responseTime) {
+        if (quality > SM2.HARD && responseTime > this.timedDeadline * 1000) {
+            return SM2.HARD;
+        }
+        return quality;
+    }
+
+    /**
+     * Keep recent recall times per mode; failed recalls and long pauses say nothing about speed
+     */
+    recordLatency(card, modeKey, responseTime, quality) {
+        if (quality < SM2.HARD || !(responseTime > 0) || responseTime > Vocabulary.MAX_LATENCY) return;
+
+        card.latency = card.latency || {};
+        const times = [...(card.latency[modeKey]?.times || []), responseTime].slice(-Vocabulary.LATENCY_HISTORY);
+        card.latency[modeKey] = {
+            times,
+            average: Math.round(times.reduce((sum, t) => sum + t, 0) / times.length)
+        };
+    }
+
+    /**
+     * Average recall time of a card in a mode (ms), or null before the first timed answer
+     */
+    getLatency(card, modeKey = 'productive') {
+        return card.latency?.[modeKey]?.average ?? null;
+    }
+
+    /**
+     * Words already in review that still take longer than the deadline to recall, slowest first
+     */
+    getSlowWords(modeKey = 'productive', limit = 20) {
+        return this.cards
+            .filter(card => ['review', 'learned'].includes(card[modeKey].status) && !card[modeKey].suspended)
+            .filter(card => this.getLatency(card, modeKey) > this.timedDeadline * 1000)
+            .sort((a, b) => this.getLatency(b, modeKey) - this.getLatency(a, modeKey))
+            .slice(0, limit);
+    }
+
+    // ============= Decks & Tags =============
+
+    /**
+     * Tag as stored: lowercase words joined by hyphens ("Sherlock Holmes" -> "sherlock-holmes")
+     */
+    normalizeTag(tag) {
+        return String(tag || '').trim().toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Replace a card's tags
+     */
+    async setTags(card, tags) {
+        card.tags = [...new Set(tags.map(t => this.normalizeTag(t)).filter(Boolean))];
+        await Database.saveVocabularyCard(card);
+        return card.tags;
+    }
+
+    /**
+     * Add tags to a card, keeping the ones it has
+     */
+    async addTags(card, tags) {
+        return this.setTags(card, [...(card.tags || []), ...tags]);
+    }
+
+    /**
+     * All tags in use with the number of cards carrying each, most used first
+     */
+    getTags() {
+        const counts = {};
+        for (const card of this.cards) {
+            for (const tag of card.tags || []) {
+                counts[tag] = (counts[tag] || 0) + 1;
+            }
+        }
+        return Object.entries(counts)
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Create a deck; names are unique regardless of case
+     */
+    async createDeck(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            return { success: false, message: 'Deck name is empty' };
+        }
+        if (this.decks.some(d => d.name.toLowerCase() === trimmed.toLowerCase())) {
+            return { success: false, message: 'Deck already exists' };
+        }
+
+        const deck = { id: `deck_${Date.now()}`, name: trimmed, createdAt: Date.now() };
+        this.decks.push(deck);
+        await Database.saveDecks(this.decks);
+        return { success: true, deck };
+    }
+
+    /**
+     * Delete a deck; its cards stay in the vocabulary without a deck
+     */
+    async deleteDeck(deckId) {
+        this.decks = this.decks.filter(d => d.id !== deckId);
+        for (const card of this.getDeckCards(deckId)) {
+            card.deck = null;
+            await Database.saveVocabularyCard(card);
+        }
+        await Database.saveDecks(this.decks);
+    }
+
+    /**
+     * Put a card in a deck (null takes it out of any deck)
+     */
+    async moveToDeck(card, deckId) {
+        card.deck = this.decks.some(d => d.id === deckId) ? deckId : null;
+        await Database.saveVocabularyCard(card);
+    }
+
+    /**
+     * Cards in a deck (null: cards in no deck)
+     */
+    getDeckCards(deckId) {
+        return this.cards.filter(card => (card.deck || null) === deckId);
+    }
+
+    /**
+     * Card counts and today's due counts of one deck
+     */
+    getDeckStats(deckId) {
+        const cards = this.getDeckCards(deckId);
+        return {
+            ...this.getStats(cards),
+            due: this.getDueCounts(cards)
+        };
+    }
+
+    // ============= Filtered Sessions =============
+
+    /**
+     * Cards matching every given criterion, e.g. B2 words tagged "sherlock" failed
+     * this week in productive mode:
+     * { level: 'B2', tags: ['sherlock'], failedWithin: 7, mode: 'productive' }
+     * @param {Object} filter - deck (id, or null for cards without a deck), tags (all required),
+     *   level (one or a list), status ('new', 'learning', 'review', 'learned' or 'suspended'),
+     *   minLapses, failedWithin (days, today included), mode (study mode the other criteria read)
+     */
+    async filterCards(filter = {}) {
+        const mode = filter.mode || Vocabulary.MODES.RECEPTIVE;
+        const modeKey = this.getModeKey(mode);
+        const tags = (filter.tags || []).map(t => this.normalizeTag(t)).filter(Boolean);
+        const levels = [].concat(filter.level || []);
+
+        let failed = null;
+        if (filter.failedWithin) {
+            const since = this.startOfToday() - (filter.failedWithin - 1) * Vocabulary.DAY_MS;
+            const log = await Database.getReviewLog();
+            failed = new Set(log
+                .filter(r => r.timestamp >= since && r.mode === modeKey && r.quality === SM2.AGAIN)
+                .map(r => r.word));
+        }
+
+        return this.cards.filter(card => {
+            const state = card[modeKey];
+            if (filter.deck !== undefined && (card.deck || null) !== filter.deck) return false;
+            if (tags.some(tag => !(card.tags || []).includes(tag))) return false;
+            if (levels.length > 0 && !levels.includes(card.level)) return false;
+            if (filter.status === 'suspended' && !state.suspended) return false;
+            if (filter.status && filter.status !== 'suspended' && state.status !== filter.status) return false;
+            if (filter.minLapses && (state.lapses || 0) < filter.minLapses) return false;
+            if (failed && !failed.has(card.word)) return false;
+            return !filter.mode || this.fitsMode(card, mode);
+        });
+    }
+
+    /**
+     * Study the cards of a filter: due ones first, then the rest by next review.
+     * Cards that are not due yet are practice only.
+     * New cards still spend the daily budget.
+     */
+    async startFilteredSession(filter = {}, limit = 20) {
+        const mode = filter.mode || Vocabulary.MODES.RECEPTIVE;
+        const modeKey = this.getModeKey(mode);
+        const now = Date.now();
+        const matches = (await this.filterCards(filter)).filter(card => !card[modeKey].suspended);
+
+        const studied = matches
+            .filter(card => !this.isNewCard(card))
+            .sort((a, b) => a[modeKey].nextReview - b[modeKey].nextReview);
+        const due = studied.filter(card => card[modeKey].nextReview <= now);
+        const rest = studied.filter(card => card[modeKey].nextReview > now);
+        const newCards = matches
+            .filter(card => this.isNewCard(card))
+            .slice(0, this.getNewCardBudget());
+
+        this.currentSession = {
+            mode,
+            filter,
+            cards: [...due, ...newCards, ...rest].slice(0, limit),
+            // Cards that are not due yet are drilled early, without rescheduling or logging
+            practiceOnly: new Set(rest.map(card => card.word)),
+            currentIndex: 0,
+            results: [],
+            startTime: now,
+            cardStartTime: now,
+            responseTime: null
+        };
+
+        this.shuffleArray(this.currentSession.cards);
+
+        return this.currentSession;
+    }
+
+    // ============= Daily Limits & Load =============
+
+    /**
+     * Apply daily limits and vacation from settings
+     * @param {Object} settings - { newCardsPerDay, maxReviewsPerDay, vacation }
+     */
+    setLimits(settings = {}) {
+        SM2.configureLimits(settings);
+        this.vacation = settings.vacation || null;
+    }
+
+    /**
+     * A card nobody has studied yet in either mode
+     */
+    isNewCard(card) {
+        return !card.introducedAt && card.receptive.status === 'new' && card.productive.status === 'new';
+    }
+
+    startOfToday() {
+        return new Date().setHours(0, 0, 0, 0);
+    }
+
+    isOnVacation(now = Date.now()) {
+        return Boolean(this.vacation) && now >= this.vacation.start && now < this.vacation.end;
+    }
+
+    /**
+     * New cards that can still be started today (none during a vacation)
+     */
+    getNewCardBudget() {
+        if (this.isOnVacation()) return 0;
+        const today = this.startOfToday();
+        const introduced = this.cards.filter(c => c.introducedAt >= today).length;
+        return Math.max(0, SM2.newCardsPerDay - introduced);
+    }
+
+    /**
+     * Scheduling states with reviews ahead (receptive and productive; not new or suspended)
+     */
+    getScheduledStates() {
+        return this.cards
+            .flatMap(card => [card.receptive, card.productive])
+            .filter(s => s.status !== 'new' && !s.suspended);
+    }
+
+    /**
+     * Review forecast for the next days over both modes
+     */
+    getForecast(days = 7) {
+        return this.scheduler.getForecast(this.getScheduledStates(), days);
+    }
+
+    /**
+     * Nudge a freshly scheduled review onto the least busy nearby day, and out of
+     * a planned break the way planVacation moves the reviews already scheduled
+     */
+    balanceLoad(state, now = Date.now()) {
+        const horizon = SM2.dayIndex(state.nextReview, now) + SM2.fuzzDays(state.interval || 0) + 2;
+        const others = this.getScheduledStates().filter(s => s !== state);
+        this.scheduler.balance(state, this.scheduler.getForecast(others, horizon, now), now);
+
+        const { start, end } = this.vacation || {};
+        if (this.vacation && state.nextReview >= start && state.nextReview < end) {
+            const breakHorizon = SM2.dayIndex(end, now) + 60;
+            this.scheduler.planBreak([state], start, end, now, this.scheduler.getForecast(others, breakHorizon, now));
+        }
+    }
+
+    /**
+     * Spread existing reviews so no day in the next `days` stands out,
+     * moving reviews off the busiest days first
+     * @returns {number} Cards rescheduled
+     */
+    async smoothLoad(days = 60) {
+        const now = Date.now();
+        const states = this.getScheduledStates();
+        const load = this.scheduler.getForecast(states, days * 2, now);
+        const dayOf = state => SM2.dayIndex(state.nextReview, now);
+        const before = this.snapshotDue();
+
+        const upcoming = states
+            .filter(s => ['review', 'learned'].includes(s.status) && dayOf(s) >= 1 && dayOf(s) < days)
+            .sort((a, b) => load[dayOf(b)] - load[dayOf(a)]);
+
+        for (const state of upcoming) {
+            load[dayOf(state)]--;
+            this.scheduler.balance(state, load, now);
+            load[dayOf(state)] = (load[dayOf(state)] || 0) + 1;
+        }
+
+        return this.saveRescheduled(before);
+    }
+
+    /**
+     * Push reviews beyond today's cap to the following days
+     * @returns {number} Reviews moved
+     */
+    async applyDailyLimits() {
+        const today = this.startOfToday();
+        const log = await Database.getReviewLog();
+        const reviewedToday = log.filter(r =>
+            r.timestamp >= today && ['review', 'learned'].includes(r.state)).length;
+
+        const before = this.snapshotDue();
+        const moved = this.scheduler.capReviews(this.getScheduledStates(), reviewedToday);
+        if (moved > 0) await this.saveRescheduled(before);
+        return moved;
+    }
+
+    /**
+     * Prepare for a planned break: stretch intervals that fall inside it, or
+     * bring reviews forward when stretching would be too much
+     */
+    async planVacation(start, end) {
+        const before = this.snapshotDue();
+        const result = this.scheduler.planBreak(this.getScheduledStates(), start, end);
+        this.vacation = { start, end };
+        await this.saveRescheduled(before);
+        return result;
+    }
+
+    snapshotDue() {
+        return new Map(this.cards.map(c => [c, `${c.receptive.nextReview}|${c.productive.nextReview}`]));
+    }
+
+    /**
+     * Save cards whose due dates changed since the snapshot
+     */
+    async saveRescheduled(snapshot) {
+        let saved = 0;
+        for (const card of this.cards) {
+            if (snapshot.get(card) !== `${card.receptive.nextReview}|${card.productive.nextReview}`) {
+                await Database.saveVocabularyCard(card);
+                saved++;
+            }
+        }
+        return saved;
+    }
+
+    // ============= Multi-word Expressions =============
+
+    /**
+     * Exercise for a card in an expression mode, or null if the card has none
+     */
+    getExercise(card, mode) {
+        let distractors = [];
+        if (mode === Vocabulary.MODES.IDIOM) {
+            // Meanings of other expressions make the closest distractors
+            const others = this.cards.filter(c => c !== card && c.translation);
+            const expressions = others.filter(c => c.type && c.type !== 'word');
+            distractors = (expressions.length >= 3 ? expressions : others).map(c => c.translation);
+        }
+        return Expressions.buildExercise(card, mode, distractors);
+    }
+
+    /**
+     * Check a chosen option against the exercise answer
+     */
+    checkChoice(card, mode, selected) {
+        const exercise = this.getExercise(card, mode);
+        const answer = exercise?.answer || '';
+        const accepted = exercise?.accepted || [answer];
+        return {
+            selected,
+            answer,
+            correct: accepted.some(a => String(selected).trim().toLowerCase() === a.toLowerCase())
+        };
+    }
+
+    // ============= Confusable Words =============
+
+    /**
+     * Word typed instead of the card's word when it is another card in the deck
+     * or a known confusable partner, else null (misspellings and inflections are not confusions)
+     * @returns {{word: string, confusedWith: string, known: boolean}|null}
+     */
+    detectConfusion(card, input) {
+        const typed = String(input || '').trim().toLowerCase();
+        if (!typed || this.gradeSpelling(typed, card.word).correct) return null;
+
+        const lemma = this.getLemma(card);
+        const candidates = Lemmatizer.candidates(typed);
+        if (candidates.includes(lemma)) return null; // "went" for "go"
+
+        const group = Vocabulary.CONFUSABLES.find(g => g.includes(lemma));
+        const partner = group?.find(w => w !== lemma && candidates.includes(w));
+        if (partner) {
+            return { word: card.word, confusedWith: partner, known: true };
+        }
+
+        const other = this.findCard(typed);
+        if (other && other !== card && this.getLemma(other) !== lemma) {
+            return { word: card.word, confusedWith: other.word, known: false };
+        }
+        return null;
+    }
+
+    /**
+     * Record a confusion together with sentences of both words for contrastive drills
+     */
+    async trackConfusion(confusion) {
+        if (!ErrorAnalysis.patterns) await ErrorAnalysis.init();
+
+        const { word, confusedWith } = confusion;
+        const stored = ErrorAnalysis.findConfusedPair(word, confusedWith)?.examples || {};
+        const examples = {};
+        for (const w of [word, confusedWith]) {
+            examples[w] = await this.getConfusionExamples(w, stored[w]);
+        }
+
+        await ErrorAnalysis.trackVocabConfusion(word, confusedWith, examples);
+    }
+
+    /**
+     * Sentences showing a word and the form it takes there: the card's contexts and
+     * examples, or dictionary examples for a confusable outside the deck (fetched once)
+     * @returns {Array} [{ sentence, form }]
+     */
+    async getConfusionExamples(word, stored = []) {
+        let card = this.findCard(word);
+        let contexts = card ? this.getContexts(card) : [];
+
+        if (!card) {
+            if (stored.length > 0) return stored;
+            try {
+                const info = await AI.getWordInfo(word);
+                contexts = (info?.examples || []).map(sentence => ({ sentence }));
+            } catch (e) {
+                console.warn('Could not load examples for', word, e);
+            }
+            card = { word, lemma: Lemmatizer.lemmatize(word) };
+        }
+
+        return contexts
+            .map(context => ({ sentence: context.sentence, form: this.findFormInSentence(card, context) }))
+            .filter(example => example.form)
+            .slice(0, Vocabulary.MAX_CONFUSION_EXAMPLES);
+    }
+
+    // ============= Sentence Contexts =============
+
+    /**
+     * Attach a mined sentence to a card (duplicates are ignored)
+     * @returns {boolean} Whether the context was new
+     */
+    async addContext(card, context) {
+        card.contexts = card.contexts || [];
+        const key = context.sentence.trim().toLowerCase();
+        if (card.contexts.some(c => c.sentence.trim().toLowerCase() === key)) {
+            return false;
+        }
+
+        card.contexts.push(context);
+        card.contexts = card.contexts.slice(-Vocabulary.MAX_CONTEXTS);
+        await Database.saveVocabularyCard(card);
+        return true;
+    }
+
+    /**
+     * Sentences a card is practised in: mined contexts, else dictionary examples
+     */
+    getContexts(card) {
+        if (card.remediation?.example) {
+            return [{ sentence: card.remediation.example }];
+        }
+        if (card.contexts?.length) return card.contexts;
+        return card.examples.map(sentence => ({ sentence }));
+    }
+
+    /**
+     * Current cloze for a card: the sentence with the word blanked out, in the
+     * form it has there ("went" for a card "go")
+     * @returns {{sentence: string, blanked: string, answer: string, context: Object|null}}
+     */
+    getCloze(card) {
+        const contexts = this.getContexts(card);
+        if (contexts.length === 0) {
+            const sentence = `Use the word "${card.word}" in a sentence.`;
+            return { sentence, blanked: sentence, answer: card.word, context: null };
+        }
+
+        const context = contexts[(card.contextIndex || 0) % contexts.length];
+        const answer = this.findFormInSentence(card, context) || card.word;
+        const blanked = context.sentence.replace(
+            this.wordPattern(answer, 'gi'),
+            (match, before) => before + '_'.repeat(answer.length)
+        );
+
+        return { sentence: context.sentence, blanked, answer, context };
+    }
+
+    /**
+     * The card's word as it is written in a context sentence, or null
+     */
+    findFormInSentence(card, context) {
+        const { sentence, form, wordOffset } = context;
+        if (form && sentence.substr(wordOffset, form.length).toLowerCase() === form.toLowerCase()) {
+            return sentence.substr(wordOffset, form.length);
+        }
+
+        const exact = this.wordPattern(card.word, 'i').exec(sentence);
+        if (exact) return exact[2];
+
+        const lemma = this.getLemma(card);
+        const tokens = sentence.match(/[A-Za-z]+(?:'[A-Za-z]+)?/g) || [];
+        return tokens.find(t => Lemmatizer.candidates(t.toLowerCase()).includes(lemma)) || null;
+    }
+
+    /**
+     * Whole-word pattern for a word or phrase; group 1 is the preceding character
+     */
+    wordPattern(word, flags) {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^A-Za-z])(${escaped})(?![A-Za-z])`, flags);
+    }
+
+    /**
+     * Answer a typed review is graded against: the cloze form in sentence mode
+     */
+    getExpectedAnswer(card, mode) {
+        return mode === Vocabulary.MODES.SENTENCE ? this.getCloze(card).answer : card.word;
+    }
+
+    // ============= Leech Remediation =============
+
+    /**
+     * Tag a leech and queue it for remediation; a mode that becomes a leech while the
+     * other is in remediation joins it and is released with it
+     */
+    startRemediation(card, modeKey) {
+        card.tags = card.tags || [];
+        if (!card.tags.includes(Vocabulary.LEECH_TAG)) {
+            card.tags.push(Vocabulary.LEECH_TAG);
+        }
+        if (card.remediation) {
+            if (!card.remediation.modes.includes(modeKey)) card.remediation.modes.push(modeKey);
+            return;
+        }
+        card.remediation = {
+            modes: [modeKey],
+            step: 0,
+            startedAt: Date.now(),
+            example: null,
+            mnemonic: null
+        };
+    }
+
+    /**
+     * Cards waiting for remediation
+     */
+    getLeeches() {
+        return this.cards.filter(card => card.remediation);
+    }
+
+    /**
+     * Current remediation mode for a card (definition, sentence or spelling)
+     */
+    getRemediationMode(card) {
+        return Vocabulary.REMEDIATION_STEPS[card.remediation?.step || 0];
+    }
+
+    /**
+     * Fetch a new example sentence and mnemonic so remediation is not a repeat of what failed
+     */
+    async prepareRemediation(card) {
+        if (card.remediation.example || card.remediation.mnemonic) return;
+
+        try {
+            const info = await AI.getWordInfo(card.word, { mnemonic: true }) || await AI.getWordInfo(card.word);
+            const example = info?.examples?.find(e =>
+                e.toLowerCase().includes(card.word.toLowerCase()) && !card.examples.includes(e));
+
+            if (example) {
+                card.remediation.example = example;
+                // The sentence step of remediation practises with this example
+                card.examples.unshift(example);
+            }
+            card.remediation.mnemonic = info?.mnemonic || null;
+            if (!card.definition && info?.definition) {
+                card.definition = info.definition;
+            }
+        } catch (e) {
+            console.warn(`Remediation help for "${card.word}" failed:`, e);
+        }
+
+        await Database.saveVocabularyCard(card);
+    }
+
+    /**
+     * Start a remediation session over suspended leeches
+     */
+    async startRemediationSession(limit = 10) {
+        const cards = this.getLeeches().slice(0, limit);
+        for (const card of cards) {
+            await this.prepareRemediation(card);
+        }
+
+        this.currentSession = {
+            mode: null,
+            remediation: true,
+            cards,
+            currentIndex: 0,
+            results: [],
+            startTime: Date.now(),
+            cardStartTime: Date.now()
+        };
+
+        return this.currentSession;
+    }
+
+    /**
+     * Process a remediation answer; a correct answer advances the card one step,
+     * and after the last step it is unsuspended and relearned from the first learning step
+     */
+    async processRemediationAnswer(quality, userInput = null) {
+        const card = this.getCurrentCard();
+        if (!card?.remediation) return null;
+
+        const stepMode = this.getRemediationMode(card);
+        let correct = quality > SM2.AGAIN;
+        if (userInput !== null && stepMode !== Vocabulary.MODES.DEFINITION) {
+            correct = this.checkSpelling(userInput, this.getExpectedAnswer(card, stepMode));
+        }
+
+        let released = false;
+        if (correct) {
+            card.remediation.step++;
+            if (card.remediation.step >= Vocabulary.REMEDIATION_STEPS.length) {
+                for (const modeKey of card.remediation.modes) {
+                    const state = card[modeKey];
+                    state.suspended = false;
+                    state.status = 'learning';
+                    state.learningStep = 0;
+                    state.nextReview = Date.now();
+                }
+                if (card.remediation.mnemonic) {
+                    card.mnemonic = card.remediation.mnemonic;
+                }
+                card.tags = card.tags.filter(tag => tag !== Vocabulary.LEECH_TAG);
+                card.remediation = null;
+                released = true;
+            }
+        }
+
+        await Database.saveVocabularyCard(card);
+
+        this.currentSession.results.push({
+            word: card.word,
+            quality: correct ? SM2.GOOD : SM2.AGAIN,
+            mode: stepMode,
+            released,
+            timestamp: Date.now()
+        });
+
+        this.currentSession.currentIndex++;
+        this.currentSession.cardStartTime = Date.now();
 
         return {
+            correct,
+            released,
             finished: this.currentSession.currentIndex >= this.currentSession.cards.length,
             progress: this.currentSession.currentIndex / this.currentSession.cards.length,
             nextCard: this.getCurrentCard()
@@ -447,13 +1524,18 @@ class Vocabulary {
     }
 
     /**
-     * Check spelling with fuzzy matching
+     * Check spelling; accepts regional variants and ignores punctuation, hyphens and articles
      */
     checkSpelling(input, correct) {
-        const normalizedInput = input.toLowerCase().trim();
-        const normalizedCorrect = correct.toLowerCase().trim();
+        return this.gradeSpelling(input, correct).correct;
+    }
 
-        return normalizedInput === normalizedCorrect;
+    /**
+     * Grade spelling with partial credit for near misses
+     * @returns {Object} score (0-1), suggested quality, letter-level errors and misspelling patterns
+     */
+    gradeSpelling(input, correct) {
+        return Spelling.grade(input, correct);
     }
 
     /**
@@ -465,6 +1547,7 @@ class Vocabulary {
 
         const correct = results.filter(r => r.quality >= 2).length;
         const total = results.length;
+        const timed = results.filter(r => r.responseTime > 0 && r.responseTime <= Vocabulary.MAX_LATENCY);
 
         return {
             mode: this.currentSession.mode,
@@ -473,16 +1556,19 @@ class Vocabulary {
             accuracy: total > 0 ? correct / total : 0,
             duration,
             averageTime: total > 0 ? duration / total : 0,
+            averageResponseTime: timed.length > 0
+                ? Math.round(timed.reduce((sum, r) => sum + r.responseTime, 0) / timed.length)
+                : null,
             reviewed: results.map(r => r.word)
         };
     }
 
     /**
-     * Get vocabulary statistics
+     * Get vocabulary statistics for all cards or a subset (a deck)
      */
-    getStats() {
+    getStats(cards = this.cards) {
         const stats = {
-            total: this.cards.length,
+            total: cards.length,
             receptive: {
                 new: 0,
                 learning: 0,
@@ -502,7 +1588,7 @@ class Vocabulary {
         let spellingSum = 0;
         let spellingCount = 0;
 
-        for (const card of this.cards) {
+        for (const card of cards) {
             stats.receptive[card.receptive.status]++;
             stats.productive[card.productive.status]++;
 
@@ -551,18 +1637,22 @@ class Vocabulary {
     }
 
     /**
-     * Get due count for today
+     * Get due count for today, for all cards or a subset (a deck)
      */
-    getDueCounts() {
+    getDueCounts(cards = this.cards) {
         const now = Date.now();
         const endOfDay = new Date().setHours(23, 59, 59, 999);
+        // Unstudied cards count against the new-card budget, not as reviews
+        const studied = cards.filter(c => !this.isNewCard(c));
+        const newCards = cards.length - studied.length;
 
         return {
-            receptive: this.cards.filter(c => c.receptive.nextReview <= endOfDay).length,
-            productive: this.cards.filter(c => c.productive.nextReview <= endOfDay).length,
+            receptive: studied.filter(c => c.receptive.nextReview <= endOfDay).length,
+            productive: studied.filter(c => c.productive.nextReview <= endOfDay).length,
+            newCards: Math.min(newCards, this.getNewCardBudget()),
             overdue: {
-                receptive: this.cards.filter(c => c.receptive.nextReview < now).length,
-                productive: this.cards.filter(c => c.productive.nextReview < now).length
+                receptive: studied.filter(c => c.receptive.nextReview < now).length,
+                productive: studied.filter(c => c.productive.nextReview < now).length
             }
         };
     }
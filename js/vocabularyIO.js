@@ -0,0 +1,487 @@
+/**
+ * Vocabulary import/export
+ * CSV, TSV and Anki plain-text notes (with #separator / #columns / #tags headers)
+ */
+
+import Database from './database.js';
+import Vocabulary from './vocabulary.js';
+import SM2, { FSRS, migrateCard } from './sm2.js';
+
+class VocabularyIO {
+    // Field -> header names recognised when auto-detecting columns (lowercase)
+    static COLUMN_ALIASES = {
+        word: ['word', 'front', 'english', 'term', 'expression', 'en', 'слово'],
+        translation: ['translation', 'back', 'russian', 'meaning', 'ru', 'перевод'],
+        example: ['example', 'sentence', 'context', 'usage', 'пример'],
+        phonetic: ['phonetic', 'transcription', 'ipa', 'pronunciation', 'транскрипция'],
+        tags: ['tags', 'tag', 'теги'],
+        interval: ['interval', 'ivl', 'интервал'],
+        ease: ['ease', 'factor', 'ease factor', 'easefactor'],
+        due: ['due', 'next review', 'nextreview'],
+        lapses: ['lapses'],
+        status: ['status'],
+        stability: ['stability'],
+        difficulty: ['difficulty']
+    };
+
+    // Column order when the file has no header, and for export
+    static DEFAULT_COLUMNS = ['word', 'translation', 'example', 'phonetic', 'tags'];
+    // Ease is SM-2 only; FSRS cards export stability and difficulty instead
+    static SCHEDULING_COLUMNS = ['interval', 'ease', 'due', 'lapses', 'status', 'stability', 'difficulty'];
+
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ============= Parsing =============
+
+    /**
+     * Parse text into rows, reading Anki file headers (#separator:, #html:, #columns:, #tags column:)
+     * @returns {Object} { rows, delimiter, html, header, tagsColumn }
+     */
+    parse(text, delimiter = null) {
+        const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+        const meta = { delimiter, html: false, header: null, tagsColumn: null };
+
+        // Anki puts "#key:value" lines before the notes
+        let start = 0;
+        while (start < lines.length && lines[start].startsWith('#')) {
+            const [key, ...rest] = lines[start].slice(1).split(':');
+            const value = rest.join(':').trim();
+            switch (key.trim().toLowerCase()) {
+                case 'separator':
+                    meta.delimiter = meta.delimiter || this.parseSeparator(value);
+                    break;
+                case 'html':
+                    meta.html = value === 'true';
+                    break;
+                case 'columns':
+                    meta.header = value;
+                    break;
+                case 'tags column':
+                    meta.tagsColumn = parseInt(value) - 1;
+                    break;
+            }
+            start++;
+        }
+
+        const body = lines.slice(start).join('\n');
+        meta.delimiter = meta.delimiter || this.detectDelimiter(meta.header || body.split('\n')[0] || '');
+
+        const rows = this.parseDelimited(body, meta.delimiter)
+            .filter(row => row.some(cell => cell.trim() !== ''));
+
+        const header = meta.header !== null
+            ? this.parseDelimited(meta.header, meta.delimiter)[0] || []
+            : null;
+
+        return { ...meta, header, rows };
+    }
+
+    /**
+     * Anki separator names: tab, comma, semicolon, pipe, space, or a literal character
+     */
+    parseSeparator(value) {
+        const names = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+        return names[value.toLowerCase()] || value || null;
+    }
+
+    /**
+     * Guess delimiter from the first line
+     */
+    detectDelimiter(line) {
+        const candidates = ['\t', ';', ','];
+        const counts = candidates.map(d => line.split(d).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : '\t';
+    }
+
+    /**
+     * Split delimited text into rows of cells, honouring double-quoted fields
+     */
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else if (ch !== '\r') {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Strip Anki HTML, sound tags and entities from a field
+     */
+    cleanField(value, html) {
+        let text = String(value || '');
+        text = text.replace(/\[sound:[^\]]*\]/g, '');
+        if (html) {
+            text = text
+                .replace(/<br\s*\/?>/gi, ' ')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'")
+                .replace(/&amp;/g, '&');
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // ============= Column Mapping =============
+
+    /**
+     * Field for a header cell, or null if not recognised
+     */
+    matchColumn(name) {
+        const normalized = String(name || '').trim().toLowerCase();
+        for (const [field, aliases] of Object.entries(VocabularyIO.COLUMN_ALIASES)) {
+            if (aliases.includes(normalized)) return field;
+        }
+        return null;
+    }
+
+    /**
+     * Build { field: columnIndex } from a header row, or positionally when there is none
+     */
+    detectMapping(parsed) {
+        const mapping = {};
+        const header = parsed.header || (this.isHeaderRow(parsed.rows[0]) ? parsed.rows[0] : null);
+
+        if (header) {
+            header.forEach((name, index) => {
+                const field = this.matchColumn(name);
+                if (field && mapping[field] === undefined) mapping[field] = index;
+            });
+        } else {
+            // A reduce, not Math.max(...rows): spreading a large export overflows the call stack
+            const width = parsed.rows.reduce((max, r) => Math.max(max, r.length), 0);
+            VocabularyIO.DEFAULT_COLUMNS.slice(0, width).forEach((field, index) => {
+                mapping[field] = index;
+            });
+        }
+
+        // Anki tells where tags are; never treat that column as something else
+        if (parsed.tagsColumn !== null && parsed.tagsColumn >= 0) {
+            for (const [field, index] of Object.entries(mapping)) {
+                if (index === parsed.tagsColumn) delete mapping[field];
+            }
+            mapping.tags = parsed.tagsColumn;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * A first row is a header if it names a word column and at least one other field
+     */
+    isHeaderRow(row) {
+        if (!row) return false;
+        const fields = row.map(cell => this.matchColumn(cell)).filter(Boolean);
+        return fields.includes('word') && fields.length >= 2;
+    }
+
+    /**
+     * Turn rows into word entries using the mapping
+     */
+    mapRows(parsed, mapping) {
+        const hasHeaderRow = !parsed.header && this.isHeaderRow(parsed.rows[0]);
+        const rows = hasHeaderRow ? parsed.rows.slice(1) : parsed.rows;
+
+        return rows.map((row, index) => {
+            const get = field => mapping[field] === undefined
+                ? ''
+                : this.cleanField(row[mapping[field]], parsed.html);
+
+            return {
+                line: index + 1,
+                word: get('word'),
+                translation: get('translation'),
+                example: get('example'),
+                phonetic: get('phonetic'),
+                tags: get('tags').split(/[\s,;]+/).filter(Boolean),
+                interval: get('interval'),
+                ease: get('ease'),
+                due: get('due'),
+                lapses: get('lapses'),
+                status: get('status'),
+                stability: get('stability'),
+                difficulty: get('difficulty')
+            };
+        });
+    }
+
+    // ============= Import =============
+
+    /**
+     * Parse and check a file without saving anything
+     * @returns {Object} { entries, mapping, delimiter, duplicates, invalid, hasScheduling }
+     */
+    preview(text, options = {}) {
+        const parsed = this.parse(text, options.delimiter || null);
+        const mapping = options.mapping || this.detectMapping(parsed);
+        const entries = this.mapRows(parsed, mapping);
+
+        const existing = new Set(Vocabulary.cards.map(c => c.word.toLowerCase()));
+        const seen = new Set();
+        const duplicates = [];
+        const invalid = [];
+
+        for (const entry of entries) {
+            const key = entry.word.toLowerCase();
+            if (!entry.word) {
+                invalid.push(entry.line);
+                entry.duplicate = false;
+                continue;
+            }
+            entry.duplicate = existing.has(key) || seen.has(key);
+            if (entry.duplicate) duplicates.push(entry.word);
+            seen.add(key);
+        }
+
+        return {
+            entries,
+            mapping,
+            delimiter: parsed.delimiter,
+            duplicates,
+            invalid,
+            hasScheduling: mapping.interval !== undefined || mapping.ease !== undefined || mapping.stability !== undefined
+        };
+    }
+
+    /**
+     * Import words into the vocabulary
+     * @param {Object} options - mapping, delimiter, level, carryScheduling (keep interval/ease or stability/difficulty),
+     *                           duplicates: 'skip' or 'merge' (fill empty fields, add tags)
+     */
+    async importCards(text, options = {}) {
+        const preview = this.preview(text, options);
+        const { carryScheduling = false, duplicates = 'skip', level = 'B1' } = options;
+
+        if (preview.mapping.word === undefined) {
+            return { success: false, message: 'No word column found' };
+        }
+
+        let added = 0;
+        let merged = 0;
+        let skipped = 0;
+
+        for (const entry of preview.entries) {
+            if (!entry.word) continue;
+
+            const existing = Vocabulary.cards.find(c => c.word.toLowerCase() === entry.word.toLowerCase());
+            if (existing) {
+                if (duplicates === 'merge' && this.mergeEntry(existing, entry)) {
+                    await Database.saveVocabularyCard(existing);
+                    merged++;
+                } else {
+                    skipped++;
+                }
+                continue;
+            }
+
+            const card = Vocabulary.createCard({
+                word: entry.word,
+                translation_ru: entry.translation,
+                phonetic: entry.phonetic,
+                examples: entry.example ? [entry.example] : [],
+                level
+            });
+            if (entry.tags.length > 0) card.tags = entry.tags;
+
+            if (carryScheduling) {
+                card.receptive = this.applyScheduling(card.receptive, entry);
+            }
+
+            Vocabulary.cards.push(card);
+            await Database.saveVocabularyCard(card);
+            added++;
+        }
+
+        return {
+            success: true,
+            added,
+            merged,
+            skipped,
+            invalid: preview.invalid.length,
+            message: `Импортировано ${added} слов` +
+                (merged > 0 ? `, обновлено ${merged}` : '') +
+                (skipped > 0 ? `, пропущено ${skipped} (уже есть)` : '')
+        };
+    }
+
+    /**
+     * Fill empty fields of an existing card; returns true if anything changed
+     */
+    mergeEntry(card, entry) {
+        let changed = false;
+
+        if (!card.translation && entry.translation) {
+            card.translation = entry.translation;
+            changed = true;
+        }
+        if (!card.transcription && entry.phonetic) {
+            card.transcription = entry.phonetic;
+            changed = true;
+        }
+        if (entry.example && !card.examples.includes(entry.example)) {
+            card.examples = [...card.examples, entry.example];
+            changed = true;
+        }
+        const tags = [...new Set([...(card.tags || []), ...entry.tags])];
+        if (tags.length !== (card.tags || []).length) {
+            card.tags = tags;
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Carry interval (days) and ease, or FSRS stability and difficulty, over into a
+     * receptive scheduling state
+     */
+    applyScheduling(state, entry, now = Date.now()) {
+        const stability = parseFloat(entry.stability);
+        const interval = parseFloat(entry.interval) || (stability > 0 ? Math.max(1, stability) : 0);
+        if (!(interval > 0)) return state;
+
+        // Our own FSRS export: keep its memory state instead of estimating it from ease
+        const base = stability > 0
+            ? { ...FSRS.createCard(state.wordId), stability, difficulty: parseFloat(entry.difficulty) || 5 }
+            : SM2.createCard(state.wordId);
+
+        const card = {
+            ...base,
+            status: 'review',
+            interval: Math.round(interval),
+            repetitions: 1,
+            lapses: parseInt(entry.lapses) || 0,
+            easeFactor: this.parseEase(entry.ease),
+            lastReview: now
+        };
+
+        const due = this.parseDue(entry.due, now);
+        card.nextReview = due ?? now + card.interval * VocabularyIO.DAY_MS;
+        if (due !== null) {
+            card.lastReview = Math.min(now, due - card.interval * VocabularyIO.DAY_MS);
+        }
+
+        return migrateCard(card, Vocabulary.scheduler.name);
+    }
+
+    /**
+     * Ease as a factor: accepts 2.5, 250 (%), or 2500 (Anki's internal permille)
+     */
+    parseEase(value) {
+        let ease = parseFloat(String(value || '').replace('%', ''));
+        if (!(ease > 0)) return SM2.defaultEaseFactor;
+        if (ease >= 100) ease /= ease >= 1000 ? 1000 : 100;
+        return Math.min(SM2.maxEaseFactor, Math.max(SM2.minEaseFactor, ease));
+    }
+
+    /**
+     * Due date (ISO date/time) as a timestamp, or null
+     */
+    parseDue(value, now = Date.now()) {
+        if (!value) return null;
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : Math.max(time, now - 365 * VocabularyIO.DAY_MS);
+    }
+
+    // ============= Export =============
+
+    /**
+     * Export cards as 'csv', 'tsv' or 'anki' (tab-separated with Anki headers)
+     * @returns {Object} { content, filename, mime }
+     */
+    exportCards(cards = Vocabulary.cards, format = 'csv') {
+        const delimiter = format === 'csv' ? ',' : '\t';
+        const columns = [...VocabularyIO.DEFAULT_COLUMNS, ...VocabularyIO.SCHEDULING_COLUMNS];
+
+        const rows = cards.map(card => {
+            const state = card.receptive || {};
+            const isFSRS = state.scheduler === FSRS.name;
+            const round = value => Math.round(value * 100) / 100;
+            const values = {
+                word: card.word,
+                translation: card.translation,
+                example: card.examples?.[0] || '',
+                phonetic: card.transcription,
+                tags: (card.tags || []).join(' '),
+                interval: state.interval || 0,
+                ease: !isFSRS && state.easeFactor ? round(state.easeFactor) : '',
+                due: state.nextReview && state.status !== 'new' ? new Date(state.nextReview).toISOString() : '',
+                lapses: state.lapses || 0,
+                status: state.status || 'new',
+                stability: isFSRS && state.stability ? round(state.stability) : '',
+                difficulty: isFSRS && state.difficulty ? round(state.difficulty) : ''
+            };
+            return columns.map(c => this.formatCell(values[c], delimiter)).join(delimiter);
+        });
+
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'anki') {
+            const headers = [
+                '#separator:tab',
+                '#html:false',
+                `#columns:${columns.join('\t')}`,
+                `#tags column:${columns.indexOf('tags') + 1}`
+            ];
+            return {
+                content: [...headers, ...rows].join('\n'),
+                filename: `englishmaster-vocabulary-${date}.txt`,
+                mime: 'text/plain'
+            };
+        }
+
+        return {
+            content: [columns.join(delimiter), ...rows].join('\n'),
+            filename: `englishmaster-vocabulary-${date}.${format}`,
+            mime: format === 'csv' ? 'text/csv' : 'text/tab-separated-values'
+        };
+    }
+
+    /**
+     * Quote a cell if it contains the delimiter, quotes or line breaks
+     */
+    formatCell(value, delimiter) {
+        const text = String(value ?? '');
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+export default new VocabularyIO();
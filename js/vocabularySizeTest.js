@@ -0,0 +1,237 @@
+/**
+ * Vocabulary size test (Yes/No format)
+ * Samples words from 1k frequency bands mixed with pseudo-words; "yes" answers to
+ * pseudo-words measure guessing and correct the hit rate in every band
+ * (Meara & Buck 1987; Nation & Beglar 2007 for band sampling)
+ */
+
+import Database from './database.js';
+import Manifest from './manifest.js';
+import Vocabulary from './vocabulary.js';
+import LevelCalculator from './levelCalculator.js';
+
+class VocabularySizeTest {
+    constructor() {
+        this.form = null;
+        this.session = null;
+    }
+
+    static CONFIG = {
+        wordsPerBand: 10,
+        pseudowords: 20,
+        maxFalseAlarmRate: 0.25, // Above this the estimate is flagged as unreliable
+        masteryThreshold: 0.9,   // Corrected hit rate for a band to count as known
+        z95: 1.96
+    };
+
+    /**
+     * Load the first test form listed in the manifest
+     */
+    async loadForm() {
+        if (this.form) return this.form;
+
+        const [entry] = await Manifest.getItems('vocabulary_size', 'forms');
+        if (entry) {
+            this.form = await Manifest.fetchItem(entry);
+        }
+        return this.form;
+    }
+
+    /**
+     * Start a test: random words from every band plus pseudo-words, shuffled
+     */
+    async start() {
+        const form = await this.loadForm();
+        if (!form) {
+            return { success: false, message: 'Vocabulary size test not found' };
+        }
+
+        const { wordsPerBand, pseudowords } = VocabularySizeTest.CONFIG;
+        const items = [
+            ...form.bands.flatMap(b =>
+                this.sample(b.words, wordsPerBand).map(word => ({ word, band: b.band, real: true }))
+            ),
+            ...this.sample(form.pseudowords, pseudowords).map(word => ({ word, band: null, real: false }))
+        ];
+
+        this.session = {
+            formId: form.id,
+            items: this.sample(items, items.length),
+            currentIndex: 0,
+            answers: [],
+            startTime: Date.now()
+        };
+
+        return { success: true, total: items.length };
+    }
+
+    /**
+     * Random sample without replacement
+     */
+    sample(list, count) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(0, count);
+    }
+
+    getCurrentItem() {
+        return this.session?.items[this.session.currentIndex] || null;
+    }
+
+    /**
+     * Record "I know this word" (true) or "I don't" (false)
+     */
+    answer(known) {
+        const item = this.getCurrentItem();
+        if (!item) return null;
+
+        this.session.answers.push({ ...item, known: Boolean(known) });
+        this.session.currentIndex++;
+
+        return {
+            finished: this.session.currentIndex >= this.session.items.length,
+            progress: this.session.currentIndex / this.session.items.length
+        };
+    }
+
+    /**
+     * Estimate receptive vocabulary size from answers
+     * Per band, the hit rate h is corrected for the false-alarm rate f: (h - f) / (1 - f).
+     * The 95% interval combines the binomial error of every band.
+     */
+    calculateResult(answers, bandSize = this.form?.band_size || 1000) {
+        const pseudo = answers.filter(a => !a.real);
+        const falseAlarmRate = pseudo.length > 0
+            ? pseudo.filter(a => a.known).length / pseudo.length
+            : 0;
+
+        const bandNumbers = [...new Set(answers.filter(a => a.real).map(a => a.band))].sort((a, b) => a - b);
+        let variance = 0;
+
+        const bands = bandNumbers.map(band => {
+            const items = answers.filter(a => a.real && a.band === band);
+            const hitRate = items.filter(a => a.known).length / items.length;
+            const corrected = falseAlarmRate < 1
+                ? Math.max(0, Math.min(1, (hitRate - falseAlarmRate) / (1 - falseAlarmRate)))
+                : 0;
+
+            variance += hitRate * (1 - hitRate) / items.length / Math.max(0.01, (1 - falseAlarmRate) ** 2);
+
+            return { band, words: items.length, hitRate, known: corrected };
+        });
+
+        const estimate = bands.reduce((sum, b) => sum + b.known * bandSize, 0);
+        const margin = VocabularySizeTest.CONFIG.z95 * Math.sqrt(variance) * bandSize;
+        const round = n => Math.round(n / 50) * 50;
+        const max = bandNumbers.length * bandSize;
+
+        return {
+            estimate: round(estimate),
+            low: round(Math.max(0, estimate - margin)),
+            high: round(Math.min(max, estimate + margin)),
+            falseAlarmRate,
+            reliable: falseAlarmRate <= VocabularySizeTest.CONFIG.maxFalseAlarmRate,
+            bands,
+            masteredRank: this.getMasteredRank(bands, bandSize)
+        };
+    }
+
+    /**
+     * Highest frequency rank where this band and every band below it are known
+     */
+    getMasteredRank(bands, bandSize) {
+        let rank = 0;
+        for (const b of bands) {
+            if (b.known < VocabularySizeTest.CONFIG.masteryThreshold) break;
+            rank = b.band * bandSize;
+        }
+        return rank;
+    }
+
+    /**
+     * Finish the test: save the result and update the vocabulary level in the profile
+     */
+    async finish() {
+        if (!this.session) return null;
+
+        const result = {
+            ...this.calculateResult(this.session.answers),
+            formId: this.session.formId,
+            duration: Date.now() - this.session.startTime,
+            testedAt: Date.now()
+        };
+
+        await Database.saveVocabularySizeResult(result);
+
+        const profile = await Database.getProfile();
+        const vocab = profile.levels.vocabulary;
+        vocab.sizeTest = {
+            estimate: result.estimate,
+            low: result.low,
+            high: result.high,
+            reliable: result.reliable,
+            testedAt: result.testedAt
+        };
+
+        // A guessing learner's estimate is saved but does not change the level
+        if (result.reliable) {
+            const stats = Vocabulary.getStats();
+            const productive = stats.productive.review + stats.productive.learned;
+            // The latest estimate replaces the old one, so a lucky or careless run can be retaken
+            vocab.receptive = result.estimate;
+            vocab.level = LevelCalculator.calculateVocabularyLevel(
+                vocab.receptive,
+                productive > 0 ? productive : null,
+                stats.avgSpellingAccuracy > 0 ? stats.avgSpellingAccuracy : null,
+                vocab.sizeTest
+            );
+            result.level = vocab.level;
+        }
+
+        await Database.saveProfile(profile);
+        this.session = null;
+
+        return result;
+    }
+
+    /**
+     * Frequency rank of a card: its band in the test form if listed, else its own frequency
+     * (null for cards from packs without frequency data)
+     */
+    getRank(card) {
+        const band = this.form?.bands.find(b => b.words.includes(card.word.toLowerCase()));
+        return band ? band.band * this.form.band_size : card.frequency || null;
+    }
+
+    /**
+     * Number of new cards the result would mark as known
+     */
+    countKnownCandidates(result) {
+        if (!result.reliable || result.masteredRank === 0) return 0;
+        return Vocabulary.cards.filter(c => {
+            const rank = this.getRank(c);
+            return c.receptive.status === 'new' && rank !== null && rank <= result.masteredRank;
+        }).length;
+    }
+
+    /**
+     * Mark new cards in mastered bands as known so they skip the review queue
+     */
+    async markKnownWords(result) {
+        if (!result.reliable || result.masteredRank === 0) return 0;
+        return Vocabulary.markKnownByFrequency(result.masteredRank, card => this.getRank(card));
+    }
+
+    /**
+     * Most recent result
+     */
+    async getLastResult() {
+        const results = await Database.getVocabularySizeResults();
+        return results[results.length - 1] || null;
+    }
+}
+
+export default new VocabularySizeTest();
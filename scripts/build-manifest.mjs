@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Content manifest generator
+ * Scans data/ and writes data/manifest.json: every content item by module and level
+ * with the metadata the app needs to list it without fetching the item itself.
+ *
+ * Usage: node scripts/build-manifest.mjs [--check]
+ * --check only compares against the existing manifest and exits with code 1 if it is stale.
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync, writeFileSync } from 'node:fs';
+import { join, basename, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DATA = join(ROOT, 'data');
+export const MANIFEST_PATH = join(DATA, 'manifest.json');
+
+const LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
+
+// ============= File Helpers =============
+
+function listJson(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => join(dir, name));
+}
+
+function listLevelDirs(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter(name => LEVELS.includes(name) && statSync(join(dir, name)).isDirectory())
+        .sort()
+        .map(name => ({ level: name, dir: join(dir, name) }));
+}
+
+/**
+ * Read a JSON file; broken files are skipped (validate-content.mjs reports them)
+ */
+function readJson(file, skipped) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+        skipped.push(`${relative(ROOT, file)}: invalid JSON`);
+        return null;
+    }
+}
+
+/**
+ * Path as the app fetches it (relative to index.html)
+ */
+function appPath(file) {
+    return relative(ROOT, file).split('\\').join('/');
+}
+
+function countWords(text) {
+    return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// ============= Module Entries =============
+
+function grammarEntry(file, data, skipped) {
+    if (!data.phases) {
+        skipped.push(`${appPath(file)}: legacy layout without "phases"`);
+        return null;
+    }
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        prerequisites: data.prerequisites || [],
+        estimated_minutes: data.estimatedMinutes || null
+    };
+}
+
+function readingEntry(file, data) {
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        topic: data.topic || null,
+        word_count: data.word_count || countWords(data.text),
+        grammar_focus: data.grammar_focus || [],
+        questions: (data.questions || []).length
+    };
+}
+
+function immersionEntry(file, data) {
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        media_type: data.media_type,
+        duration_seconds: data.duration_seconds,
+        word_count: countWords(data.transcript),
+        questions: (data.questions || []).length
+    };
+}
+
+function listeningEntry(file, data) {
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        topic: data.topic || null,
+        duration: data.duration,
+        word_count: countWords((data.segments || []).map(s => s.text).join(' ') || data.transcript),
+        questions: (data.questions || []).length
+    };
+}
+
+function vocabularyEntry(file, data) {
+    const words = data.categories
+        ? data.categories.flatMap(c => c.words || [])
+        : (data.words || []);
+    return {
+        id: basename(file, '.json'),
+        path: appPath(file),
+        format: data.categories ? 'categories' : 'flat',
+        word_count: words.length,
+        categories: (data.categories || []).map(c => c.name)
+    };
+}
+
+function placementEntry(file, data) {
+    return {
+        id: basename(file, '.json'),
+        path: appPath(file),
+        total_questions: (data.sections || []).reduce((sum, s) => sum + (s.questions || []).length, 0),
+        sections: (data.sections || []).map(s => s.type)
+    };
+}
+
+function vocabularySizeEntry(file, data) {
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        bands: (data.bands || []).length,
+        band_size: data.band_size,
+        pseudowords: (data.pseudowords || []).length
+    };
+}
+
+function ieltsEntry(file, data) {
+    return {
+        id: data.id,
+        path: appPath(file),
+        title: data.title,
+        title_ru: data.title_ru,
+        variant: data.variant || null,
+        duration_minutes: data.duration_minutes,
+        total_questions: data.total_questions
+    };
+}
+
+// ============= Builder =============
+
+/**
+ * Build the manifest object from the files currently in data/
+ * Returns { manifest, skipped } where skipped lists files left out and why.
+ */
+export function buildManifest() {
+    const skipped = [];
+    const modules = {};
+
+    const leveled = {
+        grammar: grammarEntry,
+        reading: readingEntry,
+        immersion: immersionEntry,
+        listening: listeningEntry
+    };
+
+    for (const [module, toEntry] of Object.entries(leveled)) {
+        modules[module] = {};
+        for (const { level, dir } of listLevelDirs(join(DATA, module))) {
+            modules[module][level] = listJson(dir)
+                .map(file => {
+                    const data = readJson(file, skipped);
+                    return data ? toEntry(file, data, skipped) : null;
+                })
+                .filter(Boolean);
+        }
+    }
+
+    // Vocabulary and placement keep one directory and name the level inside the file
+    for (const [module, toEntry] of [['vocabulary', vocabularyEntry], ['placement', placementEntry]]) {
+        modules[module] = {};
+        for (const file of listJson(join(DATA, module))) {
+            const data = readJson(file, skipped);
+            if (!data) continue;
+            if (!LEVELS.includes(data.level)) {
+                skipped.push(`${appPath(file)}: unknown level "${data.level}"`);
+                continue;
+            }
+            (modules[module][data.level] = modules[module][data.level] || []).push(toEntry(file, data));
+        }
+    }
+
+    // Vocabulary size test forms are not tied to a level
+    modules.vocabulary_size = {
+        forms: listJson(join(DATA, 'vocabulary_size'))
+            .map(file => {
+                const data = readJson(file, skipped);
+                return data ? vocabularySizeEntry(file, data) : null;
+            })
+            .filter(Boolean)
+    };
+
+    modules.ielts = {};
+    for (const section of ['listening', 'reading']) {
+        modules.ielts[section] = listJson(join(DATA, 'ielts', section))
+            .map(file => {
+                const data = readJson(file, skipped);
+                return data ? ieltsEntry(file, data) : null;
+            })
+            .filter(Boolean);
+    }
+
+    return {
+        manifest: { version: 1, levels: LEVELS, modules },
+        skipped
+    };
+}
+
+/**
+ * Serialize the manifest the way it is stored on disk: one item per line
+ */
+export function serializeManifest(manifest) {
+    const list = (items, indent) => items.length
+        ? `[\n${items.map(item => `${indent}  ${JSON.stringify(item)}`).join(',\n')}\n${indent}]`
+        : '[]';
+    const group = (byKey, indent) => `{\n${Object.entries(byKey)
+        .map(([key, items]) => `${indent}  ${JSON.stringify(key)}: ${list(items, `${indent}  `)}`)
+        .join(',\n')}\n${indent}}`;
+
+    const modules = Object.entries(manifest.modules)
+        .map(([module, byKey]) => `    ${JSON.stringify(module)}: ${group(byKey, '    ')}`)
+        .join(',\n');
+
+    return `{\n  "version": ${manifest.version},\n  "levels": ${JSON.stringify(manifest.levels)},\n` +
+        `  "modules": {\n${modules}\n  }\n}\n`;
+}
+
+/**
+ * Whether data/manifest.json matches the files in data/
+ */
+export function isManifestCurrent() {
+    if (!existsSync(MANIFEST_PATH)) return false;
+    return readFileSync(MANIFEST_PATH, 'utf8') === serializeManifest(buildManifest().manifest);
+}
+
+// ============= CLI =============
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const { manifest, skipped } = buildManifest();
+
+    for (const note of skipped) {
+        console.log(`SKIP  ${note}`);
+    }
+
+    if (process.argv.includes('--check')) {
+        if (isManifestCurrent()) {
+            console.log('data/manifest.json is up to date');
+        } else {
+            console.log('data/manifest.json is out of date: run node scripts/build-manifest.mjs');
+            process.exit(1);
+        }
+    } else {
+        writeFileSync(MANIFEST_PATH, serializeManifest(manifest));
+        const total = Object.values(manifest.modules)
+            .flatMap(byLevel => Object.values(byLevel))
+            .reduce((sum, items) => sum + items.length, 0);
+        console.log(`Wrote data/manifest.json with ${total} items`);
+    }
+}
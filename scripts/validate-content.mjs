@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+/**
+ * Content validator for data/ JSON files
+ * Checks every content file against its schema in data/schemas/ plus
+ * cross-file rules (ids vs file names, Grammar.TOPICS vs files, answer keys)
+ * and that data/manifest.json is up to date.
+ *
+ * Usage: node scripts/validate-content.mjs [--quiet]
+ * Exits with code 1 when any error is found; warnings never fail the run.
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { join, relative, basename, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isManifestCurrent, MANIFEST_PATH } from './build-manifest.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DATA = join(ROOT, 'data');
+const SCHEMAS = join(DATA, 'schemas');
+
+const quiet = process.argv.includes('--quiet');
+const report = { errors: [], warnings: [], files: 0 };
+
+// ============= Reporting =============
+
+function error(file, message) {
+    report.errors.push({ file: relative(ROOT, file), message });
+}
+
+function warn(file, message) {
+    report.warnings.push({ file: relative(ROOT, file), message });
+}
+
+// ============= File Helpers =============
+
+/**
+ * List *.json files in a directory (non-recursive), sorted
+ */
+function listJson(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => join(dir, name));
+}
+
+/**
+ * List level subdirectories (A1..C1) of a content directory
+ */
+function listLevelDirs(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter(name => statSync(join(dir, name)).isDirectory())
+        .sort()
+        .map(name => ({ level: name, dir: join(dir, name) }));
+}
+
+/**
+ * Read and parse a JSON file, reporting syntax errors with line and column
+ */
+function readJson(file) {
+    report.files++;
+    const text = readFileSync(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const match = /position (\d+)/.exec(e.message);
+        if (match) {
+            const before = text.slice(0, Number(match[1])).split('\n');
+            error(file, `invalid JSON at line ${before.length}, column ${before[before.length - 1].length + 1}: ${e.message}`);
+        } else {
+            error(file, `invalid JSON: ${e.message}`);
+        }
+        return undefined;
+    }
+}
+
+const schemaCache = {};
+
+function loadSchema(name) {
+    if (!schemaCache[name]) {
+        schemaCache[name] = JSON.parse(readFileSync(join(SCHEMAS, `${name}.schema.json`), 'utf8'));
+    }
+    return schemaCache[name];
+}
+
+// ============= Schema Validation =============
+
+/**
+ * Validate a value against the subset of JSON Schema used in data/schemas
+ * (type, enum, const, required, properties, items, min/max, pattern, anyOf, oneOf, local $ref)
+ * Returns a list of "path: message" strings.
+ */
+function validate(value, schema, root, path = '$') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => node?.[key], root);
+        if (!target) return [`${path}: unresolved $ref ${schema.$ref}`];
+        return validate(value, target, root, path);
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(s => validate(value, s, root, path));
+        if (results.some(r => r.length === 0)) return [];
+        // Report the branch that got furthest (fewest problems)
+        return results.reduce((best, r) => (r.length < best.length ? r : best));
+    }
+
+    if (schema.oneOf) {
+        // Variants are told apart by a "type" const, so errors point at the intended variant
+        const variant = schema.oneOf.find(s => s.properties?.type?.const === value?.type);
+        if (!variant) {
+            const allowed = schema.oneOf.map(s => s.properties?.type?.const).filter(Boolean);
+            return [`${path}.type: must be one of ${allowed.join(', ')} (got ${JSON.stringify(value?.type)})`];
+        }
+        return validate(value, variant, root, path);
+    }
+
+    const problems = [];
+
+    if (schema.const !== undefined && value !== schema.const) {
+        return [`${path}: must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            problems.push(`${path}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${path}: "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${path}: ${value} is below minimum ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${path}: ${value} is above maximum ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problems.push(`${path}: needs at least ${schema.minItems} item(s), has ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => problems.push(...validate(item, schema.items, root, `${path}[${i}]`)));
+        }
+    } else if (value && typeof value === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${path}: missing required field "${key}"`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (key in value) problems.push(...validate(value[key], sub, root, `${path}.${key}`));
+        }
+    }
+
+    return problems;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a parsed file against a named schema and report each problem
+ */
+function checkSchema(file, data, schemaName) {
+    const schema = loadSchema(schemaName);
+    for (const problem of validate(data, schema, schema)) {
+        error(file, problem);
+    }
+}
+
+/**
+ * Walk any object tree and check that integer `correct` indices point into `options`
+ */
+function checkCorrectIndices(file, node, path = '$') {
+    if (Array.isArray(node)) {
+        node.forEach((item, i) => checkCorrectIndices(file, item, `${path}[${i}]`));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node.options) && Number.isInteger(node.correct)) {
+        if (node.correct < 0 || node.correct >= node.options.length) {
+            error(file, `${path}.correct: index ${node.correct} is out of range for ${node.options.length} options`);
+        }
+    }
+    for (const [key, child] of Object.entries(node)) {
+        if (child && typeof child === 'object') checkCorrectIndices(file, child, `${path}.${key}`);
+    }
+}
+
+/**
+ * Check that the file name and directory agree with the id and level inside the file
+ */
+function checkIdentity(file, data, level) {
+    if (data.id !== undefined && data.id !== basename(file, '.json')) {
+        error(file, `id "${data.id}" does not match file name`);
+    }
+    if (level && data.level !== undefined && data.level !== level) {
+        error(file, `level "${data.level}" does not match directory ${level}`);
+    }
+}
+
+// ============= Grammar =============
+
+/**
+ * Read topic ids from Grammar.TOPICS in js/grammar.js without importing the browser module
+ */
+function readGrammarTopics() {
+    const source = readFileSync(join(ROOT, 'js', 'grammar.js'), 'utf8');
+    const start = source.indexOf('static TOPICS');
+    if (start < 0) return {};
+    const end = source.indexOf('};', start);
+    const block = source.slice(start, end);
+
+    const topics = {};
+    let current = null;
+    for (const line of block.split('\n')) {
+        const levelMatch = /^\s*(A1|A2|B1|B2|C1):\s*\[/.exec(line);
+        if (levelMatch) {
+            current = levelMatch[1];
+            topics[current] = [];
+            continue;
+        }
+        const idMatch = /id:\s*'([^']+)'/.exec(line);
+        if (idMatch && current) topics[current].push(idMatch[1]);
+    }
+    return topics;
+}
+
+function validateGrammar() {
+    const topics = readGrammarTopics();
+    const knownIds = new Set(Object.values(topics).flat());
+    const files = {};
+    const prerequisites = {};
+
+    for (const { level, dir } of listLevelDirs(join(DATA, 'grammar'))) {
+        for (const file of listJson(dir)) {
+            const data = readJson(file);
+            if (data === undefined) {
+                files[basename(file, '.json')] = file;
+                continue;
+            }
+
+            if (!data.phases && ['discover', 'understand', 'practice'].some(k => k in data)) {
+                error(file, 'legacy layout: phases are at the top level instead of inside "phases"');
+                continue;
+            }
+
+            files[basename(file, '.json')] = file;
+            checkIdentity(file, data, level);
+            checkSchema(file, data, 'grammar-topic');
+            checkCorrectIndices(file, data);
+
+            for (const [i, ex] of (data.phases?.practice?.exercises || []).entries()) {
+                if (!ex.sentences && !ex.questions) {
+                    warn(file, `$.phases.practice.exercises[${i}]: no "sentences" or "questions"; the practice session will skip it`);
+                }
+            }
+            for (const prereq of data.prerequisites || []) {
+                if (!knownIds.has(prereq)) {
+                    error(file, `unknown prerequisite "${prereq}"`);
+                }
+            }
+            if (data.id) prerequisites[data.id] = data.prerequisites || [];
+            if (data.id && !knownIds.has(data.id)) {
+                warn(file, `topic "${data.id}" is not listed in Grammar.TOPICS and cannot be opened from the app`);
+            }
+        }
+    }
+
+    for (const cycle of findCycles(prerequisites)) {
+        error(files[cycle[0]], `prerequisite cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const grammarJs = join(ROOT, 'js', 'grammar.js');
+    for (const [level, ids] of Object.entries(topics)) {
+        for (const id of ids) {
+            const file = files[id];
+            if (!file) {
+                error(grammarJs, `Grammar.TOPICS.${level} lists "${id}" but data/grammar/${level}/${id}.json does not exist`);
+            } else if (basename(dirname(file)) !== level) {
+                error(grammarJs, `Grammar.TOPICS.${level} lists "${id}" but the file is in ${relative(ROOT, dirname(file))}`);
+            }
+        }
+    }
+}
+
+/**
+ * Cycles in a topic -> prerequisites graph, each reported once, e.g. ['a', 'b', 'a']
+ */
+function findCycles(graph) {
+    const cycles = [];
+    const state = {}; // 1 = on the current path, 2 = done
+    const path = [];
+
+    const visit = (id) => {
+        state[id] = 1;
+        path.push(id);
+        for (const next of graph[id] || []) {
+            if (state[next] === 1) {
+                cycles.push([...path.slice(path.indexOf(next)), next]);
+            } else if (!state[next]) {
+                visit(next);
+            }
+        }
+        path.pop();
+        state[id] = 2;
+    };
+
+    for (const id of Object.keys(graph)) {
+        if (!state[id]) visit(id);
+    }
+    return cycles;
+}
+
+// ============= Reading & Immersion =============
+
+function validateLeveledItems(section, schemaName) {
+    for (const { level, dir } of listLevelDirs(join(DATA, section))) {
+        for (const file of listJson(dir)) {
+            const data = readJson(file);
+            if (data === undefined) continue;
+            checkIdentity(file, data, level);
+            checkSchema(file, data, schemaName);
+            checkCorrectIndices(file, data);
+        }
+    }
+}
+
+// ============= Placement =============
+
+function validatePlacement() {
+    const byLevel = {};
+
+    for (const file of listJson(join(DATA, 'placement'))) {
+        const data = readJson(file);
+        if (data === undefined) continue;
+        (byLevel[data.level] = byLevel[data.level] || []).push(file);
+        checkSchema(file, data, 'placement-bank');
+        checkCorrectIndices(file, data);
+
+        const expected = `${String(data.level).toLowerCase()}_placement`;
+        if (basename(file, '.json') !== expected) {
+            error(file, `level "${data.level}" does not match file name (expected ${expected}.json)`);
+        }
+
+        const questions = (data.sections || []).flatMap(s => s.questions || []);
+        if (Number.isInteger(data.total_questions) && data.total_questions !== questions.length) {
+            error(file, `total_questions is ${data.total_questions} but the sections contain ${questions.length}`);
+        }
+        const seen = new Set();
+        for (const q of questions) {
+            if (seen.has(q.id)) error(file, `duplicate question id ${q.id}`);
+            seen.add(q.id);
+        }
+    }
+
+    for (const [level, files] of Object.entries(byLevel)) {
+        if (files.length > 1) {
+            warn(files[0], `${files.length} banks for level ${level}; the placement test only uses the first`);
+        }
+    }
+}
+
+// ============= Vocabulary =============
+
+function validateVocabulary() {
+    const byLevel = {};
+
+    for (const file of listJson(join(DATA, 'vocabulary'))) {
+        const data = readJson(file);
+        if (data === undefined) continue;
+        checkSchema(file, data, 'vocabulary-pack');
+
+        const level = data.level;
+        (byLevel[level] = byLevel[level] || []).push(file);
+
+        const name = basename(file, '.json');
+        if (name !== level && name !== `${String(level).toLowerCase()}_vocabulary`) {
+            error(file, `level "${level}" does not match file name`);
+        }
+
+        const words = data.categories
+            ? data.categories.flatMap(c => c.words || [])
+            : (data.words || []);
+
+        if (Number.isInteger(data.total_words) && data.total_words !== words.length) {
+            warn(file, `total_words is ${data.total_words} but the pack contains ${words.length} words`);
+        }
+
+        const seen = new Set();
+        for (const w of words) {
+            const key = String(w.word || '').toLowerCase();
+            if (seen.has(key)) warn(file, `duplicate word "${w.word}"`);
+            seen.add(key);
+        }
+    }
+
+    for (const [level, files] of Object.entries(byLevel)) {
+        if (files.length > 1) {
+            warn(files[0], `${files.length} packs for level ${level}: ${files.map(f => basename(f)).join(', ')}`);
+        }
+    }
+}
+
+// ============= Vocabulary Size Test =============
+
+function validateVocabularySize() {
+    for (const file of listJson(join(DATA, 'vocabulary_size'))) {
+        const data = readJson(file);
+        if (data === undefined) continue;
+        checkSchema(file, data, 'vocabulary-size');
+
+        if (data.id !== basename(file, '.json')) {
+            error(file, `id "${data.id}" does not match file name`);
+        }
+
+        const bands = data.bands || [];
+        bands.forEach((b, i) => {
+            if (b.band !== i + 1) error(file, `bands[${i}] is band ${b.band}, expected ${i + 1} (bands must be consecutive)`);
+        });
+
+        const realWords = new Set();
+        for (const b of bands) {
+            for (const word of b.words || []) {
+                if (realWords.has(word)) warn(file, `"${word}" appears in more than one band`);
+                realWords.add(word);
+            }
+        }
+        for (const word of data.pseudowords || []) {
+            if (realWords.has(word)) error(file, `pseudo-word "${word}" is also listed as a real word`);
+        }
+    }
+}
+
+// ============= Listening =============
+
+function validateListening() {
+    for (const { level, dir } of listLevelDirs(join(DATA, 'listening'))) {
+        for (const file of listJson(dir)) {
+            const data = readJson(file);
+            if (data === undefined) continue;
+            checkIdentity(file, data, level);
+            checkSchema(file, data, 'listening-item');
+
+            for (const q of data.questions || []) {
+                if (Array.isArray(q.options) && !q.options.includes(q.correctAnswer)) {
+                    error(file, `question ${q.id}: correctAnswer "${q.correctAnswer}" is not one of the options`);
+                }
+            }
+            const segmentIds = new Set((data.segments || []).map(s => s.id));
+            for (const d of data.dictation || []) {
+                if (!segmentIds.has(d.segment)) {
+                    error(file, `dictation chunk ${d.id} points at missing segment ${d.segment}`);
+                }
+            }
+            for (const s of data.segments || []) {
+                if (s.end < s.start) error(file, `segment ${s.id} ends before it starts`);
+            }
+        }
+    }
+}
+
+// ============= IELTS =============
+
+function validateIELTS() {
+    for (const module of ['listening', 'reading']) {
+        for (const file of listJson(join(DATA, 'ielts', module))) {
+            const data = readJson(file);
+            if (data === undefined) continue;
+            checkIdentity(file, data);
+            checkSchema(file, data, 'ielts-test');
+            if (data.module !== module) error(file, `module "${data.module}" does not match directory ${module}`);
+
+            const numbers = [];
+            for (const section of data.sections || []) {
+                if (module === 'listening' && !section.transcript) error(file, `section ${section.number}: missing transcript`);
+                if (module === 'reading' && !section.passage) error(file, `section ${section.number}: missing passage`);
+
+                for (const group of section.question_groups || []) {
+                    for (const q of group.questions || []) {
+                        numbers.push(q.number);
+                        const options = q.options || group.options;
+                        if (['multiple_choice', 'matching'].includes(group.type)) {
+                            if (!options) error(file, `question ${q.number}: ${group.type} without options`);
+                            else if (!(q.answer in options)) error(file, `question ${q.number}: answer "${q.answer}" is not an option key`);
+                        }
+                        if (group.type === 'completion' && !Array.isArray(q.answer)) {
+                            error(file, `question ${q.number}: completion answers must be a list of accepted variants`);
+                        }
+                    }
+                }
+            }
+
+            const unique = new Set(numbers);
+            if (unique.size !== numbers.length) error(file, 'question numbers are not unique');
+            for (let n = 1; n <= (data.total_questions || 0); n++) {
+                if (!unique.has(n)) error(file, `question ${n} is missing`);
+            }
+        }
+    }
+}
+
+// ============= Manifest =============
+
+function validateManifest() {
+    if (!isManifestCurrent()) {
+        error(MANIFEST_PATH, 'out of date: run node scripts/build-manifest.mjs and commit the result');
+    }
+}
+
+// ============= Main =============
+
+validateGrammar();
+validateLeveledItems('reading', 'reading-text');
+validateLeveledItems('immersion', 'immersion-item');
+validatePlacement();
+validateVocabulary();
+validateVocabularySize();
+validateListening();
+validateIELTS();
+validateManifest();
+
+for (const { file, message } of report.errors) {
+    console.log(`ERROR ${file}: ${message}`);
+}
+if (!quiet) {
+    for (const { file, message } of report.warnings) {
+        console.log(`WARN  ${file}: ${message}`);
+    }
+}
+
+console.log(`\nChecked ${report.files} files: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+process.exit(report.errors.length > 0 ? 1 : 0);